@@ -0,0 +1,91 @@
+// scripts/backtest.js - 전략 백테스트 CLI (과거 K선으로 격리된 TradingEngine 구동)
+//
+// 사용법: node scripts/backtest.js --strategy <이름|파일> [옵션]
+//   --strategy <name|file>  전략 이름(BACKTEST_STRATEGY_DIR) 또는 전략 모듈 파일 경로
+//   --symbol <symbol>       심볼 (기본값 BTCUSDT)
+//   --interval <interval>   K선 간격 (1, 5, 15, 60, 240, D ..., 기본값 60)
+//   --bars <n>              봉 개수 (기본값 500)
+//   --end <ms>              마지막 봉 기준 시각 (기본값 현재)
+//   --balance <usdt>        초기 잔고
+//   --param <key=value>     전략 파라미터 (여러 번 지정 가능)
+//   --out <file>            전체 리포트(자산 곡선, 체결 내역)를 JSON 파일로 저장
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+
+const fs = require('fs');
+const backtestService = require('../src/services/backtestService');
+
+function parseArgs(argv) {
+  const options = { params: {}, out: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--strategy':
+        options.strategy = argv[++i];
+        break;
+      case '--symbol':
+        options.symbol = argv[++i];
+        break;
+      case '--interval':
+        options.interval = argv[++i];
+        break;
+      case '--bars':
+        options.bars = argv[++i];
+        break;
+      case '--end':
+        options.end = argv[++i];
+        break;
+      case '--balance':
+        options.initialBalance = argv[++i];
+        break;
+      case '--param': {
+        const [key, ...rest] = argv[++i].split('=');
+        const value = rest.join('=');
+        options.params[key] = value !== '' && !isNaN(value) ? parseFloat(value) : value;
+        break;
+      }
+      case '--out':
+        options.out = argv[++i];
+        break;
+      default:
+        throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+
+  return options;
+}
+
+function printReport(report) {
+  const pct = value => `${(value * 100).toFixed(2)}%`;
+
+  console.log(`${report.strategy} ${report.symbol} ${report.interval} | ${new Date(report.startTime).toISOString()} ~ ${new Date(report.endTime).toISOString()} (${report.bars} bars)`);
+  console.log(`  equity      ${report.initialEquity.toFixed(2)} -> ${report.finalEquity.toFixed(2)} (${pct(report.totalReturn)})`);
+  console.log(`  realized    ${report.realizedPnl.toFixed(2)}  fees ${report.feesPaid.toFixed(2)}`);
+  console.log(`  drawdown    ${pct(report.maxDrawdown)} (${report.maxDrawdownValue.toFixed(2)})`);
+  console.log(`  sharpe      ${report.sharpe.toFixed(3)}`);
+  console.log(`  trades      ${report.tradeCount} fills, ${report.closedTrades} closes, win rate ${report.winRate.toFixed(1)}%`);
+  console.log(`  open        ${report.openPositions.length} positions, ${report.rejectedOrders.length} rejected orders`);
+}
+
+async function main() {
+  const { out, ...options } = parseArgs(process.argv.slice(2));
+  if (!options.strategy) {
+    console.error('Usage: node scripts/backtest.js --strategy <name|file> [--symbol BTCUSDT] [--interval 60] [--bars 500] [--param key=value] [--out report.json]');
+    process.exit(1);
+  }
+
+  const strategyModule = backtestService.loadStrategy(options.strategy, { allowPath: true });
+  const report = await backtestService.run(options, { strategyModule });
+  printReport(report);
+
+  if (out) {
+    fs.writeFileSync(out, JSON.stringify(report, null, 2));
+    console.log(`Report written to ${out}`);
+  }
+
+  process.exit(0);
+}
+
+main().catch(error => {
+  console.error(`Backtest failed: ${error.message}`);
+  process.exit(1);
+});
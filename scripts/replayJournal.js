@@ -0,0 +1,144 @@
+// scripts/replayJournal.js - 이벤트 저널 리플레이 (TradingEngine 상태 재구성)
+//
+// 사용법: node scripts/replayJournal.js <journal.jsonl> [옵션]
+//   --until-seq <n>    해당 seq 항목까지만 재실행
+//   --until-time <ms>  해당 시각(ms)까지의 항목만 재실행
+//   --user <userId>    해당 사용자 상태만 출력
+//   --out <file>       재구성된 전체 상태를 JSON 파일로 저장
+//   --verify           재구성된 상태를 저장소(STORAGE_BACKEND)의 상태와 비교
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+
+const fs = require('fs');
+const TradingEngine = require('../src/models/TradingEngine');
+const journalService = require('../src/services/journalService');
+const storageService = require('../src/services/storageService');
+
+function parseArgs(argv) {
+  const options = { file: null, untilSeq: null, untilTime: null, user: null, out: null, verify: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--until-seq':
+        options.untilSeq = parseInt(argv[++i]);
+        break;
+      case '--until-time':
+        options.untilTime = parseInt(argv[++i]);
+        break;
+      case '--user':
+        options.user = argv[++i];
+        break;
+      case '--out':
+        options.out = argv[++i];
+        break;
+      case '--verify':
+        options.verify = true;
+        break;
+      default:
+        options.file = argv[i];
+    }
+  }
+
+  return options;
+}
+
+async function replay(options) {
+  const engine = new TradingEngine({ persistence: false });
+  let currentSeq = null;
+  let applied = 0;
+  let rejected = 0;
+  let diverged = 0;
+
+  // 강제 청산/TP·SL 발동 시점 출력 (분쟁 조사용)
+  engine.on('liquidation', (data) => {
+    console.log(`[seq ${currentSeq}] liquidation ${data.userId} ${data.symbol} ${data.side} qty=${data.qty} mark=${data.markPrice} liq=${data.liqPrice} bust=${data.bustPrice} loss=${data.loss}`);
+  });
+  engine.on('tpslTriggered', (data) => {
+    console.log(`[seq ${currentSeq}] ${data.triggerType} ${data.userId} ${data.symbol} trigger=${data.triggerPrice}`);
+  });
+
+  for await (const entry of journalService.readEntries(options.file)) {
+    if (options.untilSeq !== null && entry.seq > options.untilSeq) break;
+    if (options.untilTime !== null && entry.ts > options.untilTime) break;
+
+    currentSeq = entry.seq;
+    
+    try {
+      const { result, remainingIds } = engine.applyJournalEntry(entry);
+      if (remainingIds > 0) {
+        diverged++;
+        console.warn(`[seq ${entry.seq}] ${entry.method} used fewer ids than recorded (${remainingIds} left)`);
+      }
+      if (result && typeof result.then === 'function') {
+        await result.catch(() => { rejected++; });
+      }
+    } catch (error) {
+      if (error.message.startsWith('Journal replay diverged')) {
+        diverged++;
+        console.warn(`[seq ${entry.seq}] ${entry.method}: ${error.message}`);
+      } else {
+        rejected++;
+      }
+    }
+    
+    applied++;
+  }
+
+  return { engine, applied, rejected, diverged, lastSeq: currentSeq };
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (!options.file) {
+    console.error('Usage: node scripts/replayJournal.js <journal.jsonl> [--until-seq n] [--until-time ms] [--user id] [--out file] [--verify]');
+    process.exit(1);
+  }
+
+  const { engine, applied, rejected, diverged, lastSeq } = await replay(options);
+  console.log(`Replayed ${applied} entries (last seq ${lastSeq}), ${rejected} rejected commands, ${diverged} divergences`);
+
+  // 사용자 상태 요약
+  const userIds = options.user ? [options.user] : Array.from(engine.users.keys());
+  for (const userId of userIds) {
+    const data = engine.getUserData(userId);
+    if (!data) {
+      console.log(`${userId}: not found`);
+      continue;
+    }
+
+    const { balance } = data.user;
+    console.log(`${userId}: USDT=${balance.USDT} equity=${balance.totalEquity} realized=${balance.realizedPnl} positions=${data.positions.length} orders=${data.orders.length}`);
+    data.positions.forEach(p => {
+      console.log(`  ${p.symbol} ${p.side} idx=${p.positionIdx} qty=${p.qty} entry=${p.avgPrice} mark=${p.markPrice} liq=${p.liqPrice}`);
+    });
+  }
+
+  if (options.out) {
+    fs.writeFileSync(options.out, JSON.stringify(engine.snapshotState(), null, 2));
+    console.log(`State written to ${options.out}`);
+  }
+
+  // 저장소 상태와 비교 (정상 종료 후 저널과 저장소가 같은 시점일 때 일치)
+  let mismatched = 0;
+  if (options.verify) {
+    await storageService.connect();
+    const stored = new Map((await storageService.loadUsers()).map(s => [s.user.userId, s]));
+
+    for (const userId of userIds) {
+      const { snapshot, history } = engine.splitUserState(userId);
+      const rebuilt = JSON.stringify({ snapshot, history });
+      const persisted = JSON.stringify({ snapshot: stored.get(userId), history: await storageService.loadHistory(userId) });
+      if (rebuilt !== persisted) {
+        mismatched++;
+        console.log(`MISMATCH ${userId}`);
+      }
+    }
+    console.log(mismatched === 0 ? 'Verified: replayed state matches storage' : `${mismatched} users differ from storage`);
+  }
+
+  process.exit(diverged > 0 || mismatched > 0 ? 1 : 0);
+}
+
+main().catch((error) => {
+  console.error('Replay failed:', error);
+  process.exit(1);
+});
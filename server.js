@@ -13,25 +13,41 @@ const logger = require('./src/utils/logger');
 
 // 서비스 (캐시 서비스로 통합)
 const cacheService = require('./src/services/cacheService');
-const bybitService = require('./src/services/bybitService');
+const marketDataService = require('./src/services/marketDataService');
+const instrumentService = require('./src/services/instrumentService');
+const storageService = require('./src/services/storageService');
+const journalService = require('./src/services/journalService');
+const marketRecorder = require('./src/services/marketRecorder');
+const backtestService = require('./src/services/backtestService');
+const apiKeyService = require('./src/services/apiKeyService');
+const authService = require('./src/services/authService');
 
 // 모델 및 매니저
 const TradingEngine = require('./src/models/TradingEngine');
 const WebSocketManager = require('./src/websocket/wsManager');
+const V5PrivateStream = require('./src/websocket/v5PrivateStream');
 
 // 컨트롤러
 const marketController = require('./src/controllers/marketController');
+const V5Controller = require('./src/controllers/v5Controller');
 
 // Express 앱 초기화
 const app = express();
+app.set('trust proxy', config.security.trustProxy);
 const server = http.createServer(app);
 
-// 거래 엔진 인스턴스 생성
+// 거래 엔진 인스턴스 생성 (시각은 시장 데이터 제공자 시계 기준, 재생 모드에서는 재생 시각)
 const tradingEngine = new TradingEngine();
+tradingEngine.setClock(() => marketDataService.now());
 
 // WebSocket 매니저 초기화
 const wsManager = new WebSocketManager(server, tradingEngine);
 
+// Bybit V5 호환 API 컨트롤러 및 private 스트림
+const v5Controller = new V5Controller(tradingEngine);
+const v5PrivateStream = new V5PrivateStream(tradingEngine, { trustProxy: app.get('trust proxy fn') });
+wsManager.mount('/v5/private', v5PrivateStream.wss);
+
 // 미들웨어 설정
 app.use(helmet({
   contentSecurityPolicy: {
@@ -54,7 +70,13 @@ app.use(cors({
   origin: config.server.corsOrigins,
   credentials: true
 }));
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // 요청 서명 검증용 본문 원문 보관
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString();
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Rate limiting
@@ -65,6 +87,19 @@ const limiter = rateLimit({
 });
 app.use('/api/', limiter);
 
+// Bybit V5 호환 API는 Bybit 형식으로 한도 초과 응답
+app.use('/v5/', rateLimit({
+  windowMs: config.security.rateLimitWindow,
+  max: config.security.rateLimitMax,
+  handler: (req, res) => res.status(429).json({
+    retCode: 10006,
+    retMsg: 'Too many visits!',
+    result: {},
+    retExtInfo: {},
+    time: Date.now()
+  })
+}));
+
 // 정적 파일 제공 (테스트 페이지용)
 app.use(express.static(path.join(__dirname, 'public')));
 
@@ -83,7 +118,12 @@ app.get('/health', async (req, res) => {
       type: config.cache.useRedis ? 'redis' : 'memory',
       stats: stats
     },
-    bybit: bybitService.isConnected,
+    marketData: {
+      provider: config.marketData.provider,
+      connected: marketDataService.isConnected,
+      recording: marketRecorder.isRecording ? marketRecorder.file : null,
+      replay: config.marketData.provider === 'replay' ? marketDataService.getStatus() : undefined
+    },
     websocket: {
       connections: wsManager.clients.size,
       maxConnections: config.websocket.connectionLimit
@@ -97,27 +137,355 @@ app.get('/api/market/kline', marketController.getKline);
 app.get('/api/market/orderbook', marketController.getOrderbook);
 app.get('/api/market/trades', marketController.getRecentTrades);
 app.get('/api/market/stats', marketController.get24hrStats);
+app.get('/api/market/instruments', marketController.getInstruments);
+app.get('/api/market/risk-limit', marketController.getRiskLimit);
 
-// 거래 API (REST 백업)
-app.post('/api/trade/order', async (req, res) => {
+// 사용자 인증 (Authorization: Bearer <access 토큰> 또는 API 키 서명)
+// permission: API 키 권한 ('read' | 'trade'), 사용자는 요청 본문이 아닌 토큰/키 소유자
+function requireAuth(permission) {
+  return async (req, res, next) => {
+    try {
+      const authorization = req.get('Authorization') || '';
+      if (authorization.startsWith('Bearer ')) {
+        req.userId = authService.verifyAccessToken(authorization.slice(7)).userId;
+      } else {
+        const key = apiKeyService.verifyHttpRequest(req, permission);
+        req.userId = key.userId;
+        req.apiKey = key.apiKey;
+      }
+      await tradingEngine.initUser(req.userId);
+      next();
+    } catch (error) {
+      res.status(error.status || 401).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+  };
+}
+
+// 계정 API (등록/로그인 시 access/refresh 토큰 발급)
+app.post('/api/auth/register', async (req, res) => {
   try {
-    const { userId, ...orderData } = req.body;
+    const { username, password } = req.body;
+    const { account, tokens } = await authService.register(username, password);
+    await tradingEngine.initUser(account.userId);
     
-    if (!userId) {
+    res.status(201).json({
+      success: true,
+      data: { ...account, ...tokens }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { username, password } = req.body;
+    const { account, tokens } = await authService.login(username, password);
+    
+    res.json({
+      success: true,
+      data: { ...account, ...tokens }
+    });
+  } catch (error) {
+    res.status(error.status || 400).json({
+      success: false,
+      error: error.message,
+      code: error.code
+    });
+  }
+});
+
+app.post('/api/auth/refresh', async (req, res) => {
+  try {
+    const { account, tokens } = await authService.refresh(req.body.refreshToken);
+    
+    res.json({
+      success: true,
+      data: { ...account, ...tokens }
+    });
+  } catch (error) {
+    res.status(error.status || 400).json({
+      success: false,
+      error: error.message,
+      code: error.code
+    });
+  }
+});
+
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    await authService.logout(req.body.refreshToken);
+    
+    res.json({
+      success: true
+    });
+  } catch (error) {
+    res.status(error.status || 400).json({
+      success: false,
+      error: error.message,
+      code: error.code
+    });
+  }
+});
+
+// 본인 API 키 관리 (access 토큰 필요, API 키로는 키를 발급할 수 없음)
+function requireToken(req, res, next) {
+  const authorization = req.get('Authorization') || '';
+  
+  try {
+    req.userId = authService.verifyAccessToken(authorization.startsWith('Bearer ') ? authorization.slice(7) : null).userId;
+    next();
+  } catch (error) {
+    res.status(error.status || 401).json({
+      success: false,
+      error: error.message,
+      code: error.code
+    });
+  }
+}
+
+app.post('/api/keys', requireToken, async (req, res) => {
+  try {
+    const { readOnly, ips, note } = req.body;
+    await tradingEngine.initUser(req.userId);
+    const key = await apiKeyService.createKey(req.userId, { readOnly, ips, note });
+    
+    // secret은 발급 응답에서만 제공
+    res.json({
+      success: true,
+      data: key
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.get('/api/keys', requireToken, (req, res) => {
+  res.json({
+    success: true,
+    data: apiKeyService.listKeys(req.userId)
+  });
+});
+
+app.delete('/api/keys/:apiKey', requireToken, async (req, res) => {
+  try {
+    const key = await apiKeyService.revokeKey(req.params.apiKey, req.userId);
+    
+    res.json({
+      success: true,
+      data: key
+    });
+  } catch (error) {
+    res.status(404).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// 거래 API (REST 백업, access 토큰 또는 API 키 서명 필요)
+app.post('/api/trade/order', requireAuth('trade'), async (req, res) => {
+  try {
+    // 본문의 userId는 무시 (토큰/키 소유자 기준)
+    const orderData = { ...req.body };
+    delete orderData.userId;
+
+    const order = await tradingEngine.createOrder(req.userId, orderData);
+    
+    res.json({
+      success: true,
+      data: order
+    });
+  } catch (error) {
+    logger.error('Order creation error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message,
+      code: error.code,
+      details: error.details
+    });
+  }
+});
+
+// 미체결 주문 정정 (가격, 수량, 발동 가격, TP/SL, 0이면 TP/SL 해제)
+app.patch('/api/trade/order/:orderId', requireAuth('trade'), (req, res) => {
+  try {
+    const { qty, price, triggerPrice, takeProfit, stopLoss } = req.body;
+    const order = tradingEngine.amendOrder(req.userId, req.params.orderId, { qty, price, triggerPrice, takeProfit, stopLoss });
+    
+    res.json({
+      success: true,
+      data: order
+    });
+  } catch (error) {
+    logger.error('Order amendment error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message,
+      code: error.code,
+      details: error.details
+    });
+  }
+});
+
+app.delete('/api/trade/order/:orderId', requireAuth('trade'), async (req, res) => {
+  try {
+    const { orderId } = req.params;
+
+    const order = tradingEngine.cancelOrder(req.userId, orderId);
+    
+    res.json({
+      success: true,
+      data: order
+    });
+  } catch (error) {
+    logger.error('Order cancellation error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// OCO 주문 { orders: [주문1, 주문2] } / 브래킷 주문 { ...진입 주문, takeProfit, stopLoss, slTriggerBy }
+app.post('/api/trade/order/oco', requireAuth('trade'), (req, res) => {
+  try {
+    const group = tradingEngine.createOcoOrder(req.userId, { orders: req.body.orders });
+
+    res.json({
+      success: true,
+      data: group
+    });
+  } catch (error) {
+    logger.error('OCO order creation error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message,
+      code: error.code,
+      details: error.details
+    });
+  }
+});
+
+app.post('/api/trade/order/bracket', requireAuth('trade'), (req, res) => {
+  try {
+    const orderData = { ...req.body };
+    delete orderData.userId;
+    const group = tradingEngine.createBracketOrder(req.userId, orderData);
+
+    res.json({
+      success: true,
+      data: group
+    });
+  } catch (error) {
+    logger.error('Bracket order creation error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message,
+      code: error.code,
+      details: error.details
+    });
+  }
+});
+
+app.get('/api/trade/order-groups', requireAuth('read'), (req, res) => {
+  res.json({
+    success: true,
+    data: tradingEngine.getOrderGroups(req.userId)
+  });
+});
+
+app.delete('/api/trade/order-group/:groupId', requireAuth('trade'), (req, res) => {
+  try {
+    const group = tradingEngine.cancelOrderGroup(req.userId, req.params.groupId);
+
+    res.json({
+      success: true,
+      data: group
+    });
+  } catch (error) {
+    logger.error('Order group cancellation error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// 일괄 주문 (body.orders, 항목별 결과를 순서대로 반환하며 일부 실패해도 나머지는 처리)
+function batchRoute(method, label) {
+  return async (req, res) => {
+    try {
+      const results = await tradingEngine[method](req.userId, req.body.orders);
+
+      res.json({
+        success: true,
+        data: results
+      });
+    } catch (error) {
+      logger.error(`Batch ${label} error:`, error);
+      res.status(400).json({
+        success: false,
+        error: error.message,
+        code: error.code,
+        details: error.details
+      });
+    }
+  };
+}
+
+app.post('/api/trade/orders/batch', requireAuth('trade'), batchRoute('createOrders', 'order creation'));
+app.patch('/api/trade/orders/batch', requireAuth('trade'), batchRoute('amendOrders', 'order amendment'));
+app.post('/api/trade/orders/batch-cancel', requireAuth('trade'), batchRoute('cancelOrders', 'order cancellation'));
+
+// 미체결 주문 전체 취소 (symbol, side 지정 시 해당 주문만)
+app.post('/api/trade/orders/cancel-all', requireAuth('trade'), (req, res) => {
+  try {
+    const { symbol, side } = req.body;
+    const orders = tradingEngine.cancelAllOrders(req.userId, { symbol, side });
+    
+    res.json({
+      success: true,
+      data: orders
+    });
+  } catch (error) {
+    logger.error('Cancel all orders error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.post('/api/trade/position/close', requireAuth('trade'), async (req, res) => {
+  try {
+    const { positionId, qty } = req.body;
+    
+    if (!positionId) {
       return res.status(400).json({
         success: false,
-        error: 'User ID required'
+        error: 'Position ID required'
       });
     }
 
-    const order = await tradingEngine.createOrder(userId, orderData);
+    const result = await tradingEngine.closePosition(req.userId, positionId, qty);
     
     res.json({
       success: true,
-      data: order
+      data: result
     });
   } catch (error) {
-    logger.error('Order creation error:', error);
+    logger.error('Position close error:', error);
     res.status(400).json({
       success: false,
       error: error.message
@@ -125,26 +493,25 @@ app.post('/api/trade/order', async (req, res) => {
   }
 });
 
-app.delete('/api/trade/order/:orderId', async (req, res) => {
+app.post('/api/trade/position/tpsl', requireAuth('trade'), (req, res) => {
   try {
-    const { userId } = req.body;
-    const { orderId } = req.params;
+    const { positionId, takeProfit, stopLoss } = req.body;
     
-    if (!userId) {
+    if (!positionId) {
       return res.status(400).json({
         success: false,
-        error: 'User ID required'
+        error: 'Position ID required'
       });
     }
 
-    const order = tradingEngine.cancelOrder(userId, orderId);
+    const position = tradingEngine.setTradingStop(req.userId, positionId, { takeProfit, stopLoss });
     
     res.json({
       success: true,
-      data: order
+      data: position
     });
   } catch (error) {
-    logger.error('Order cancellation error:', error);
+    logger.error('Trading stop update error:', error);
     res.status(400).json({
       success: false,
       error: error.message
@@ -152,25 +519,119 @@ app.delete('/api/trade/order/:orderId', async (req, res) => {
   }
 });
 
-app.post('/api/trade/position/close', async (req, res) => {
+app.post('/api/trade/position/margin', requireAuth('trade'), (req, res) => {
   try {
-    const { userId, positionId, qty } = req.body;
+    const { positionId, margin } = req.body;
     
-    if (!userId || !positionId) {
+    if (!positionId) {
       return res.status(400).json({
         success: false,
-        error: 'User ID and Position ID required'
+        error: 'Position ID required'
       });
     }
 
-    const result = await tradingEngine.closePosition(userId, positionId, qty);
+    const position = tradingEngine.adjustPositionMargin(req.userId, positionId, margin);
+    
+    res.json({
+      success: true,
+      data: position
+    });
+  } catch (error) {
+    logger.error('Position margin adjustment error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.post('/api/trade/margin-mode', requireAuth('trade'), (req, res) => {
+  try {
+    const { symbol, marginMode } = req.body;
+    
+    if (!symbol) {
+      return res.status(400).json({
+        success: false,
+        error: 'Symbol required'
+      });
+    }
+
+    const result = tradingEngine.setMarginMode(req.userId, symbol, marginMode);
     
     res.json({
       success: true,
       data: result
     });
   } catch (error) {
-    logger.error('Position close error:', error);
+    logger.error('Margin mode change error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// 심볼 레버리지 변경 (보유 포지션 증거금 재계산)
+app.post('/api/trade/leverage', requireAuth('trade'), (req, res) => {
+  try {
+    const { symbol, leverage } = req.body;
+    
+    if (!symbol) {
+      return res.status(400).json({
+        success: false,
+        error: 'Symbol required'
+      });
+    }
+
+    const result = tradingEngine.setLeverage(req.userId, symbol, leverage);
+    
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error('Leverage change error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message,
+      code: error.code,
+      details: error.details
+    });
+  }
+});
+
+app.post('/api/trade/position-mode', requireAuth('trade'), (req, res) => {
+  try {
+    const { positionMode } = req.body;
+
+    const result = tradingEngine.setPositionMode(req.userId, positionMode);
+    
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error('Position mode change error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// 포지션 종료 손익 내역 API (Bybit /v5/position/closed-pnl 형식)
+app.get('/api/trade/closed-pnl', requireAuth('read'), (req, res) => {
+  try {
+    const { symbol, startTime, endTime, limit, cursor } = req.query;
+
+    const result = tradingEngine.getClosedPnl(req.userId, { symbol, startTime, endTime, limit, cursor });
+    
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error('Closed PnL fetch error:', error);
     res.status(400).json({
       success: false,
       error: error.message
@@ -179,9 +640,17 @@ app.post('/api/trade/position/close', async (req, res) => {
 });
 
 // 사용자 데이터 API
-app.get('/api/user/:userId', (req, res) => {
+app.get('/api/user/:userId', requireAuth('read'), (req, res) => {
   try {
     const { userId } = req.params;
+    
+    if (userId !== req.userId) {
+      return res.status(403).json({
+        success: false,
+        error: 'Credentials do not belong to this user'
+      });
+    }
+
     const userData = tradingEngine.getUserData(userId);
     
     if (!userData) {
@@ -223,6 +692,175 @@ app.get('/api/leaderboard', (req, res) => {
   }
 });
 
+// Bybit V5 호환 API (API 키 서명으로 사용자 식별)
+app.get('/v5/market/time', v5Controller.getServerTime);
+app.post('/v5/order/create', v5Controller.authenticate('trade'), v5Controller.createOrder);
+app.post('/v5/order/cancel', v5Controller.authenticate('trade'), v5Controller.cancelOrder);
+app.post('/v5/order/amend', v5Controller.authenticate('trade'), v5Controller.amendOrder);
+app.post('/v5/order/create-batch', v5Controller.authenticate('trade'), v5Controller.createOrders);
+app.post('/v5/order/amend-batch', v5Controller.authenticate('trade'), v5Controller.amendOrders);
+app.post('/v5/order/cancel-batch', v5Controller.authenticate('trade'), v5Controller.cancelOrders);
+app.post('/v5/order/cancel-all', v5Controller.authenticate('trade'), v5Controller.cancelAllOrders);
+app.get('/v5/order/realtime', v5Controller.authenticate('read'), v5Controller.getOrders);
+app.get('/v5/position/list', v5Controller.authenticate('read'), v5Controller.getPositions);
+app.post('/v5/position/set-leverage', v5Controller.authenticate('trade'), v5Controller.setLeverage);
+app.get('/v5/account/wallet-balance', v5Controller.authenticate('read'), v5Controller.getWalletBalance);
+app.get('/v5/execution/list', v5Controller.authenticate('read'), v5Controller.getExecutions);
+app.get('/v5/user/query-api', v5Controller.authenticate('read'), v5Controller.getApiKeyInfo);
+
+// 백테스트 API (작업 등록 후 jobId로 결과 조회)
+app.get('/api/backtest/strategies', (req, res) => {
+  res.json({
+    success: true,
+    data: backtestService.listStrategies()
+  });
+});
+
+app.post('/api/backtest', (req, res) => {
+  try {
+    const job = backtestService.createJob(req.body || {});
+    
+    res.status(202).json({
+      success: true,
+      data: {
+        jobId: job.jobId,
+        status: job.status
+      }
+    });
+  } catch (error) {
+    logger.error('Backtest job creation error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.get('/api/backtest/:jobId', (req, res) => {
+  const job = backtestService.getJob(req.params.jobId);
+  
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Backtest job not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: job
+  });
+});
+
+// ===== 관리자 API =====
+
+// 관리자 토큰 확인 (ADMIN_TOKEN 미설정 시 거부, 누구나 다른 사용자 키 발급이나 전체 재생 시각 변경이 가능해지므로)
+function requireAdmin(req, res, next) {
+  if (!config.admin.token) {
+    return res.status(403).json({
+      success: false,
+      error: 'ADMIN_TOKEN must be configured to use the admin API'
+    });
+  }
+  if (req.get('X-Admin-Token') !== config.admin.token) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid admin token'
+    });
+  }
+  next();
+}
+
+// API 키 발급 (userId: 키 소유자, readOnly: 조회 전용, ips: 허용 IP 목록)
+app.post('/api/admin/api-keys', requireAdmin, async (req, res) => {
+  try {
+    const { userId, readOnly, ips, note } = req.body;
+    
+    if (!userId) {
+      return res.status(400).json({
+        success: false,
+        error: 'User ID required'
+      });
+    }
+
+    await tradingEngine.initUser(userId);
+    const key = await apiKeyService.createKey(userId, { readOnly, ips, note });
+    
+    // secret은 발급 응답에서만 제공
+    res.json({
+      success: true,
+      data: key
+    });
+  } catch (error) {
+    logger.error('API key creation error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.get('/api/admin/api-keys', requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    data: apiKeyService.listKeys(req.query.userId)
+  });
+});
+
+app.delete('/api/admin/api-keys/:apiKey', requireAdmin, async (req, res) => {
+  try {
+    const key = await apiKeyService.revokeKey(req.params.apiKey);
+    
+    res.json({
+      success: true,
+      data: key
+    });
+  } catch (error) {
+    res.status(404).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// 시세 재생 제어 핸들러 (MARKET_DATA_PROVIDER=replay 에서만 사용 가능)
+function replayControl(action) {
+  return (req, res) => {
+    if (config.marketData.provider !== 'replay') {
+      return res.status(400).json({
+        success: false,
+        error: 'Replay mode is not enabled (MARKET_DATA_PROVIDER=replay)'
+      });
+    }
+
+    try {
+      res.json({
+        success: true,
+        data: action(req.body || {})
+      });
+    } catch (error) {
+      logger.error('Replay control error:', error);
+      res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+  };
+}
+
+app.get('/api/admin/replay', requireAdmin, replayControl(() => marketDataService.getStatus()));
+app.post('/api/admin/replay/pause', requireAdmin, replayControl(() => marketDataService.pause()));
+app.post('/api/admin/replay/resume', requireAdmin, replayControl(() => marketDataService.play()));
+app.post('/api/admin/replay/speed', requireAdmin, replayControl(({ speed }) => marketDataService.setSpeed(speed)));
+
+// 재생 위치 이동 (time: 절대 시각 ms, offset: 녹화 시작 기준 ms)
+app.post('/api/admin/replay/seek', requireAdmin, replayControl(({ time, offset }) => {
+  if (offset !== undefined) {
+    return marketDataService.seek(marketDataService.startTime + parseInt(offset));
+  }
+  return marketDataService.seek(time);
+}));
+
 // 404 핸들러
 app.use((req, res) => {
   res.status(404).json({
@@ -276,45 +914,115 @@ function queueBroadcast(channel, data) {
 
 // ===== 이벤트 핸들러 설정 =====
 
-// Bybit 서비스 이벤트
-bybitService.on('market_data', (data) => {
+// 시장 데이터 제공자 이벤트
+marketDataService.on('market_data', (data) => {
   // 시장 데이터를 큐에 추가 (바로 브로드캐스트하지 않음)
   queueBroadcast('market', data);
 });
 
-bybitService.on('tickers.BTCUSDT', async (data) => {
-  if (data && data.length > 0) {
-    const tickerData = data[0];
+// 재생 상태 변경 (일시정지/배속/탐색) 전체 알림
+marketDataService.on('replay_state', (status) => {
+  wsManager.broadcastAll({
+    type: 'replay_state',
+    data: status
+  });
+});
+
+// ===== 심볼별 시장 데이터 구독 =====
+
+const subscribedSymbols = new Set();
+const latestTickers = new Map();
+
+// 심볼 시장 데이터 구독 (티커, 오더북, 체결 + 선택적으로 K선)
+function subscribeSymbol(symbol, withKlines = false) {
+  if (subscribedSymbols.has(symbol)) return;
+  subscribedSymbols.add(symbol);
+
+  marketDataService.on(`tickers.${symbol}`, async (data) => {
+    // 선물 티커 delta 메시지는 변경된 필드만 포함하므로 이전 값과 병합
+    const update = Array.isArray(data) ? data[0] : data;
+    if (!update) return;
+    
+    const tickerData = { ...(latestTickers.get(symbol) || {}), ...update };
+    latestTickers.set(symbol, tickerData);
+    
+    // 펀딩 비율/다음 정산 시각 업데이트
+    if (update.fundingRate !== undefined || update.nextFundingTime !== undefined) {
+      tradingEngine.updateFundingRate(symbol, tickerData.fundingRate, tickerData.nextFundingTime);
+    }
+    
+    // 마크/인덱스 가격 업데이트 (손익/청산 기준)
+    if (update.markPrice || update.indexPrice) {
+      tradingEngine.updateMarkPrice(symbol, tickerData.markPrice, tickerData.indexPrice);
+    }
+    if (!update.lastPrice) return;
     
     // 현재 가격 업데이트
-    tradingEngine.updateCurrentPrice(tickerData.lastPrice);
+    tradingEngine.updateCurrentPrice(symbol, tickerData.lastPrice);
     
     // 캐시에 저장
-    await cacheService.set('current_price', tickerData.lastPrice, config.cache.ttl.price);
+    await cacheService.set(`current_price:${symbol}`, tickerData.lastPrice, config.cache.ttl.price);
     
     // 가격 정보 브로드캐스트 (큐 사용)
     queueBroadcast('ticker', {
-      symbol: 'BTCUSDT',
+      symbol,
       price: tickerData.lastPrice,
+      markPrice: tickerData.markPrice,
+      indexPrice: tickerData.indexPrice,
       change24h: tickerData.price24hPcnt * 100,
       volume24h: tickerData.volume24h
     });
     
-    logger.debug(`Price updated: $${tickerData.lastPrice}`);
-  }
-});
+    logger.debug(`Price updated: ${symbol} $${tickerData.lastPrice}`);
+  });
 
-bybitService.on('orderbook.50.BTCUSDT', (data) => {
-  // 오더북 브로드캐스트 (큐 사용)
-  queueBroadcast('orderbook', data);
-});
+  marketDataService.on(`orderbook.50.${symbol}`, (data, message) => {
+    // 체결 시뮬레이션용 오더북 갱신
+    tradingEngine.updateOrderbook(symbol, data, message && message.type);
+    
+    // 오더북 브로드캐스트 (큐 사용)
+    queueBroadcast('orderbook', data);
+  });
 
-bybitService.on('publicTrade.BTCUSDT', (data) => {
-  // 실시간 거래 브로드캐스트 (큐 사용)
-  queueBroadcast('trades', data);
-});
+  marketDataService.on(`publicTrade.${symbol}`, (data) => {
+    // 실시간 거래 브로드캐스트 (큐 사용)
+    queueBroadcast('trades', data);
+  });
+
+  const topics = [
+    `orderbook.50.${symbol}`,
+    `publicTrade.${symbol}`,
+    `tickers.${symbol}`
+  ];
+  
+  if (withKlines) {
+    config.bybit.klineIntervals.forEach(interval => topics.push(`kline.${interval}.${symbol}`));
+  }
+  
+  marketDataService.subscribe(topics);
+  logger.info(`Subscribed to ${symbol} market data channels`);
+}
 
 // 거래 엔진 이벤트
+tradingEngine.on('symbolActivated', async (symbol) => {
+  // 최초 사용 심볼 업스트림 구독
+  subscribeSymbol(symbol);
+  
+  // 스트림 수신 전 REST로 초기 가격 설정
+  try {
+    const ticker = await marketDataService.getTicker(symbol);
+    if (ticker && !tradingEngine.getPrice(symbol)) {
+      tradingEngine.updateCurrentPrice(symbol, ticker.lastPrice);
+      tradingEngine.updateMarkPrice(symbol, ticker.markPrice, ticker.indexPrice);
+    }
+    if (ticker && !tradingEngine.fundingRates.has(symbol)) {
+      tradingEngine.updateFundingRate(symbol, ticker.fundingRate, ticker.nextFundingTime);
+    }
+  } catch (error) {
+    logger.warn(`Failed to load initial price for ${symbol}: ${error.message}`);
+  }
+});
+
 tradingEngine.on('orderCreated', (order) => {
   wsManager.sendToUser(order.userId, {
     type: 'order_created',
@@ -329,6 +1037,20 @@ tradingEngine.on('orderFilled', (order) => {
   });
 });
 
+tradingEngine.on('orderTriggered', (order) => {
+  wsManager.sendToUser(order.userId, {
+    type: 'order_triggered',
+    data: order
+  });
+});
+
+tradingEngine.on('orderAmended', ({ userId, order, changes }) => {
+  wsManager.sendToUser(userId, {
+    type: 'order_amended',
+    data: { order, changes }
+  });
+});
+
 tradingEngine.on('orderCancelled', (order) => {
   wsManager.sendToUser(order.userId, {
     type: 'order_cancelled',
@@ -336,10 +1058,18 @@ tradingEngine.on('orderCancelled', (order) => {
   });
 });
 
-tradingEngine.on('positionUpdate', ({ userId, position }) => {
+tradingEngine.on('orderGroupUpdate', ({ userId, group }) => {
+  wsManager.sendToUser(userId, {
+    type: 'order_group_update',
+    data: group
+  });
+});
+
+tradingEngine.on('positionUpdate', ({ userId, position, symbol, positionIdx }) => {
+  // 포지션 종료 시 어느 포지션인지 알 수 있도록 수량 0으로 전송
   wsManager.sendToUser(userId, {
     type: 'position_update',
-    data: position
+    data: position || { symbol, positionIdx, side: '', qty: 0 }
   });
 });
 
@@ -350,6 +1080,27 @@ tradingEngine.on('balanceUpdate', ({ userId, balance }) => {
   });
 });
 
+tradingEngine.on('tpslTriggered', (data) => {
+  wsManager.sendToUser(data.userId, {
+    type: 'tpsl_triggered',
+    data
+  });
+});
+
+tradingEngine.on('tpslFailed', (data) => {
+  wsManager.sendToUser(data.userId, {
+    type: 'tpsl_failed',
+    data
+  });
+});
+
+tradingEngine.on('funding', (data) => {
+  wsManager.sendToUser(data.userId, {
+    type: 'funding',
+    data
+  });
+});
+
 tradingEngine.on('liquidation', (data) => {
   wsManager.sendToUser(data.userId, {
     type: 'liquidation',
@@ -358,16 +1109,33 @@ tradingEngine.on('liquidation', (data) => {
   
   // 강제 청산 알림을 모든 사용자에게 브로드캐스트 (익명화)
   queueBroadcast('liquidations', {
-    symbol: 'BTCUSDT',
+    symbol: data.symbol,
     side: data.side,
     qty: data.qty,
     loss: data.loss,
-    timestamp: Date.now()
+    timestamp: tradingEngine.now() // 엔진 시계 (시세 재생 중에는 재생 시각)
   });
 });
 
 // ===== 서버 시작 =====
 
+// 상품 정보 및 리스크 한도 로딩
+async function loadInstruments() {
+  try {
+    const { list } = await instrumentService.getInstruments();
+    tradingEngine.setInstruments(list);
+  } catch (error) {
+    logger.warn(`Failed to load instruments info: ${error.message}`);
+  }
+  
+  try {
+    const { list } = await instrumentService.getRiskLimits();
+    tradingEngine.setRiskLimits(list);
+  } catch (error) {
+    logger.warn(`Failed to load risk limits, using default tiers: ${error.message}`);
+  }
+}
+
 async function startServer() {
   try {
     // 캐시 서비스 초기화 (Redis 연결 시도, 실패 시 메모리 캐시 사용)
@@ -378,23 +1146,36 @@ async function startServer() {
       }
     }
     
-    // Bybit WebSocket 연결
-    bybitService.connect();
+    // 저장소 연결 및 사용자/포지션/주문 상태 복원
+    await storageService.connect();
+    await tradingEngine.loadState();
+    await apiKeyService.load();
+    await authService.load();
+    
+    // 이벤트 저널 기록 시작 (복원된 상태가 첫 항목)
+    if (config.journal.enabled) {
+      tradingEngine.startJournal();
+    }
+    
+    // 상품 정보/리스크 한도 로딩 (주문 검증용, 실패해도 서버는 계속 동작)
+    loadInstruments();
+    setInterval(loadInstruments, config.cache.ttl.instruments * 1000);
+    
+    // 시장 데이터 스트림 연결 (Bybit WebSocket 또는 시뮬레이터)
+    marketDataService.connect();
+    
+    // 시세 녹화 (재생 입력 파일 생성)
+    if (config.marketData.recorder.enabled && config.marketData.provider !== 'replay') {
+      marketRecorder.start(marketDataService);
+    }
     
     // 기본 구독 설정
     setTimeout(() => {
-      bybitService.subscribe([
-        'orderbook.50.BTCUSDT',
-        'publicTrade.BTCUSDT',
-        'tickers.BTCUSDT',
-        'kline.1.BTCUSDT',
-        'kline.5.BTCUSDT',
-        'kline.15.BTCUSDT',
-        'kline.60.BTCUSDT',
-        'kline.240.BTCUSDT',
-        'kline.D.BTCUSDT'
-      ]);
-      logger.info('Subscribed to Bybit market data channels');
+      config.bybit.symbols.forEach(symbol => {
+        tradingEngine.activeSymbols.add(symbol);
+        subscribeSymbol(symbol, true);
+      });
+      logger.info('Subscribed to market data channels');
     }, 2000);
 
     // 서버 시작
@@ -427,7 +1208,9 @@ async function startServer() {
 
   } catch (error) {
     logger.error('Failed to start server:', error);
-    process.exit(1);
+    // 파일 로그 기록이 끝난 뒤 종료 (즉시 종료하면 프로덕션 로그에 남지 않음)
+    logger.on('finish', () => process.exit(1));
+    logger.end();
   }
 }
 
@@ -444,9 +1227,16 @@ async function gracefulShutdown(signal) {
     
     // WebSocket 연결 종료
     wsManager.close();
+    v5PrivateStream.close();
+    
+    // 시장 데이터 스트림 및 녹화 종료
+    marketDataService.disconnect();
+    await marketRecorder.stop();
     
-    // Bybit 서비스 종료
-    bybitService.disconnect();
+    // 저장 대기 중인 상태 기록 후 저장소 종료
+    await tradingEngine.persistAll();
+    await storageService.disconnect();
+    await journalService.close();
     
     // 캐시 정리
     if (cacheService.clear) {
@@ -2,6 +2,23 @@
 const dotenv = require('dotenv');
 dotenv.config();
 
+// JSON 배열 환경 변수 파싱 (잘못된 값이면 변수 이름을 포함한 에러로 시작 중단)
+function parseJsonArrayEnv(name, defaultValue) {
+  const raw = process.env[name];
+  if (!raw) return defaultValue;
+
+  let value;
+  try {
+    value = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`${name} must be a JSON array: ${error.message}`);
+  }
+  if (!Array.isArray(value)) {
+    throw new Error(`${name} must be a JSON array`);
+  }
+  return value;
+}
+
 module.exports = {
   // 서버 설정
   server: {
@@ -15,7 +32,57 @@ module.exports = {
     wsPublic: process.env.BYBIT_WS_PUBLIC || 'wss://stream.bybit.com/v5/public/linear',
     restApi: process.env.BYBIT_REST_API || 'https://api.bybit.com',
     apiKey: process.env.BYBIT_API_KEY || '',
-    apiSecret: process.env.BYBIT_API_SECRET || ''
+    apiSecret: process.env.BYBIT_API_SECRET || '',
+    // 서버 시작 시 구독할 심볼 (그 외 심볼은 최초 사용 시 구독)
+    symbols: (process.env.BYBIT_SYMBOLS || 'BTCUSDT').split(',').map(s => s.trim().toUpperCase()).filter(Boolean),
+    klineIntervals: ['1', '5', '15', '60', '240', 'D']
+  },
+
+  // 시장 데이터 제공자 설정
+  marketData: {
+    provider: process.env.MARKET_DATA_PROVIDER || 'bybit', // bybit, simulator (오프라인 합성 시세), replay (녹화 시세 재생)
+    simulator: {
+      model: process.env.SIM_MODEL || 'gbm', // randomWalk, gbm, scripted
+      tickInterval: parseInt(process.env.SIM_TICK_INTERVAL) || 1000, // 시세 생성 간격 (ms)
+      seed: process.env.SIM_SEED ? parseInt(process.env.SIM_SEED) : null, // 난수 시드 (지정 시 재현 가능)
+      volatility: parseFloat(process.env.SIM_VOLATILITY) || 0.8, // GBM 연간 변동성
+      drift: parseFloat(process.env.SIM_DRIFT) || 0, // GBM 연간 기대 수익률
+      stepSize: parseFloat(process.env.SIM_STEP_SIZE) || 0.0005, // 랜덤 워크 틱당 변동폭 (초기 가격 대비)
+      // scripted 모델 이벤트 (at: 시작 후 초, change: 가격 변화율, duration: 진행 시간 초)
+      scenario: parseJsonArrayEnv('SIM_SCENARIO', [
+        { at: 60, change: -0.15, duration: 10 },
+        { at: 180, change: 0.1, duration: 60 }
+      ]),
+      initialPrices: { BTCUSDT: 50000, ETHUSDT: 3000, SOLUSDT: 150 },
+      defaultPrice: 100, // initialPrices에 없는 심볼 초기 가격
+      fundingRate: 0.0001,
+      depthLevels: 50
+    },
+    // 시세 녹화 (제공자 토픽 메시지를 파일로 기록, replay 제공자 입력)
+    recorder: {
+      enabled: process.env.MARKET_RECORD === 'true',
+      dir: process.env.MARKET_RECORD_DIR || './data/recordings'
+    },
+    replay: {
+      file: process.env.REPLAY_FILE || '', // 재생할 녹화 파일
+      speed: parseFloat(process.env.REPLAY_SPEED) || 1, // 재생 배속 (1, 10, 100 ...)
+      maxSpeed: 1000,
+      startTime: parseInt(process.env.REPLAY_START_TIME) || null // 재생 시작 시각 (ms, 기본값: 녹화 시작)
+    }
+  },
+
+  // 백테스트 설정
+  backtest: {
+    strategyDir: process.env.BACKTEST_STRATEGY_DIR || './strategies', // API에서 이름으로 불러올 전략 모듈 디렉토리
+    defaultBars: 500,
+    maxBars: parseInt(process.env.BACKTEST_MAX_BARS) || 10000,
+    maxConcurrentJobs: 2, // 동시 실행 작업 수 (초과 시 대기)
+    maxStoredJobs: 50 // 보관할 완료 작업 수
+  },
+
+  // 관리자 API 설정 (ADMIN_TOKEN 필수, X-Admin-Token 헤더로 전달)
+  admin: {
+    token: process.env.ADMIN_TOKEN || ''
   },
 
   // 캐시 설정 (Redis 옵션)
@@ -32,19 +99,46 @@ module.exports = {
       price: 10,      // 가격 캐시 10초
       orderbook: 5,   // 호가창 캐시 5초
       kline: 60,      // K선 캐시 60초
-      ticker: 10      // 티커 캐시 10초
+      ticker: 10,     // 티커 캐시 10초
+      instruments: 3600 // 상품 정보 캐시 1시간
     }
   },
 
+  // 상태 저장소 설정 (사용자, 포지션, 주문, 거래 내역)
+  storage: {
+    backend: process.env.STORAGE_BACKEND || 'file', // file, redis, none
+    dataDir: process.env.DATA_DIR || './data'
+  },
+
+  // 이벤트 저널 설정 (명령 및 시세 입력 기록, 리플레이용)
+  journal: {
+    enabled: process.env.JOURNAL_ENABLED === 'true', // 기본값: false (크기 제한/순환 없이 계속 커지므로 필요할 때만 사용)
+    dir: process.env.JOURNAL_DIR || `${process.env.DATA_DIR || './data'}/journal`
+  },
+
   // 거래 설정
   trading: {
     initialBalance: parseFloat(process.env.INITIAL_BALANCE) || 10000,
+    defaultSymbol: process.env.DEFAULT_SYMBOL || 'BTCUSDT',
     maxLeverage: parseInt(process.env.MAX_LEVERAGE) || 100,
     defaultLeverage: parseInt(process.env.DEFAULT_LEVERAGE) || 100,
-    liquidationThreshold: parseFloat(process.env.LIQUIDATION_THRESHOLD) || 0.8,
     makerFee: parseFloat(process.env.MAKER_FEE) || 0.0002,
     takerFee: parseFloat(process.env.TAKER_FEE) || 0.0006,
-    maintenanceMarginRate: 0.005 // 0.5%
+    // 리스크 한도 티어 기본값 (Bybit 리스크 한도 미로딩 시 사용)
+    // riskLimitValue: 포지션 가치 상한, maintenanceMargin/initialMargin: 유지/초기 증거금률
+    riskLimitTiers: [
+      { riskLimitValue: 2000000, maintenanceMargin: 0.005, initialMargin: 0.01, maxLeverage: 100 },
+      { riskLimitValue: 4000000, maintenanceMargin: 0.01, initialMargin: 0.02, maxLeverage: 50 },
+      { riskLimitValue: 6000000, maintenanceMargin: 0.015, initialMargin: 0.03, maxLeverage: 33.33 },
+      { riskLimitValue: 8000000, maintenanceMargin: 0.02, initialMargin: 0.04, maxLeverage: 25 },
+      { riskLimitValue: 10000000, maintenanceMargin: 0.025, initialMargin: 0.05, maxLeverage: 20 },
+      { riskLimitValue: 20000000, maintenanceMargin: 0.05, initialMargin: 0.1, maxLeverage: 10 },
+      { riskLimitValue: 50000000, maintenanceMargin: 0.1, initialMargin: 0.2, maxLeverage: 5 }
+    ],
+    defaultMarginMode: process.env.DEFAULT_MARGIN_MODE || 'cross', // cross 또는 isolated
+    defaultPositionMode: process.env.DEFAULT_POSITION_MODE || 'oneway', // oneway 또는 hedge
+    depthLevelCap: parseFloat(process.env.DEPTH_LEVEL_CAP) || 1, // 호가 단계별 최대 체결 비율 (1 = 잔량 전체)
+    maxBatchOrders: parseInt(process.env.MAX_BATCH_ORDERS) || 20 // 일괄 주문 요청당 최대 주문 수 (Bybit: 20)
   },
 
   // WebSocket 설정
@@ -76,7 +170,19 @@ module.exports = {
   security: {
     jwtSecret: process.env.JWT_SECRET || 'your-secret-key-change-in-production',
     bcryptRounds: 10,
+    accessTokenTtl: process.env.JWT_ACCESS_TTL || '15m',
+    refreshTokenTtl: process.env.JWT_REFRESH_TTL || '7d',
+    guestMode: process.env.GUEST_MODE === 'true', // WebSocket auth에서 토큰 없이 userId 지정/자동 생성 허용 (테스트용)
     rateLimitWindow: 15 * 60 * 1000, // 15분
-    rateLimitMax: 100 // 15분당 최대 요청 수
+    rateLimitMax: 100, // 15분당 최대 요청 수
+    apiKeys: {
+      maxPerUser: 20, // 사용자당 최대 API 키 수 (Bybit와 동일)
+      defaultRecvWindow: 5000, // X-BAPI-RECV-WINDOW 미지정 시 허용 시각 오차 (ms)
+      maxRecvWindow: 60000
+    },
+    // 프록시 뒤에서 실행 시 클라이언트 IP 판별용 (숫자: 프록시 단계 수, true: 모두 신뢰, 그 외: 신뢰할 주소 목록)
+    trustProxy: /^\d+$/.test(process.env.TRUST_PROXY || '')
+      ? parseInt(process.env.TRUST_PROXY)
+      : process.env.TRUST_PROXY === 'true' || (process.env.TRUST_PROXY !== 'false' && process.env.TRUST_PROXY) || false
   }
 };
\ No newline at end of file
@@ -0,0 +1,28 @@
+// config/index.test.js - 환경 변수 설정 파싱 테스트
+
+// 지정한 환경 변수로 설정 모듈을 새로 로딩
+function loadConfig(env) {
+  const saved = { ...process.env };
+  Object.assign(process.env, env);
+  try {
+    let config;
+    jest.isolateModules(() => {
+      config = require('./index');
+    });
+    return config;
+  } finally {
+    process.env = saved;
+  }
+}
+
+describe('SIM_SCENARIO', () => {
+  test('parses a JSON array of scenario events', () => {
+    const config = loadConfig({ SIM_SCENARIO: '[{"at":60,"change":-0.2,"duration":10}]' });
+    expect(config.marketData.simulator.scenario).toEqual([{ at: 60, change: -0.2, duration: 10 }]);
+  });
+
+  test('names the variable when the value is not a JSON array', () => {
+    expect(() => loadConfig({ SIM_SCENARIO: '[{"at":60' })).toThrow(/^SIM_SCENARIO must be a JSON array: /);
+    expect(() => loadConfig({ SIM_SCENARIO: '{"at":60}' })).toThrow('SIM_SCENARIO must be a JSON array');
+  });
+});
@@ -1,5 +1,6 @@
 // controllers/marketController.js - 시장 데이터 API 컨트롤러
-const bybitService = require('../services/bybitService');
+const marketDataService = require('../services/marketDataService');
+const instrumentService = require('../services/instrumentService');
 const cacheService = require('../services/cacheService'); // 통합 캐시 서비스 사용
 const logger = require('../utils/logger');
 const config = require('../config');
@@ -22,8 +23,8 @@ class MarketController {
         });
       }
 
-      // Bybit API 호출
-      const ticker = await bybitService.getTicker(symbol);
+      // 시장 데이터 제공자 호출
+      const ticker = await marketDataService.getTicker(symbol);
       
       // 캐싱
       await cacheService.set(cacheKey, ticker, config.cache.ttl.ticker);
@@ -63,8 +64,8 @@ class MarketController {
         });
       }
 
-      // Bybit API 호출
-      const kline = await bybitService.getKline(symbol, interval, limit);
+      // 시장 데이터 제공자 호출
+      const kline = await marketDataService.getKline(symbol, interval, limit);
       
       // 캐싱
       await cacheService.set(cacheKey, kline, config.cache.ttl.kline);
@@ -103,8 +104,8 @@ class MarketController {
         });
       }
 
-      // Bybit API 호출
-      const orderbook = await bybitService.getOrderbook(symbol, limit);
+      // 시장 데이터 제공자 호출
+      const orderbook = await marketDataService.getOrderbook(symbol, limit);
       
       // 캐싱
       await cacheService.set(cacheKey, orderbook, config.cache.ttl.orderbook);
@@ -131,8 +132,8 @@ class MarketController {
         limit = 50 
       } = req.query;
       
-      // Bybit API 호출 (실시간 데이터이므로 캐싱하지 않음)
-      const trades = await bybitService.getRecentTrades(symbol, limit);
+      // 시장 데이터 제공자 호출 (실시간 데이터이므로 캐싱하지 않음)
+      const trades = await marketDataService.getRecentTrades(symbol, limit);
       
       res.json({
         success: true,
@@ -164,7 +165,7 @@ class MarketController {
         });
       }
       
-      const ticker = await bybitService.getTicker(symbol);
+      const ticker = await marketDataService.getTicker(symbol);
       
       const stats = {
         symbol: ticker.symbol,
@@ -193,6 +194,48 @@ class MarketController {
       });
     }
   }
+
+  // 상품 정보 조회 (호가 단위, 수량 단위, 레버리지 한도)
+  async getInstruments(req, res) {
+    try {
+      const { symbol } = req.query;
+      
+      const { list, cached } = await instrumentService.getInstruments(symbol || null);
+      
+      res.json({
+        success: true,
+        data: list,
+        cached
+      });
+    } catch (error) {
+      logger.error('Error fetching instruments:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  // 리스크 한도 티어 조회 (포지션 규모별 유지 증거금률, 최대 레버리지)
+  async getRiskLimit(req, res) {
+    try {
+      const { symbol } = req.query;
+      
+      const { list, cached } = await instrumentService.getRiskLimits(symbol || null);
+      
+      res.json({
+        success: true,
+        data: list,
+        cached
+      });
+    } catch (error) {
+      logger.error('Error fetching risk limit:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
 }
 
 module.exports = new MarketController();
\ No newline at end of file
@@ -0,0 +1,516 @@
+// controllers/v5Controller.js - Bybit V5 호환 REST API 컨트롤러 (SDK 그대로 사용 가능)
+//
+// 응답 형식: { retCode, retMsg, result, retExtInfo, time }
+// 지원 카테고리: linear (USDT 무기한 선물)
+const {
+  toRetCode,
+  formatOrder,
+  formatPosition,
+  formatExecution,
+  formatWallet
+} = require('../utils/bybitV5');
+const apiKeyService = require('../services/apiKeyService');
+const { OrderRejectedError } = require('../utils/errors');
+const { OPEN_ORDER_STATUSES } = require('../models/TradingEngine');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// 사용자별 최근 종료 주문 보관 개수 (Bybit: 최근 500건)
+const MAX_CLOSED_ORDERS = 500;
+const SUPPORTED_CATEGORIES = ['linear'];
+const ACCOUNT_TYPES = ['UNIFIED', 'CONTRACT'];
+
+class V5Controller {
+  constructor(tradingEngine) {
+    this.engine = tradingEngine;
+    this.closedOrders = new Map(); // userId -> 종료 주문 (오래된 순)
+
+    // 엔진은 종료 주문을 미체결 목록에서 제거하므로 조회용으로 따로 보관
+    const remember = (order) => {
+      if (!OPEN_ORDER_STATUSES.includes(order.status)) {
+        this.rememberClosedOrder(order);
+      }
+    };
+    this.engine.on('orderFilled', remember);
+    this.engine.on('orderCancelled', remember);
+
+    for (const method of [
+      'createOrder', 'cancelOrder', 'amendOrder', 'createOrders', 'amendOrders', 'cancelOrders',
+      'cancelAllOrders', 'getOrders',
+      'getPositions', 'setLeverage', 'getWalletBalance', 'getExecutions', 'getApiKeyInfo', 'getServerTime'
+    ]) {
+      this[method] = this[method].bind(this);
+    }
+  }
+
+  rememberClosedOrder(order) {
+    let list = this.closedOrders.get(order.userId);
+    if (!list) {
+      list = [];
+      this.closedOrders.set(order.userId, list);
+    }
+
+    list.push(order);
+    if (list.length > MAX_CLOSED_ORDERS) {
+      list.shift();
+    }
+  }
+
+  // 성공 응답
+  ok(res, result = {}, retExtInfo = {}) {
+    res.json({
+      retCode: 0,
+      retMsg: 'OK',
+      result,
+      retExtInfo,
+      time: Date.now()
+    });
+  }
+
+  // 실패 응답 (Bybit와 같이 HTTP 200 + retCode)
+  fail(res, retCode, retMsg) {
+    res.json({
+      retCode,
+      retMsg,
+      result: {},
+      retExtInfo: {},
+      time: Date.now()
+    });
+  }
+
+  failWith(res, error, context) {
+    const { retCode, retMsg } = toRetCode(error);
+    if (retCode === 10016) {
+      logger.error(`V5 ${context} error:`, error);
+    }
+    this.fail(res, retCode, retMsg);
+  }
+
+  // 카테고리 검증 (linear만 지원)
+  checkCategory(res, category) {
+    if (!category) {
+      this.fail(res, 10001, 'category is required');
+      return false;
+    }
+    if (!SUPPORTED_CATEGORIES.includes(category)) {
+      this.fail(res, 10001, 'Illegal category');
+      return false;
+    }
+    return true;
+  }
+
+  // API 키 서명 검증 미들웨어 (permission: 'read' | 'trade'), 키 소유자를 요청 사용자로 설정
+  authenticate(permission) {
+    return async (req, res, next) => {
+      try {
+        const key = apiKeyService.verifyHttpRequest(req, permission);
+        await this.engine.initUser(key.userId);
+        req.userId = key.userId;
+        req.apiKey = key.apiKey;
+        next();
+      } catch (error) {
+        this.failWith(res, error, 'authentication');
+      }
+    };
+  }
+
+  // 주문 조회 (미체결 주문 → 최근 종료 주문 순)
+  findOrder(userId, { orderId, orderLinkId }) {
+    const open = this.engine.findOpenOrder(userId, { orderId, orderLinkId });
+    if (open) return open;
+
+    const closed = this.closedOrders.get(userId) || [];
+    for (let i = closed.length - 1; i >= 0; i--) {
+      const order = closed[i];
+      if ((orderId && order.orderId === orderId) || (!orderId && orderLinkId && order.orderLinkId === orderLinkId)) {
+        return order;
+      }
+    }
+    return null;
+  }
+
+  // 주문 요청 본문 → 엔진 주문 데이터 ({ error } 또는 { data })
+  parseOrderRequest(body) {
+    const {
+      symbol, side, orderType, qty, price, timeInForce, orderLinkId,
+      positionIdx, triggerPrice, triggerDirection, triggerBy, takeProfit, stopLoss,
+      reduceOnly, closeOnTrigger
+    } = body;
+
+    if (!symbol || !side || !orderType || !qty) {
+      return { error: 'symbol, side, orderType and qty are required' };
+    }
+    if (!['Buy', 'Sell'].includes(side)) {
+      return { error: `Invalid side: ${side}` };
+    }
+    if (!['Market', 'Limit'].includes(orderType)) {
+      return { error: `Invalid orderType: ${orderType}` };
+    }
+    if (orderType === 'Limit' && !price) {
+      return { error: 'price is required for limit orders' };
+    }
+
+    return {
+      data: {
+        symbol,
+        side,
+        orderType,
+        qty: parseFloat(qty),
+        price: orderType === 'Limit' ? parseFloat(price) : undefined,
+        timeInForce,
+        orderLinkId,
+        positionIdx: positionIdx !== undefined ? parseInt(positionIdx) : undefined,
+        triggerPrice: triggerPrice ? parseFloat(triggerPrice) : undefined,
+        triggerDirection: triggerDirection ? parseInt(triggerDirection) : undefined,
+        triggerBy,
+        takeProfit: takeProfit ? parseFloat(takeProfit) : undefined,
+        stopLoss: stopLoss ? parseFloat(stopLoss) : undefined,
+        reduceOnly: reduceOnly === true || reduceOnly === 'true' || closeOnTrigger === true || closeOnTrigger === 'true'
+      }
+    };
+  }
+
+  // 정정/취소 요청 본문 → 엔진 항목 (orderId 또는 orderLinkId 필수)
+  parseOrderRef(body) {
+    const { orderId, orderLinkId, qty, price, triggerPrice, takeProfit, stopLoss } = body;
+    if (!orderId && !orderLinkId) {
+      return { error: 'orderId or orderLinkId is required' };
+    }
+    return { data: { orderId, orderLinkId, qty, price, triggerPrice, takeProfit, stopLoss } };
+  }
+
+  // POST /v5/order/create
+  async createOrder(req, res) {
+    if (!this.checkCategory(res, req.body.category)) return;
+
+    const { error, data } = this.parseOrderRequest(req.body);
+    if (error) {
+      return this.fail(res, 10001, error);
+    }
+
+    try {
+      const order = await this.engine.createOrder(req.userId, data);
+      this.ok(res, { orderId: order.orderId, orderLinkId: order.orderLinkId });
+    } catch (error) {
+      this.failWith(res, error, 'order create');
+    }
+  }
+
+  // POST /v5/order/cancel
+  async cancelOrder(req, res) {
+    const { category, orderId, orderLinkId } = req.body;
+
+    if (!this.checkCategory(res, category)) return;
+    if (!orderId && !orderLinkId) {
+      return this.fail(res, 10001, 'orderId or orderLinkId is required');
+    }
+
+    try {
+      const open = this.engine.findOpenOrder(req.userId, { orderId, orderLinkId });
+      if (!open) {
+        return this.fail(res, 110001, 'Order does not exist.');
+      }
+
+      const order = this.engine.cancelOrder(req.userId, open.orderId);
+      this.ok(res, { orderId: order.orderId, orderLinkId: order.orderLinkId });
+    } catch (error) {
+      this.failWith(res, error, 'order cancel');
+    }
+  }
+
+  // POST /v5/order/amend
+  async amendOrder(req, res) {
+    const { category, orderId, orderLinkId, qty, price, triggerPrice, takeProfit, stopLoss } = req.body;
+
+    if (!this.checkCategory(res, category)) return;
+    if (!orderId && !orderLinkId) {
+      return this.fail(res, 10001, 'orderId or orderLinkId is required');
+    }
+
+    try {
+      const open = this.engine.findOpenOrder(req.userId, { orderId, orderLinkId });
+      if (!open) {
+        return this.fail(res, 110001, 'Order does not exist.');
+      }
+
+      const order = this.engine.amendOrder(req.userId, open.orderId, { qty, price, triggerPrice, takeProfit, stopLoss });
+      this.ok(res, { orderId: order.orderId, orderLinkId: order.orderLinkId });
+    } catch (error) {
+      this.failWith(res, error, 'order amend');
+    }
+  }
+
+  // 일괄 요청 처리 (body.request 배열, 항목별 결과는 result.list와 retExtInfo.list의 같은 위치에 기록)
+  // 형식 오류 항목은 엔진에 넘기지 않고, 나머지 항목은 일부가 실패해도 모두 처리
+  async runBatch(req, res, method, parse, context) {
+    const { category, request } = req.body;
+
+    if (!this.checkCategory(res, category)) return;
+    if (!Array.isArray(request) || request.length === 0) {
+      return this.fail(res, 10001, 'request is required');
+    }
+    if (request.length > config.trading.maxBatchOrders) {
+      return this.fail(res, 10001, `Maximum of ${config.trading.maxBatchOrders} orders per batch`);
+    }
+
+    const parsed = request.map(item => parse(item && typeof item === 'object' ? item : {}));
+    const valid = parsed.filter(item => !item.error).map(item => item.data);
+
+    try {
+      const results = valid.length > 0 ? await this.engine[method](req.userId, valid) : [];
+
+      const list = [];
+      const extList = [];
+      let next = 0;
+      parsed.forEach((item, i) => {
+        const result = item.error ? null : results[next++];
+        const requested = request[i] || {};
+
+        if (result && result.success) {
+          const { order } = result;
+          list.push({
+            category,
+            symbol: order.symbol,
+            orderId: order.orderId,
+            orderLinkId: order.orderLinkId,
+            ...(method === 'createOrders' ? { createAt: String(order.createdTime) } : {})
+          });
+          extList.push({ code: 0, msg: 'OK' });
+          return;
+        }
+
+        const { retCode, retMsg } = item.error
+          ? { retCode: 10001, retMsg: item.error }
+          : toRetCode(result.code ? new OrderRejectedError(result.code, result.error) : new Error(result.error));
+        list.push({
+          category,
+          symbol: requested.symbol || '',
+          orderId: method === 'createOrders' ? '' : (requested.orderId || ''),
+          orderLinkId: requested.orderLinkId || '',
+          ...(method === 'createOrders' ? { createAt: '' } : {})
+        });
+        extList.push({ code: retCode, msg: retMsg });
+      });
+
+      this.ok(res, { list }, { list: extList });
+    } catch (error) {
+      this.failWith(res, error, context);
+    }
+  }
+
+  // POST /v5/order/create-batch
+  createOrders(req, res) {
+    return this.runBatch(req, res, 'createOrders', body => this.parseOrderRequest(body), 'batch order create');
+  }
+
+  // POST /v5/order/amend-batch
+  amendOrders(req, res) {
+    return this.runBatch(req, res, 'amendOrders', body => this.parseOrderRef(body), 'batch order amend');
+  }
+
+  // POST /v5/order/cancel-batch
+  cancelOrders(req, res) {
+    return this.runBatch(req, res, 'cancelOrders', body => {
+      const { error, data } = this.parseOrderRef(body);
+      return error ? { error } : { data: { orderId: data.orderId, orderLinkId: data.orderLinkId } };
+    }, 'batch order cancel');
+  }
+
+  // POST /v5/order/cancel-all (symbol 미지정 시 전체, settleCoin은 USDT만 해당)
+  async cancelAllOrders(req, res) {
+    const { category, symbol, settleCoin } = req.body;
+
+    if (!this.checkCategory(res, category)) return;
+    if (settleCoin && settleCoin !== 'USDT') {
+      return this.ok(res, { list: [], success: '1' });
+    }
+
+    try {
+      const orders = this.engine.cancelAllOrders(req.userId, { symbol });
+      this.ok(res, {
+        list: orders.map(order => ({ orderId: order.orderId, orderLinkId: order.orderLinkId })),
+        success: '1'
+      });
+    } catch (error) {
+      this.failWith(res, error, 'order cancel all');
+    }
+  }
+
+  // GET /v5/order/realtime (openOnly=0: 미체결, 1: 최근 종료 주문, orderId/orderLinkId 지정 시 상태 무관)
+  getOrders(req, res) {
+    const { category, symbol, orderId, orderLinkId, openOnly = '0', orderFilter, limit = '20', cursor } = req.query;
+
+    if (!this.checkCategory(res, category)) return;
+
+    const pageSize = parseInt(limit);
+    if (!(pageSize >= 1 && pageSize <= 50)) {
+      return this.fail(res, 10001, 'limit must be between 1 and 50');
+    }
+    const start = cursor ? parseInt(cursor) : 0;
+    if (isNaN(start) || start < 0) {
+      return this.fail(res, 10001, 'Invalid cursor');
+    }
+
+    let orders;
+    if (orderId || orderLinkId) {
+      const order = this.findOrder(req.userId, { orderId, orderLinkId });
+      orders = order ? [order] : [];
+    } else if (String(openOnly) === '0') {
+      orders = [...(this.engine.orders.get(req.userId) || [])].reverse();
+    } else {
+      orders = [...(this.closedOrders.get(req.userId) || [])].reverse();
+    }
+
+    // orderFilter: Order (일반 주문), StopOrder (조건부 주문)
+    const filtered = orders.filter(order =>
+      (!symbol || order.symbol === symbol) &&
+      (!orderFilter || (orderFilter === 'StopOrder') === Boolean(order.stopOrderType))
+    );
+    const page = filtered.slice(start, start + pageSize);
+
+    this.ok(res, {
+      category,
+      list: page.map(formatOrder),
+      nextPageCursor: start + pageSize < filtered.length ? String(start + pageSize) : ''
+    });
+  }
+
+  // GET /v5/position/list (심볼 지정 시 포지션이 없어도 빈 포지션 반환)
+  getPositions(req, res) {
+    const { category, symbol, settleCoin } = req.query;
+
+    if (!this.checkCategory(res, category)) return;
+    if (!symbol && !settleCoin) {
+      return this.fail(res, 10001, 'symbol or settleCoin is required');
+    }
+    if (settleCoin && settleCoin !== 'USDT') {
+      return this.ok(res, { category, list: [], nextPageCursor: '' });
+    }
+
+    const positions = (this.engine.positions.get(req.userId) || [])
+      .filter(p => !symbol || p.symbol === symbol);
+
+    let list = positions.map(p => formatPosition(p));
+    if (symbol) {
+      // 단방향: 인덱스 0, 헤지: 인덱스 1(롱), 2(숏)
+      const indexes = this.engine.getPositionMode(req.userId) === 'hedge' ? [1, 2] : [0];
+      list = indexes.map(positionIdx => {
+        const position = positions.find(p => p.positionIdx === positionIdx);
+        return formatPosition(position, {
+          symbol,
+          positionIdx,
+          leverage: this.engine.getLeverage(req.userId, symbol),
+          marginMode: this.engine.getMarginMode(req.userId, symbol)
+        });
+      });
+    }
+
+    this.ok(res, { category, list, nextPageCursor: '' });
+  }
+
+  // POST /v5/position/set-leverage (매수/매도 레버리지는 같은 값만 지원)
+  setLeverage(req, res) {
+    const { category, symbol, buyLeverage, sellLeverage } = req.body;
+
+    if (!this.checkCategory(res, category)) return;
+    if (!symbol || !buyLeverage || !sellLeverage) {
+      return this.fail(res, 10001, 'symbol, buyLeverage and sellLeverage are required');
+    }
+    if (parseFloat(buyLeverage) !== parseFloat(sellLeverage)) {
+      return this.fail(res, 10001, 'buyLeverage must be equal to sellLeverage');
+    }
+
+    try {
+      this.engine.setLeverage(req.userId, symbol, buyLeverage);
+      this.ok(res);
+    } catch (error) {
+      this.failWith(res, error, 'set leverage');
+    }
+  }
+
+  // GET /v5/account/wallet-balance
+  getWalletBalance(req, res) {
+    const { accountType, coin } = req.query;
+
+    if (!ACCOUNT_TYPES.includes(accountType)) {
+      return this.fail(res, 10001, 'accountType only support UNIFIED or CONTRACT');
+    }
+
+    const data = this.engine.getUserData(req.userId);
+    const wallet = formatWallet(data.user, data.positions, accountType);
+    if (coin && !coin.split(',').includes('USDT')) {
+      wallet.coin = [];
+    }
+
+    this.ok(res, { list: [wallet] });
+  }
+
+  // GET /v5/execution/list
+  getExecutions(req, res) {
+    const { category, symbol, orderId, orderLinkId, execType, startTime, endTime, limit, cursor } = req.query;
+
+    if (!this.checkCategory(res, category)) return;
+
+    try {
+      const page = this.engine.getExecutions(req.userId, {
+        symbol, orderId, orderLinkId, execType, startTime, endTime, limit, cursor
+      });
+
+      this.ok(res, {
+        category,
+        list: page.list.map(formatExecution),
+        nextPageCursor: page.nextPageCursor
+      });
+    } catch (error) {
+      this.failWith(res, error, 'execution list');
+    }
+  }
+
+  // GET /v5/user/query-api (요청에 사용한 키 정보)
+  getApiKeyInfo(req, res) {
+    const key = apiKeyService.getKey(req.apiKey);
+
+    this.ok(res, {
+      id: key.apiKey,
+      note: key.note,
+      apiKey: key.apiKey,
+      readOnly: key.readOnly ? 1 : 0,
+      secret: '',
+      permissions: {
+        ContractTrade: key.readOnly ? [] : ['Order', 'Position'],
+        Spot: [],
+        Wallet: [],
+        Options: [],
+        Derivatives: [],
+        CopyTrading: [],
+        BlockTrade: [],
+        Exchange: [],
+        NFT: []
+      },
+      ips: key.ips.length > 0 ? key.ips : ['*'],
+      type: 1,
+      deadlineDay: -1,
+      expiredAt: '',
+      createdAt: new Date(key.createdAt).toISOString(),
+      unified: 1,
+      uta: 1,
+      userID: key.userId,
+      inviterID: 0,
+      vipLevel: 'No VIP',
+      mktMakerLevel: '0',
+      affiliateID: 0
+    });
+  }
+
+  // GET /v5/market/time (SDK 서명 시각 동기화용, 실제 시각 기준)
+  getServerTime(req, res) {
+    const now = Date.now();
+
+    this.ok(res, {
+      timeSecond: String(Math.floor(now / 1000)),
+      timeNano: `${now}000000`
+    });
+  }
+}
+
+module.exports = V5Controller;
@@ -4,19 +4,330 @@ const EventEmitter = require('events');
 const config = require('../config');
 const logger = require('../utils/logger');
 const cacheService = require('../services/cacheService'); // 통합 캐시 서비스 사용
+const storageService = require('../services/storageService');
+const journalService = require('../services/journalService');
+const { OrderRejectedError } = require('../utils/errors');
+
+const TIME_IN_FORCE = ['GTC', 'IOC', 'FOK', 'PostOnly'];
+const OPEN_ORDER_STATUSES = ['New', 'PartiallyFilled', 'Untriggered', 'Triggered'];
+const SYMBOL_PATTERN = /^[A-Z0-9]{2,20}$/;
+const MARGIN_MODES = ['cross', 'isolated'];
+const POSITION_MODES = ['oneway', 'hedge'];
+const TRIGGER_BY = ['LastPrice', 'MarkPrice', 'IndexPrice'];
+const HISTORY_MAX_RANGE = 7 * 24 * 60 * 60 * 1000; // 청산 손익/체결 내역 조회 최대 기간 (7일)
+// 사용자 상태 변경 이벤트 (발생 시 저장소에 기록)
+const PERSIST_EVENTS = [
+  'orderCreated', 'orderAmended', 'orderFilled', 'orderCancelled', 'orderTriggered', 'orderGroupUpdate',
+  'positionUpdate', 'funding', 'liquidation'
+];
+// 저널에 기록하는 입력 (명령 및 시세), 리플레이 시 같은 순서로 재실행
+const JOURNALED_METHODS = [
+  'initUser', 'createOrder', 'createOrders', 'amendOrder', 'amendOrders', 'cancelOrder', 'cancelOrders',
+  'cancelAllOrders', 'createOcoOrder', 'createBracketOrder', 'cancelOrderGroup', 'closePosition', 'setTradingStop',
+  'setMarginMode', 'setLeverage', 'setPositionMode', 'adjustPositionMargin', 'activateSymbol',
+  'updateCurrentPrice', 'updateMarkPrice', 'updateOrderbook', 'updateFundingRate',
+  'setInstruments', 'setRiskLimits'
+];
+const HISTORY_TYPES = ['tradeHistory', 'closedPnl']; // 저장소에 추가 전용으로 기록하는 사용자 내역
+const HEDGE_POSITION_IDX = { Buy: 1, Sell: 2 }; // 헤지 모드 포지션 인덱스 (1: 롱, 2: 숏)
+const ORDER_GROUP_TYPES = ['OCO', 'Bracket'];
+
+// 부동소수점 오차 제거 (수량)
+function roundQty(value) {
+  return parseFloat(value.toFixed(8));
+}
+
+// 단위(step)의 배수 여부 (부동소수점 오차 허용)
+function isMultipleOf(value, step) {
+  if (!step) return true;
+  const ratio = value / step;
+  return Math.abs(ratio - Math.round(ratio)) < 1e-6;
+}
+
+// 리스크 한도 티어 정규화 (포지션 가치 오름차순, 유지 증거금 공제액 계산)
+function normalizeRiskTiers(list) {
+  const tiers = list
+    .map(item => ({
+      riskLimitValue: parseFloat(item.riskLimitValue),
+      maintenanceMarginRate: parseFloat(item.maintenanceMargin),
+      initialMarginRate: parseFloat(item.initialMargin),
+      maxLeverage: parseFloat(item.maxLeverage),
+      mmDeduction: item.mmDeduction === undefined || item.mmDeduction === '' ? null : parseFloat(item.mmDeduction)
+    }))
+    .sort((a, b) => a.riskLimitValue - b.riskLimitValue);
+
+  // 티어 경계에서 유지 증거금이 연속되도록 공제액 계산 (Bybit 값이 없을 때)
+  tiers.forEach((tier, index) => {
+    tier.tier = index + 1;
+    if (tier.mmDeduction === null) {
+      const prev = tiers[index - 1];
+      tier.mmDeduction = prev
+        ? prev.mmDeduction + prev.riskLimitValue * (tier.maintenanceMarginRate - prev.maintenanceMarginRate)
+        : 0;
+    }
+  });
+
+  return tiers;
+}
+
+// 오더북 호가 갱신 (size 0은 삭제)
+function applyLevels(levels, updates, descending) {
+  const book = new Map(levels);
+  
+  for (const [price, size] of updates) {
+    const p = parseFloat(price);
+    const q = parseFloat(size);
+    
+    if (q === 0) {
+      book.delete(p);
+    } else {
+      book.set(p, q);
+    }
+  }
+  
+  return Array.from(book.entries()).sort((a, b) => descending ? b[0] - a[0] : a[0] - b[0]);
+}
+
+// 일괄 처리 결과 정리 (항목 순서 유지)
+async function batchResults(pending) {
+  const settled = await Promise.allSettled(pending);
+  return settled.map(({ status, value, reason }) => status === 'fulfilled'
+    ? { success: true, order: value }
+    : { success: false, error: reason.message, code: reason.code, details: reason.details });
+}
 
 class TradingEngine extends EventEmitter {
-  constructor() {
+  // persistence: 저장소 기록 여부 (리플레이 시 false)
+  constructor({ persistence = true } = {}) {
     super();
     this.users = new Map();
     this.positions = new Map();
     this.orders = new Map();
-    this.orderBook = {
-      bids: [],
-      asks: []
-    };
-    this.currentPrice = 50000;
+    this.orderBooks = new Map(); // symbol -> { bids, asks }
+    this.prices = new Map(); // symbol -> 최근 체결가
+    this.markPrices = new Map(); // symbol -> 마크 가격 (손익/청산 기준)
+    this.indexPrices = new Map(); // symbol -> 인덱스 가격
+    this.activeSymbols = new Set();
+    this.instruments = new Map(); // symbol -> 상품 정보 (호가/수량 단위, 레버리지 한도)
+    this.riskLimits = new Map(); // symbol -> 리스크 한도 티어
+    this.fundingRates = new Map(); // symbol -> { fundingRate, nextFundingTime, settledTime }
+    this.defaultRiskTiers = normalizeRiskTiers(config.trading.riskLimitTiers);
     this.priceUpdateInterval = null;
+    this.persistenceEnabled = persistence;
+    this.dirtyUsers = new Set(); // 저장 대기 중인 사용자
+    this.savedHistory = new Map(); // userId -> 저장소에 기록된 내역 수 { tradeHistory, closedPnl }
+    this.persistScheduled = false;
+    this.persistQueue = Promise.resolve();
+    this.journalEnabled = false;
+    this.journalSeq = 0;
+    this.clock = Date.now; // 시각 공급 함수 (재생 모드에서는 재생 시계)
+    this.currentEntry = null; // 실행 중인 저널 항목 (시각, 생성된 ID)
+    this.replayIds = null; // 리플레이 중 재사용할 ID
+    this.marginBudget = null; // 일괄 주문 처리 중 항목끼리 나눠 쓰는 가용 증거금
+
+    // 상태 변경 이벤트마다 해당 사용자 저장
+    PERSIST_EVENTS.forEach(event => {
+      this.on(event, data => this.persistUser(data.userId));
+    });
+
+    // 입력 메서드를 저널 기록 래퍼로 교체
+    JOURNALED_METHODS.forEach(method => {
+      const fn = this[method];
+      this[method] = (...args) => this.journalCall(method, args, () => fn.apply(this, args));
+    });
+  }
+
+  // 현재 시각 (저널 항목 실행 중에는 항목 시각으로 고정)
+  now() {
+    return this.currentEntry ? this.currentEntry.ts : this.clock();
+  }
+
+  // 시각 공급 함수 교체 (시세 재생 시 주문/체결/펀딩 시각이 재생 시계를 따름)
+  setClock(clock) {
+    this.clock = clock || Date.now;
+  }
+
+  // ID 생성 (저널 항목에 기록, 리플레이 시 기록된 ID 재사용)
+  nextId() {
+    if (this.replayIds) {
+      if (this.replayIds.length === 0) {
+        throw new Error('Journal replay diverged: no recorded id left for this entry');
+      }
+      return this.replayIds.shift();
+    }
+
+    const id = uuidv4();
+    if (this.currentEntry) {
+      this.currentEntry.ids.push(id);
+    }
+    return id;
+  }
+
+  // 저널 기록 시작 (현재 상태 스냅샷을 첫 항목으로 기록)
+  startJournal() {
+    journalService.open();
+    this.journalEnabled = true;
+    
+    journalService.append({
+      seq: this.journalSeq++,
+      ts: this.now(),
+      method: 'restoreState',
+      args: [this.snapshotState()],
+      ids: []
+    });
+  }
+
+  // 입력 메서드 실행 및 저널 기록 (중첩 호출은 최상위 항목에 포함)
+  journalCall(method, args, fn) {
+    if (!this.journalEnabled || this.currentEntry) {
+      return fn();
+    }
+
+    const entry = { seq: this.journalSeq++, ts: this.now(), method, args, ids: [] };
+    this.currentEntry = entry;
+    
+    // 상태 변경은 동기적으로 끝나므로 반환 직후 기록 (실패한 명령도 기록)
+    try {
+      return fn();
+    } finally {
+      this.currentEntry = null;
+      journalService.append(entry);
+    }
+  }
+
+  // 저널 항목 재실행 (기록된 시각과 ID 사용, 반환값: 결과 및 남은 ID 수)
+  applyJournalEntry(entry) {
+    if (entry.method !== 'restoreState' && !JOURNALED_METHODS.includes(entry.method)) {
+      throw new Error(`Unknown journal method: ${entry.method}`);
+    }
+
+    this.currentEntry = { ts: entry.ts, ids: [] };
+    this.replayIds = [...entry.ids];
+
+    try {
+      const result = this[entry.method](...entry.args);
+      return { result, remainingIds: this.replayIds.length };
+    } finally {
+      this.currentEntry = null;
+      this.replayIds = null;
+    }
+  }
+
+  // 저장소에서 전체 사용자 상태 복원
+  async loadState() {
+    const snapshots = await storageService.loadUsers();
+
+    // 추가 전용으로 기록된 내역 병합 (내역 분리 이전 스냅샷은 스냅샷의 내역 사용, 다음 저장 시 내역 기록으로 이동)
+    for (const { user } of snapshots) {
+      const history = await storageService.loadHistory(user.userId);
+      const saved = {};
+      for (const type of HISTORY_TYPES) {
+        if (history[type].length > 0 || !user[type]) {
+          user[type] = history[type];
+        }
+        saved[type] = history[type].length;
+      }
+      this.savedHistory.set(user.userId, saved);
+    }
+
+    this.restoreState(snapshots);
+
+    logger.info(`State restored: ${snapshots.length} users`);
+    return snapshots.length;
+  }
+
+  // 사용자 상태 스냅샷 적용 (저장소 복원, 저널 리플레이 시작점)
+  restoreState(snapshots) {
+    for (const { user, positions, orders } of snapshots) {
+      this.users.set(user.userId, user);
+      this.positions.set(user.userId, positions || []);
+      this.orders.set(user.userId, orders || []);
+
+      // 포지션/미체결 주문 심볼 시세 구독
+      for (const item of [...(positions || []), ...(orders || [])]) {
+        if (!this.activeSymbols.has(item.symbol)) {
+          this.activeSymbols.add(item.symbol);
+          this.emit('symbolActivated', item.symbol);
+        }
+      }
+    }
+  }
+
+  // 사용자 상태 스냅샷
+  serializeUser(userId) {
+    return {
+      user: this.users.get(userId),
+      positions: this.positions.get(userId) || [],
+      orders: this.orders.get(userId) || []
+    };
+  }
+
+  // 저장용 사용자 상태 (스냅샷: 잔고/포지션/미체결 주문, 내역: 추가 전용으로 따로 기록)
+  splitUserState(userId) {
+    const { user, positions, orders } = this.serializeUser(userId);
+    const { tradeHistory, closedPnl, ...account } = user;
+    return {
+      snapshot: { user: account, positions, orders },
+      history: { tradeHistory, closedPnl }
+    };
+  }
+
+  // 전체 사용자 상태 스냅샷
+  snapshotState() {
+    return Array.from(this.users.keys()).map(userId => this.serializeUser(userId));
+  }
+
+  // 사용자 상태 저장 예약 (같은 틱의 변경은 한 번에 기록)
+  persistUser(userId) {
+    if (!this.persistenceEnabled || !storageService.enabled || !this.users.has(userId)) return;
+
+    this.dirtyUsers.add(userId);
+    if (this.persistScheduled) return;
+
+    this.persistScheduled = true;
+    setImmediate(() => {
+      this.persistScheduled = false;
+      this.flushState();
+    });
+  }
+
+  // 전체 사용자 상태 기록 (종료 시, 시세로만 바뀐 손익/마크 가격 포함)
+  persistAll() {
+    if (!this.persistenceEnabled || !storageService.enabled) return this.persistQueue;
+
+    for (const userId of this.users.keys()) {
+      this.dirtyUsers.add(userId);
+    }
+    return this.flushState();
+  }
+
+  // 저장 대기 중인 사용자 상태 기록 (순서 보장을 위해 직렬 처리, 내역은 마지막 저장 이후 항목만 추가)
+  flushState() {
+    this.persistQueue = this.persistQueue.then(async () => {
+      const userIds = [...this.dirtyUsers];
+      this.dirtyUsers.clear();
+
+      for (const userId of userIds) {
+        try {
+          const { snapshot, history } = this.splitUserState(userId);
+          const saved = this.savedHistory.get(userId) || {};
+          const counts = {};
+          const added = {};
+          for (const type of HISTORY_TYPES) {
+            counts[type] = history[type].length;
+            added[type] = history[type].slice(saved[type] || 0, counts[type]);
+          }
+
+          await storageService.appendHistory(userId, added);
+          this.savedHistory.set(userId, counts);
+          await storageService.saveUser(userId, snapshot);
+        } catch (error) {
+          logger.error(`Failed to persist state for user ${userId}:`, error);
+        }
+      }
+    });
+
+    return this.persistQueue;
   }
 
   // 사용자 초기화
@@ -38,368 +349,2213 @@ class TradingEngine extends EventEmitter {
       positions: [],
       orders: [],
       tradeHistory: [],
-      createdAt: Date.now()
+      closedPnl: [], // 포지션 종료 손익 내역 (Bybit closed-pnl)
+      marginModes: {}, // symbol -> 'cross' | 'isolated'
+      leverages: {}, // symbol -> 레버리지 (신규 주문 기본값)
+      positionMode: config.trading.defaultPositionMode, // 'oneway' | 'hedge'
+      orderGroups: {}, // groupId -> 진행 중인 OCO/브래킷 주문 그룹
+      createdAt: this.now()
     };
 
-    this.users.set(userId, user);
-    this.positions.set(userId, []);
-    this.orders.set(userId, []);
+    this.users.set(userId, user);
+    this.positions.set(userId, []);
+    this.orders.set(userId, []);
+
+    // 캐시 및 저장소에 저장
+    await cacheService.hset('users', userId, user);
+    this.persistUser(userId);
+
+    logger.info(`User initialized: ${userId}`);
+    return user;
+  }
+
+  // 상품 정보 설정 (Bybit instruments-info 목록)
+  setInstruments(list) {
+    for (const item of list) {
+      this.instruments.set(item.symbol, {
+        symbol: item.symbol,
+        status: item.status,
+        tickSize: parseFloat(item.priceFilter.tickSize),
+        minPrice: parseFloat(item.priceFilter.minPrice),
+        maxPrice: parseFloat(item.priceFilter.maxPrice),
+        qtyStep: parseFloat(item.lotSizeFilter.qtyStep),
+        minOrderQty: parseFloat(item.lotSizeFilter.minOrderQty),
+        maxOrderQty: parseFloat(item.lotSizeFilter.maxOrderQty),
+        maxMktOrderQty: parseFloat(item.lotSizeFilter.maxMktOrderQty) || parseFloat(item.lotSizeFilter.maxOrderQty),
+        minNotionalValue: parseFloat(item.lotSizeFilter.minNotionalValue) || 0,
+        minLeverage: parseFloat(item.leverageFilter.minLeverage),
+        maxLeverage: parseFloat(item.leverageFilter.maxLeverage)
+      });
+    }
+
+    logger.info(`Instruments loaded: ${this.instruments.size} symbols`);
+  }
+
+  // 리스크 한도 티어 설정 (Bybit risk-limit 목록, 여러 심볼 포함 가능)
+  setRiskLimits(list) {
+    const bySymbol = new Map();
+    for (const item of list) {
+      if (!bySymbol.has(item.symbol)) bySymbol.set(item.symbol, []);
+      bySymbol.get(item.symbol).push(item);
+    }
+
+    for (const [symbol, items] of bySymbol) {
+      this.riskLimits.set(symbol, normalizeRiskTiers(items));
+    }
+
+    logger.info(`Risk limits loaded: ${bySymbol.size} symbols`);
+  }
+
+  // 포지션 가치에 해당하는 리스크 티어 조회 (최대 한도 초과 시 null)
+  getRiskTier(symbol, positionValue) {
+    const tiers = this.riskLimits.get(symbol) || this.defaultRiskTiers;
+    return tiers.find(t => positionValue <= t.riskLimitValue) || null;
+  }
+
+  // 주문 체결 후 예상 포지션 가치 (포지션 감소 주문은 0)
+  projectPositionValue(userId, symbol, side, qty, price, reduceOnly = false, positionIdx = 0) {
+    if (reduceOnly) return 0;
+
+    const position = this.findPosition(userId, symbol, positionIdx);
+    if (!position) {
+      return qty * price;
+    }
+    if (position.side === side) {
+      return position.qty * position.avgPrice + qty * price;
+    }
+    
+    // 반대 방향: 포지션 전환 시 초과 수량만 새 포지션
+    return qty > position.qty ? (qty - position.qty) * price : 0;
+  }
+
+  // 리스크 한도 검증 (포지션 가치 상한, 티어별 최대 레버리지)
+  checkRiskLimit(symbol, positionValue, leverage) {
+    if (positionValue <= 0) return;
+
+    const tier = this.getRiskTier(symbol, positionValue);
+    if (!tier) {
+      const tiers = this.riskLimits.get(symbol) || this.defaultRiskTiers;
+      const maxValue = tiers[tiers.length - 1].riskLimitValue;
+      throw new OrderRejectedError('RISK_LIMIT_EXCEEDED', `Position value ${positionValue.toFixed(2)} exceeds the maximum risk limit of ${maxValue} for ${symbol}`, {
+        positionValue, riskLimitValue: maxValue
+      });
+    }
+
+    if (leverage > tier.maxLeverage) {
+      throw new OrderRejectedError('RISK_LIMIT_LEVERAGE', `Position value ${positionValue.toFixed(2)} falls in risk tier ${tier.tier} (up to ${tier.riskLimitValue}), which allows at most ${tier.maxLeverage}x leverage`, {
+        positionValue,
+        leverage,
+        tier: tier.tier,
+        riskLimitValue: tier.riskLimitValue,
+        maxLeverage: tier.maxLeverage,
+        maintenanceMarginRate: tier.maintenanceMarginRate,
+        initialMarginRate: tier.initialMarginRate
+      });
+    }
+  }
+
+  // 주문 상품 규격 검증 (상품 정보 미로딩 시 생략)
+  validateOrderSpec(symbol, { orderType, qty, price, triggerPrice, leverage, orderValue, reduceOnly }) {
+    if (!(qty > 0)) {
+      throw new OrderRejectedError('INVALID_QTY', 'Order quantity must be greater than 0');
+    }
+    if (orderType === 'Limit' && !(price > 0)) {
+      throw new OrderRejectedError('INVALID_PRICE', 'Limit price must be greater than 0');
+    }
+
+    const instrument = this.instruments.get(symbol);
+    if (!instrument) return;
+
+    if (instrument.status !== 'Trading') {
+      throw new OrderRejectedError('SYMBOL_NOT_TRADING', `${symbol} is not trading (${instrument.status})`, {
+        status: instrument.status
+      });
+    }
+
+    // 가격 검증
+    for (const [field, value] of [['price', price], ['triggerPrice', triggerPrice]]) {
+      if (value === null) continue;
+      
+      if (!isMultipleOf(value, instrument.tickSize)) {
+        throw new OrderRejectedError('TICK_SIZE', `${field} must be a multiple of tick size ${instrument.tickSize}`, {
+          field, value, tickSize: instrument.tickSize
+        });
+      }
+      if (value < instrument.minPrice || value > instrument.maxPrice) {
+        throw new OrderRejectedError('PRICE_OUT_OF_RANGE', `${field} must be between ${instrument.minPrice} and ${instrument.maxPrice}`, {
+          field, value, minPrice: instrument.minPrice, maxPrice: instrument.maxPrice
+        });
+      }
+    }
+
+    // 수량 검증
+    if (qty < instrument.minOrderQty) {
+      throw new OrderRejectedError('MIN_QTY', `Minimum order quantity is ${instrument.minOrderQty}`, {
+        qty, minOrderQty: instrument.minOrderQty
+      });
+    }
+    if (!isMultipleOf(qty, instrument.qtyStep)) {
+      throw new OrderRejectedError('QTY_STEP', `Quantity must be a multiple of qty step ${instrument.qtyStep}`, {
+        qty, qtyStep: instrument.qtyStep
+      });
+    }
+
+    const maxQty = orderType === 'Market' ? instrument.maxMktOrderQty : instrument.maxOrderQty;
+    if (qty > maxQty) {
+      throw new OrderRejectedError('MAX_QTY', `Maximum ${orderType.toLowerCase()} order quantity is ${maxQty}`, {
+        qty, maxOrderQty: maxQty
+      });
+    }
+
+    // 최소 주문 금액 (reduce-only 제외)
+    if (!reduceOnly && orderValue < instrument.minNotionalValue) {
+      throw new OrderRejectedError('MIN_NOTIONAL', `Minimum order value is ${instrument.minNotionalValue} USDT`, {
+        orderValue, minNotionalValue: instrument.minNotionalValue
+      });
+    }
+
+    // 심볼별 레버리지 한도
+    if (leverage < instrument.minLeverage || leverage > instrument.maxLeverage) {
+      throw new OrderRejectedError('MAX_LEVERAGE', `Leverage for ${symbol} must be between ${instrument.minLeverage}x and ${instrument.maxLeverage}x`, {
+        leverage, minLeverage: instrument.minLeverage, maxLeverage: instrument.maxLeverage
+      });
+    }
+  }
+
+  // 심볼 활성화 (최초 사용 시 업스트림 구독 요청)
+  activateSymbol(symbol) {
+    if (!SYMBOL_PATTERN.test(symbol)) {
+      throw new OrderRejectedError('INVALID_SYMBOL', `Invalid symbol: ${symbol}`);
+    }
+
+    // 상품 정보가 로딩된 경우 미상장 심볼 거부
+    if (this.instruments.size > 0 && !this.instruments.has(symbol)) {
+      throw new OrderRejectedError('SYMBOL_NOT_SUPPORTED', `Symbol ${symbol} is not a supported linear contract`);
+    }
+
+    if (!this.activeSymbols.has(symbol)) {
+      this.activeSymbols.add(symbol);
+      this.emit('symbolActivated', symbol);
+      logger.info(`Symbol activated: ${symbol}`);
+    }
+  }
+
+  // 심볼 현재 가격 조회
+  getPrice(symbol) {
+    return this.prices.get(symbol) || null;
+  }
+
+  // 심볼 마크 가격 조회 (미수신 시 최근 체결가)
+  getMarkPrice(symbol) {
+    return this.markPrices.get(symbol) || this.getPrice(symbol);
+  }
+
+  // 심볼 인덱스 가격 조회 (미수신 시 마크 가격)
+  getIndexPrice(symbol) {
+    return this.indexPrices.get(symbol) || this.getMarkPrice(symbol);
+  }
+
+  // 트리거 기준 가격 조회 (LastPrice, MarkPrice, IndexPrice)
+  getPriceBy(symbol, triggerBy = 'LastPrice') {
+    if (triggerBy === 'MarkPrice') return this.getMarkPrice(symbol);
+    if (triggerBy === 'IndexPrice') return this.getIndexPrice(symbol);
+    return this.getPrice(symbol);
+  }
+
+  // 시세가 있는 심볼 가격 조회 (없으면 에러)
+  requirePrice(symbol) {
+    const price = this.getPrice(symbol);
+    if (!price) {
+      throw new Error(`Market data for ${symbol} is not available yet, please retry shortly`);
+    }
+    return price;
+  }
+
+  // 현재 가격 업데이트
+  updateCurrentPrice(symbol, price) {
+    const lastPrice = parseFloat(price);
+    if (!(lastPrice > 0)) return;
+
+    this.activeSymbols.add(symbol);
+    this.prices.set(symbol, lastPrice);
+    this.emit('priceUpdate', { symbol, price: lastPrice });
+    
+    // 마크 가격 미수신 심볼은 최근 체결가로 미실현 손익 업데이트
+    if (!this.markPrices.has(symbol)) {
+      this.updateAllPositionsPnL(symbol);
+    }
+    
+    // 포지션 TP/SL 트리거 체크
+    this.checkTpSlTriggers(symbol);
+    
+    // 대기 중인 지정가 주문 체크
+    this.checkPendingOrders(symbol);
+    
+    // 펀딩 정산 시각 도달 체크
+    this.checkFunding(symbol);
+  }
+
+  // 마크/인덱스 가격 업데이트 (손익, 청산, 마크/인덱스 기준 조건부 주문)
+  updateMarkPrice(symbol, markPrice, indexPrice) {
+    const mark = parseFloat(markPrice);
+    const index = parseFloat(indexPrice);
+    if (index > 0) this.indexPrices.set(symbol, index);
+    if (!(mark > 0)) return;
+
+    this.markPrices.set(symbol, mark);
+    this.emit('markPriceUpdate', { symbol, markPrice: mark, indexPrice: this.getIndexPrice(symbol) });
+
+    // 최근 체결가 수신 전에는 손익/주문 처리 보류
+    if (!this.getPrice(symbol)) return;
+
+    // 마크 가격 기준 미실현 손익 및 강제 청산
+    this.updateAllPositionsPnL(symbol);
+    
+    // 마크/인덱스 가격 기준 조건부 주문 체크
+    this.checkPendingOrders(symbol);
+  }
+
+  // 펀딩 비율 업데이트 (티커 스트림의 fundingRate, nextFundingTime)
+  updateFundingRate(symbol, fundingRate, nextFundingTime) {
+    const rate = parseFloat(fundingRate);
+    const next = parseInt(nextFundingTime);
+    if (isNaN(rate) || !next) return;
+
+    const info = this.fundingRates.get(symbol);
+
+    // 다음 정산 시각으로 넘어간 경우 이전 정산이 누락되지 않도록 처리
+    if (info && next > info.nextFundingTime) {
+      this.checkFunding(symbol, info.nextFundingTime);
+    }
+
+    this.fundingRates.set(symbol, {
+      fundingRate: rate,
+      nextFundingTime: next,
+      settledTime: info ? info.settledTime : null
+    });
+  }
+
+  // 펀딩 정산 시각 도달 시 정산 (정산 시각당 1회)
+  checkFunding(symbol, now = this.now()) {
+    const info = this.fundingRates.get(symbol);
+    if (!info || now < info.nextFundingTime || info.settledTime === info.nextFundingTime) return;
+
+    info.settledTime = info.nextFundingTime;
+    this.settleFunding(symbol, info.fundingRate, info.nextFundingTime);
+  }
+
+  // 펀딩비 정산 (비율 양수: 롱이 숏에게 지급, 음수: 숏이 롱에게 지급)
+  settleFunding(symbol, fundingRate, fundingTime) {
+    for (const [userId, userPositions] of this.positions) {
+      const user = this.users.get(userId);
+      const symbolPositions = userPositions.filter(p => p.symbol === symbol);
+      if (!user || symbolPositions.length === 0) continue;
+
+      for (const position of symbolPositions) {
+        const markPrice = position.markPrice || this.getPrice(symbol);
+        const positionValue = position.qty * markPrice;
+        
+        // 양수: 지급, 음수: 수취
+        const funding = positionValue * fundingRate * (position.side === 'Buy' ? 1 : -1);
+
+        user.balance.USDT -= funding;
+        user.balance.realizedPnl -= funding;
+        position.realizedPnl -= funding;
+        position.updatedTime = this.now();
+
+        const execution = {
+          tradeId: this.nextId(),
+          execType: 'Funding',
+          orderId: null,
+          positionId: position.positionId,
+          symbol,
+          side: position.side,
+          price: markPrice,
+          qty: position.qty,
+          fee: funding,
+          fundingRate,
+          isMaker: false,
+          realizedPnl: -funding,
+          time: fundingTime
+        };
+        user.tradeHistory.push(execution);
+        this.emit('execution', { userId, execution });
+
+        this.emit('funding', {
+          userId,
+          positionId: position.positionId,
+          symbol,
+          side: position.side,
+          positionIdx: position.positionIdx,
+          qty: position.qty,
+          markPrice,
+          positionValue,
+          fundingRate,
+          funding,
+          fundingTime
+        });
+
+        logger.info(`Funding settled: ${position.positionId} ${symbol} rate ${fundingRate} ${funding > 0 ? 'paid' : 'received'} ${Math.abs(funding).toFixed(4)}`);
+      }
+
+      this.refreshBalance(userId);
+      this.emit('balanceUpdate', { userId, balance: user.balance });
+    }
+  }
+
+  // 주문 생성 (link: OCO/브래킷 그룹 주문 연결 정보 { orderGroupId, groupRole, parentOrderId })
+  createOrder(userId, orderData, link = null) {
+    const user = this.users.get(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const {
+      symbol = config.trading.defaultSymbol,
+      side, // Buy or Sell
+      orderType, // Market or Limit
+      qty: requestedQty,
+      price,
+      leverage: requestedLeverage, // 미지정 시 포지션 또는 심볼 레버리지
+      stopLoss,
+      takeProfit,
+      positionIdx, // 0: 단방향, 1: 헤지 롱, 2: 헤지 숏
+      triggerPrice, // 조건부 주문 발동 가격
+      triggerDirection, // 1: 상승 시 발동, 2: 하락 시 발동
+      trailingStop, // 트레일링 스탑 콜백 거리
+      triggerBy = 'LastPrice', // 발동 기준 가격 (LastPrice, MarkPrice, IndexPrice)
+      timeInForce = orderType === 'Market' ? 'IOC' : 'GTC', // GTC, IOC, FOK, PostOnly
+      orderLinkId = '' // 사용자 지정 주문 ID (미체결 주문 간 중복 불가)
+    } = orderData;
+
+    // 사용자 지정 주문 ID 검증
+    if (orderLinkId) {
+      if (String(orderLinkId).length > 36) {
+        throw new OrderRejectedError('INVALID_ORDER_LINK_ID', 'orderLinkId must be at most 36 characters');
+      }
+      if (this.findOpenOrder(userId, { orderLinkId })) {
+        throw new OrderRejectedError('DUPLICATE_ORDER_LINK_ID', `Duplicate orderLinkId: ${orderLinkId}`, { orderLinkId });
+      }
+    }
+
+    // Time in force 검증
+    if (!TIME_IN_FORCE.includes(timeInForce)) {
+      throw new OrderRejectedError('INVALID_TIME_IN_FORCE', `Invalid timeInForce: ${timeInForce}`);
+    }
+    if (timeInForce === 'PostOnly' && orderType !== 'Limit') {
+      throw new OrderRejectedError('POST_ONLY_REJECTED', 'PostOnly is only supported for limit orders');
+    }
+
+    // 포지션 인덱스 결정 (헤지 모드 반대 방향 주문은 포지션 감소)
+    const target = this.resolvePositionIdx(userId, side, positionIdx, orderData.reduceOnly || false);
+    const reduceOnly = target.reduceOnly;
+
+    // reduce-only 주문은 반대 방향 포지션이 있어야 하며 수량은 포지션 크기로 제한
+    let qty = requestedQty;
+    if (reduceOnly) {
+      const position = this.findPosition(userId, symbol, target.positionIdx);
+      if (!position || position.side === side) {
+        throw new OrderRejectedError('REDUCE_ONLY_REJECTED', 'Reduce-only order would increase position', {
+          positionIdx: target.positionIdx,
+          positionSide: position ? position.side : null
+        });
+      }
+      qty = Math.min(parseFloat(requestedQty), position.qty);
+    }
+
+    // 레버리지 결정 (미지정 시 추가할 포지션 또는 심볼 레버리지, 포지션 레버리지 변경은 setLeverage로만 가능)
+    const existing = reduceOnly ? null : this.findPosition(userId, symbol, target.positionIdx);
+    const adding = existing && existing.side === side;
+    const leverage = requestedLeverage !== undefined && requestedLeverage !== null && requestedLeverage !== ''
+      ? parseFloat(requestedLeverage)
+      : (adding ? existing.leverage : this.getLeverage(userId, symbol));
+
+    // 레버리지 검증
+    if (!(leverage >= 1)) {
+      throw new OrderRejectedError('INVALID_LEVERAGE', 'Invalid leverage', { leverage });
+    }
+    if (leverage > config.trading.maxLeverage) {
+      throw new OrderRejectedError('MAX_LEVERAGE', `Maximum leverage is ${config.trading.maxLeverage}x`, {
+        maxLeverage: config.trading.maxLeverage
+      });
+    }
+    if (adding && leverage !== existing.leverage) {
+      throw new OrderRejectedError('LEVERAGE_MISMATCH', `Position leverage is ${existing.leverage}x, use setLeverage to change it`, {
+        leverage, positionLeverage: existing.leverage
+      });
+    }
+
+    // 심볼 활성화 및 시세 확인
+    this.activateSymbol(symbol);
+    const lastPrice = this.requirePrice(symbol);
+
+    // 조건부 주문 파라미터
+    const trigger = (triggerPrice || trailingStop)
+      ? this.buildTriggerParams(symbol, side, { triggerPrice, triggerDirection, trailingStop, triggerBy })
+      : null;
+
+    // 주문 가격 결정 (조건부 시장가 주문은 발동 가격 기준)
+    let executionPrice;
+    if (orderType === 'Market') {
+      executionPrice = trigger ? trigger.triggerPrice : lastPrice;
+    } else {
+      executionPrice = parseFloat(price);
+    }
+
+    // 상품 규격 검증 (호가 단위, 수량 단위, 최소/최대 수량, 최소 주문 금액, 레버리지)
+    this.validateOrderSpec(symbol, {
+      orderType,
+      qty: parseFloat(qty),
+      price: orderType === 'Limit' ? executionPrice : null,
+      triggerPrice: trigger && trigger.stopOrderType === 'Stop' ? trigger.triggerPrice : null,
+      leverage,
+      orderValue: qty * executionPrice,
+      reduceOnly
+    });
+
+    // 리스크 한도 검증 (체결 후 포지션 가치 기준)
+    this.checkRiskLimit(
+      symbol,
+      this.projectPositionValue(userId, symbol, side, parseFloat(qty), executionPrice, reduceOnly, target.positionIdx),
+      leverage
+    );
+
+    // 즉시 체결 가능한 지정가 주문 여부 (테이커)
+    const marketable = orderType === 'Limit' && !trigger && this.isMarketable(symbol, side, executionPrice);
+
+    // PostOnly 주문은 유동성을 가져가면 거부
+    if (timeInForce === 'PostOnly' && marketable) {
+      throw new OrderRejectedError('POST_ONLY_REJECTED', 'PostOnly order would cross the current price');
+    }
+    
+    // TP/SL 검증
+    if (!reduceOnly && (stopLoss || takeProfit)) {
+      this.validateTpSl(
+        side,
+        takeProfit ? parseFloat(takeProfit) : null,
+        stopLoss ? parseFloat(stopLoss) : null,
+        executionPrice
+      );
+    }
+    
+    // 필요 증거금 계산
+    const orderValue = qty * executionPrice;
+    const requiredMargin = orderValue / leverage;
+    const fee = orderValue * (orderType === 'Market' || marketable ? config.trading.takerFee : config.trading.makerFee);
+
+    // 잔고 확인
+    if (!reduceOnly) {
+      this.reserveMargin(user, requiredMargin + fee);
+    }
+
+    const order = this.newOrder(userId, {
+      symbol,
+      side,
+      orderType,
+      qty: parseFloat(qty),
+      price: executionPrice,
+      leverage,
+      stopLoss: stopLoss ? parseFloat(stopLoss) : null,
+      takeProfit: takeProfit ? parseFloat(takeProfit) : null,
+      reduceOnly,
+      positionIdx: target.positionIdx,
+      timeInForce,
+      orderLinkId: orderLinkId ? String(orderLinkId) : '',
+      ...(trigger ? {
+        triggerPrice: trigger.triggerPrice,
+        triggerDirection: trigger.triggerDirection,
+        triggerBy: trigger.triggerBy,
+        stopOrderType: trigger.stopOrderType,
+        trailingStop: trigger.trailingStop,
+        trailingBestPrice: trigger.trailingBestPrice,
+        status: 'Untriggered'
+      } : {}),
+      ...(link || {})
+    });
+
+    // 그룹 주문은 체결 전에 그룹에 등록 (즉시 체결 시 그룹 처리에 필요)
+    if (link) {
+      const group = this.getOrderGroup(userId, link.orderGroupId);
+      group.orderIds.push(order.orderId);
+      if (link.groupRole === 'Entry') {
+        group.parentOrderId = order.orderId;
+      }
+    }
+
+    // Market 주문은 오더북을 따라 즉시 체결
+    if (orderType === 'Market' && !trigger) {
+      return this.fillAsTaker(order);
+    }
+
+    // 일반 지정가 주문은 TIF에 따라 즉시 체결/취소 (GTC 잔량은 대기)
+    if (orderType === 'Limit' && !trigger) {
+      const action = this.resolveLimitOrder(order);
+      
+      if (action === 'fill') {
+        this.fillAsTaker(order);
+        if (!OPEN_ORDER_STATUSES.includes(order.status)) {
+          return order;
+        }
+      }
+      if (action === 'cancel') {
+        return this.rejectOrder(order, 'EC_NoImmediateQtyToFill');
+      }
+    }
+
+    // Limit 주문 및 조건부 주문은 대기 목록에 추가
+    const userOrders = this.orders.get(userId);
+    userOrders.push(order);
+    
+    this.emit('orderCreated', order);
+    logger.info(`Order created: ${order.orderId}`);
+    
+    return order;
+  }
+
+  // 증거금 확인 (일괄 처리 중에는 배치 시작 시점의 가용 잔고에서 차감하며 확인)
+  // held: 정정 전 주문에 필요했던 증거금 (일괄 정정은 늘어나는 만큼만 차감)
+  reserveMargin(user, amount, held = 0) {
+    const required = this.marginBudget ? Math.max(0, amount - held) : amount;
+    const available = this.marginBudget ? this.marginBudget.remaining : user.balance.availableBalance;
+    if (available < required) {
+      throw new OrderRejectedError('INSUFFICIENT_BALANCE', 'Insufficient balance', { required, available });
+    }
+    if (this.marginBudget) {
+      this.marginBudget.remaining -= required;
+    }
+  }
+
+  // 주문 객체 생성 (기본 필드 + 지정 필드)
+  newOrder(userId, fields) {
+    return {
+      orderId: this.nextId(),
+      orderLinkId: '',
+      userId,
+      symbol: config.trading.defaultSymbol,
+      side: 'Buy',
+      orderType: 'Market',
+      qty: 0,
+      price: 0,
+      leverage: config.trading.defaultLeverage,
+      stopLoss: null,
+      takeProfit: null,
+      reduceOnly: false,
+      positionIdx: 0,
+      timeInForce: 'GTC',
+      triggerPrice: null,
+      triggerDirection: 0,
+      triggerBy: 'LastPrice',
+      stopOrderType: null,
+      trailingStop: 0,
+      trailingBestPrice: null,
+      triggeredTime: null,
+      status: 'New',
+      createdTime: this.now(),
+      updatedTime: this.now(),
+      filledQty: 0,
+      avgPrice: 0,
+      fee: 0,
+      isMaker: false,
+      executions: [],
+      slippage: 0,
+      rejectReason: null,
+      orderGroupId: null, // OCO/브래킷 그룹 ID
+      groupRole: null, // Leg (OCO), Entry/TakeProfit/StopLoss (브래킷)
+      parentOrderId: null, // 브래킷 TP/SL 주문의 진입 주문 ID
+      ...fields
+    };
+  }
+
+  // 주문 포지션 인덱스 결정 (단방향: 0, 헤지: 1 롱 / 2 숏)
+  resolvePositionIdx(userId, side, positionIdx, reduceOnly) {
+    const requested = positionIdx === undefined || positionIdx === null || positionIdx === ''
+      ? null
+      : parseInt(positionIdx);
+
+    if (this.getPositionMode(userId) !== 'hedge') {
+      if (requested !== null && requested !== 0) {
+        throw new OrderRejectedError('POSITION_IDX_MISMATCH', 'positionIdx must be 0 in one-way mode', {
+          positionIdx: requested, positionMode: 'oneway'
+        });
+      }
+      return { positionIdx: 0, reduceOnly };
+    }
+
+    // 미지정 시 주문 방향으로 추론 (reduce-only는 반대 포지션)
+    const opposite = side === 'Buy' ? 'Sell' : 'Buy';
+    const idx = requested === null
+      ? HEDGE_POSITION_IDX[reduceOnly ? opposite : side]
+      : requested;
+
+    if (idx !== 1 && idx !== 2) {
+      throw new OrderRejectedError('POSITION_IDX_MISMATCH', 'positionIdx must be 1 (long) or 2 (short) in hedge mode', {
+        positionIdx: idx, positionMode: 'hedge'
+      });
+    }
+
+    // 포지션 반대 방향 주문은 해당 포지션 감소만 가능
+    const closing = idx !== HEDGE_POSITION_IDX[side];
+    if (reduceOnly && !closing) {
+      throw new OrderRejectedError('POSITION_IDX_MISMATCH', `Reduce-only ${side} order must target positionIdx ${HEDGE_POSITION_IDX[opposite]}`, {
+        positionIdx: idx, positionMode: 'hedge'
+      });
+    }
+
+    return { positionIdx: idx, reduceOnly: closing };
+  }
+
+  // 조건부 주문 파라미터 생성 및 검증
+  buildTriggerParams(symbol, side, { triggerPrice, triggerDirection, trailingStop, triggerBy = 'LastPrice' }) {
+    if (!TRIGGER_BY.includes(triggerBy)) {
+      throw new OrderRejectedError('INVALID_TRIGGER', `Invalid triggerBy: ${triggerBy}`);
+    }
+    
+    this.requirePrice(symbol);
+    const referencePrice = this.getPriceBy(symbol, triggerBy);
+
+    // 트레일링 스탑: Sell은 고점 대비 하락, Buy는 저점 대비 상승 시 발동
+    if (trailingStop) {
+      const distance = parseFloat(trailingStop);
+      if (!(distance > 0)) {
+        throw new OrderRejectedError('INVALID_TRIGGER', 'Invalid trailing stop distance');
+      }
+
+      return {
+        stopOrderType: 'TrailingStop',
+        trailingStop: distance,
+        trailingBestPrice: referencePrice,
+        triggerPrice: side === 'Sell' ? referencePrice - distance : referencePrice + distance,
+        triggerDirection: side === 'Sell' ? 2 : 1,
+        triggerBy
+      };
+    }
+
+    const trigger = parseFloat(triggerPrice);
+    if (!(trigger > 0)) {
+      throw new OrderRejectedError('INVALID_TRIGGER', 'Invalid trigger price');
+    }
+
+    // 방향 미지정 시 현재가 기준으로 추론
+    const direction = triggerDirection
+      ? parseInt(triggerDirection)
+      : (trigger > referencePrice ? 1 : 2);
+
+    if (direction !== 1 && direction !== 2) {
+      throw new OrderRejectedError('INVALID_TRIGGER', 'Trigger direction must be 1 (rise) or 2 (fall)');
+    }
+    if (direction === 1 && trigger <= referencePrice) {
+      throw new OrderRejectedError('INVALID_TRIGGER', 'Trigger price must be above the current price for rising triggers');
+    }
+    if (direction === 2 && trigger >= referencePrice) {
+      throw new OrderRejectedError('INVALID_TRIGGER', 'Trigger price must be below the current price for falling triggers');
+    }
+
+    return {
+      stopOrderType: 'Stop',
+      trailingStop: 0,
+      trailingBestPrice: null,
+      triggerPrice: trigger,
+      triggerDirection: direction,
+      triggerBy
+    };
+  }
+
+  // 즉시 체결 가능 여부 (매수: 지정가 >= 현재가, 매도: 지정가 <= 현재가)
+  isMarketable(symbol, side, price) {
+    const lastPrice = this.getPrice(symbol);
+    return side === 'Buy' ? price >= lastPrice : price <= lastPrice;
+  }
+
+  // 지정가 주문 처리 방식 결정 (fill: 테이커 체결, rest: 대기, cancel: 취소)
+  resolveLimitOrder(order) {
+    if (this.isMarketable(order.symbol, order.side, order.price)) {
+      return order.timeInForce === 'PostOnly' ? 'cancel' : 'fill';
+    }
+
+    // IOC/FOK는 대기하지 않음
+    return ['IOC', 'FOK'].includes(order.timeInForce) ? 'cancel' : 'rest';
+  }
+
+  // 오더북 스트림 반영 (snapshot: 전체 교체, delta: 변경분 적용)
+  updateOrderbook(symbol, data, type = 'snapshot') {
+    if (!data) return;
+
+    const book = this.orderBooks.get(symbol) || { bids: [], asks: [] };
+
+    if (type === 'snapshot') {
+      book.bids = applyLevels([], data.b || [], true);
+      book.asks = applyLevels([], data.a || [], false);
+    } else {
+      book.bids = applyLevels(book.bids, data.b || [], true);
+      book.asks = applyLevels(book.asks, data.a || [], false);
+    }
+
+    this.orderBooks.set(symbol, book);
+  }
+
+  // 오더북 호가를 따라 체결 시뮬레이션 (limitPrice: 지정가 한도)
+  matchOrderbook(symbol, side, qty, limitPrice = null) {
+    const book = this.orderBooks.get(symbol);
+    const levels = book ? (side === 'Buy' ? book.asks : book.bids) : [];
+
+    // 오더북 미수신 시 현재가로 전량 체결
+    if (levels.length === 0) {
+      const lastPrice = this.getPrice(symbol);
+      
+      if (limitPrice !== null && !this.isMarketable(symbol, side, limitPrice)) {
+        return { executions: [], filledQty: 0, avgPrice: 0, bestPrice: lastPrice };
+      }
+      return {
+        executions: [{ price: lastPrice, qty }],
+        filledQty: qty,
+        avgPrice: lastPrice,
+        bestPrice: lastPrice
+      };
+    }
+
+    const executions = [];
+    let remaining = qty;
+    let notional = 0;
+
+    for (const [price, size] of levels) {
+      if (remaining <= 0) break;
+      if (limitPrice !== null && (side === 'Buy' ? price > limitPrice : price < limitPrice)) break;
+
+      // 호가 단계별 최대 체결 비율 적용
+      const takeQty = roundQty(Math.min(remaining, size * config.trading.depthLevelCap));
+      if (takeQty <= 0) continue;
+
+      executions.push({ price, qty: takeQty });
+      notional += price * takeQty;
+      remaining = roundQty(remaining - takeQty);
+    }
+
+    const filledQty = roundQty(qty - remaining);
+
+    return {
+      executions,
+      filledQty,
+      avgPrice: filledQty > 0 ? notional / filledQty : 0,
+      bestPrice: levels[0][0]
+    };
+  }
+
+  // 테이커 체결 (잔량은 GTC 지정가만 대기, 나머지는 취소)
+  fillAsTaker(order) {
+    const remainingQty = roundQty(order.qty - order.filledQty);
+    const limitPrice = order.orderType === 'Limit' ? order.price : null;
+    const match = this.matchOrderbook(order.symbol, order.side, remainingQty, limitPrice);
+
+    // FOK는 전량 체결 불가 시 거부
+    if (order.timeInForce === 'FOK' && match.filledQty < remainingQty) {
+      return this.rejectOrder(order, 'EC_NoImmediateQtyToFill');
+    }
+
+    if (match.filledQty > 0) {
+      this.executeOrder(order, {
+        fillPrice: match.avgPrice,
+        fillQty: match.filledQty,
+        executions: match.executions
+      });
+
+      // 최우선 호가 대비 불리한 체결 가격 차이
+      if (order.filledQty > 0) {
+        order.slippage = order.side === 'Buy'
+          ? order.avgPrice - match.bestPrice
+          : match.bestPrice - order.avgPrice;
+      }
+    }
+
+    if (!OPEN_ORDER_STATUSES.includes(order.status)) {
+      return order;
+    }
+
+    // GTC 지정가 잔량은 대기
+    if (order.orderType === 'Limit' && order.timeInForce === 'GTC') {
+      return order;
+    }
+
+    // 시장가/IOC 잔량 취소
+    return this.rejectOrder(order, 'EC_NoImmediateQtyToFill');
+  }
+
+  // 미체결 주문 목록에서 제거
+  removeOpenOrder(order) {
+    const userOrders = this.orders.get(order.userId);
+    const index = userOrders ? userOrders.indexOf(order) : -1;
+    if (index !== -1) {
+      userOrders.splice(index, 1);
+    }
+  }
+
+  // 주문 거부 (체결 없이 취소 처리)
+  rejectOrder(order, reason) {
+    order.status = 'Cancelled';
+    order.rejectReason = reason;
+    order.updatedTime = this.now();
+
+    this.emit('orderCancelled', order);
+    logger.info(`Order rejected: ${order.orderId} (${reason})`);
+    this.updateOrderGroup(order, 'rejected');
+
+    return order;
+  }
+
+  // 주문 체결 (fillPrice: 체결 가격, fillQty: 체결 수량, isMaker: 유동성 공급 여부)
+  executeOrder(order, {
+    fillPrice = order.price,
+    fillQty = roundQty(order.qty - order.filledQty),
+    isMaker = false,
+    executions = null
+  } = {}) {
+    const user = this.users.get(order.userId);
+    const userPositions = this.positions.get(order.userId);
+    
+    // 리스크 한도 재검증 (대기 중 포지션이 커졌을 수 있음)
+    try {
+      this.checkRiskLimit(
+        order.symbol,
+        this.projectPositionValue(order.userId, order.symbol, order.side, fillQty, fillPrice, order.reduceOnly, order.positionIdx),
+        order.leverage
+      );
+    } catch (error) {
+      this.removeOpenOrder(order);
+      return this.rejectOrder(order, 'EC_RiskLimitExceeded');
+    }
+
+    // reduce-only 주문은 반대 방향 포지션 수량까지만 체결 (대기 중 포지션이 줄거나 없어졌을 수 있음)
+    if (order.reduceOnly) {
+      const target = this.findPosition(order.userId, order.symbol, order.positionIdx);
+      if (!target || target.side === order.side) {
+        this.removeOpenOrder(order);
+        return this.rejectOrder(order, 'EC_ReduceOnlyRuleNotSatisfied');
+      }
+      if (fillQty > target.qty) {
+        fillQty = target.qty;
+        executions = null;
+      }
+    }
+    
+    // 수수료 계산 (메이커/테이커)
+    const fillValue = fillQty * fillPrice;
+    const fee = fillValue * (isMaker ? config.trading.makerFee : config.trading.takerFee);
+    const prevFilledValue = order.filledQty * order.avgPrice;
+    
+    order.fee += fee;
+    order.isMaker = isMaker;
+    order.filledQty = roundQty(order.filledQty + fillQty);
+    order.avgPrice = (prevFilledValue + fillValue) / order.filledQty;
+    order.executions.push(...(executions || [{ price: fillPrice, qty: fillQty }]));
+    order.status = order.filledQty >= order.qty ? 'Filled' : 'PartiallyFilled';
+    order.updatedTime = this.now();
+
+    // 기존 포지션 찾기 (헤지 모드는 포지션 인덱스별)
+    let position = this.findPosition(order.userId, order.symbol, order.positionIdx);
+    
+    // 포지션 종료 손익 (총손익, 진입 수수료 배분액, 종료 수수료)
+    const closed = {
+      positionId: position ? position.positionId : null,
+      closedSize: 0,
+      entryPrice: 0,
+      grossPnl: 0,
+      openFee: 0,
+      closeFee: 0
+    };
+
+    if (position) {
+      // 기존 포지션 업데이트
+      if (position.side === order.side && !order.reduceOnly) {
+        // 같은 방향 - 포지션 추가
+        const totalQty = roundQty(position.qty + fillQty);
+        const totalValue = (position.qty * position.avgPrice) + (fillQty * fillPrice);
+        
+        position.qty = totalQty;
+        position.avgPrice = totalValue / totalQty;
+        position.entryFee += fee;
+        position.realizedPnl -= fee;
+        position.updatedTime = this.now();
+        
+        // 주문에 TP/SL이 지정된 경우 포지션 TP/SL 갱신
+        if (order.takeProfit) position.takeProfit = order.takeProfit;
+        if (order.stopLoss) position.stopLoss = order.stopLoss;
+      } else {
+        // 반대 방향 또는 포지션 감소
+        closed.closedSize = Math.min(position.qty, fillQty);
+        closed.entryPrice = position.avgPrice;
+        closed.grossPnl = this.calculatePnl(position, fillPrice, closed.closedSize);
+        
+        if (position.qty > fillQty) {
+          // 부분 청산 - 진입 수수료를 청산 수량 비율만큼 배분
+          closed.openFee = position.entryFee * closed.closedSize / position.qty;
+          closed.closeFee = fee;
+          
+          position.qty = roundQty(position.qty - closed.closedSize);
+          position.entryFee -= closed.openFee;
+          position.realizedPnl += closed.grossPnl - fee;
+          position.updatedTime = this.now();
+        } else if (position.qty < fillQty && !order.reduceOnly) {
+          // 포지션 전환 - 수수료를 종료분과 신규 진입분으로 분할
+          closed.openFee = position.entryFee;
+          closed.closeFee = fee * closed.closedSize / fillQty;
+          
+          // 새 포지션 생성
+          position.side = order.side;
+          position.qty = roundQty(fillQty - closed.closedSize);
+          position.avgPrice = fillPrice;
+          position.leverage = order.leverage;
+          position.entryFee = fee - closed.closeFee;
+          position.realizedPnl = -position.entryFee;
+          position.unrealizedPnl = 0;
+          position.stopLoss = order.stopLoss;
+          position.takeProfit = order.takeProfit;
+          position.addedMargin = 0;
+          position.createdTime = this.now();
+        } else {
+          // 완전 청산
+          closed.openFee = position.entryFee;
+          closed.closeFee = fee;
+          
+          const index = userPositions.indexOf(position);
+          userPositions.splice(index, 1);
+          position = null;
+        }
+        
+        user.balance.USDT += closed.grossPnl;
+      }
+    } else if (!order.reduceOnly) {
+      // 새 포지션 생성
+      position = {
+        positionId: this.nextId(),
+        userId: order.userId,
+        symbol: order.symbol,
+        side: order.side,
+        positionIdx: order.positionIdx,
+        qty: fillQty,
+        avgPrice: fillPrice,
+        markPrice: this.getMarkPrice(order.symbol),
+        leverage: order.leverage,
+        marginMode: this.getMarginMode(order.userId, order.symbol),
+        unrealizedPnl: 0,
+        realizedPnl: -fee, // 누적 실현 손익 (수수료, 펀딩비 포함)
+        entryFee: fee, // 아직 청산 손익에 배분되지 않은 진입 수수료
+        marginUsed: 0,
+        maintenanceMargin: 0,
+        riskTier: null, // 현재 리스크 한도 티어
+        addedMargin: 0, // 격리 마진 추가 증거금
+        positionBalance: 0, // 포지션 증거금 (초기 증거금 + 추가 증거금)
+        liqPrice: 0,
+        bustPrice: 0,
+        stopLoss: order.stopLoss,
+        takeProfit: order.takeProfit,
+        createdTime: this.now(),
+        updatedTime: this.now()
+      };
+      
+      userPositions.push(position);
+      closed.positionId = position.positionId;
+    }
+
+    // 증거금 업데이트
+    if (position) {
+      this.updatePositionMargin(position);
+    }
+
+    // 수수료 차감 및 사용자 잔고 업데이트 (실현 손익은 수수료 차감 기준)
+    user.balance.USDT -= fee;
+    user.balance.realizedPnl += closed.grossPnl - fee;
+    this.refreshBalance(order.userId);
+
+    // 종료 손익 (진입 수수료 배분액과 종료 수수료 차감)
+    const netPnl = closed.grossPnl - closed.openFee - closed.closeFee;
+
+    // 거래 내역 추가
+    const execution = {
+      tradeId: this.nextId(),
+      execType: 'Trade',
+      orderId: order.orderId,
+      orderLinkId: order.orderLinkId,
+      orderType: order.orderType,
+      orderPrice: order.price,
+      orderQty: order.qty,
+      positionId: closed.positionId,
+      symbol: order.symbol,
+      side: order.side,
+      price: fillPrice,
+      qty: fillQty,
+      fee,
+      isMaker,
+      closedSize: closed.closedSize,
+      entryPrice: closed.entryPrice,
+      grossPnl: closed.grossPnl,
+      realizedPnl: closed.closedSize > 0 ? netPnl : 0,
+      time: this.now()
+    };
+    user.tradeHistory.push(execution);
+    this.emit('execution', { userId: order.userId, execution });
+
+    // 포지션 종료 손익 내역 추가
+    if (closed.closedSize > 0) {
+      user.closedPnl.push({
+        symbol: order.symbol,
+        orderId: order.orderId,
+        positionId: closed.positionId,
+        positionIdx: order.positionIdx,
+        side: order.side,
+        qty: order.qty,
+        orderPrice: order.price,
+        orderType: order.orderType,
+        execType: 'Trade',
+        closedSize: closed.closedSize,
+        cumEntryValue: closed.closedSize * closed.entryPrice,
+        avgEntryPrice: closed.entryPrice,
+        cumExitValue: closed.closedSize * fillPrice,
+        avgExitPrice: fillPrice,
+        grossPnl: closed.grossPnl,
+        openFee: closed.openFee,
+        closeFee: closed.closeFee,
+        closedPnl: netPnl,
+        fillCount: 1,
+        leverage: order.leverage,
+        createdTime: this.now(),
+        updatedTime: this.now()
+      });
+    }
+
+    this.emit('orderFilled', order);
+    this.emit('positionUpdate', {
+      userId: order.userId,
+      position,
+      symbol: order.symbol,
+      positionIdx: order.positionIdx
+    });
+    
+    logger.info(`Order executed: ${order.orderId}`);
+    this.updateOrderGroup(order, 'filled');
+    return order;
+  }
+
+  // 포지션 청산
+  closePosition(userId, positionId, closeQty = null) {
+    const userPositions = this.positions.get(userId);
+    const user = this.users.get(userId);
+    
+    const position = userPositions.find(p => p.positionId === positionId);
+    if (!position) {
+      throw new Error('Position not found');
+    }
+
+    const qtyToClose = closeQty || position.qty;
+    if (qtyToClose > position.qty) {
+      throw new Error('Close quantity exceeds position size');
+    }
+
+    // 반대 방향 시장가 주문 생성
+    const closeOrder = this.createOrder(userId, {
+      symbol: position.symbol,
+      side: position.side === 'Buy' ? 'Sell' : 'Buy',
+      orderType: 'Market',
+      qty: qtyToClose,
+      leverage: position.leverage,
+      positionIdx: position.positionIdx,
+      reduceOnly: true
+    });
+
+    return closeOrder;
+  }
+
+  // 포지션 TP/SL 설정 (undefined: 유지, null 또는 0: 해제)
+  setTradingStop(userId, positionId, { takeProfit, stopLoss } = {}) {
+    const userPositions = this.positions.get(userId);
+    if (!userPositions) {
+      throw new Error('User not found');
+    }
+
+    const position = userPositions.find(p => p.positionId === positionId);
+    if (!position) {
+      throw new Error('Position not found');
+    }
+
+    const nextTakeProfit = takeProfit === undefined
+      ? position.takeProfit
+      : (parseFloat(takeProfit) || null);
+    const nextStopLoss = stopLoss === undefined
+      ? position.stopLoss
+      : (parseFloat(stopLoss) || null);
+
+    this.validateTpSl(position.side, nextTakeProfit, nextStopLoss, this.getPrice(position.symbol));
+
+    position.takeProfit = nextTakeProfit;
+    position.stopLoss = nextStopLoss;
+    position.updatedTime = this.now();
+
+    this.emit('positionUpdate', { userId, position });
+    logger.info(`Trading stop updated: ${positionId} TP=${position.takeProfit} SL=${position.stopLoss}`);
+
+    return position;
+  }
+
+  // TP/SL 가격 검증 (롱: SL < 현재가 < TP, 숏: TP < 현재가 < SL)
+  validateTpSl(side, takeProfit, stopLoss, referencePrice) {
+    if (takeProfit !== null && (isNaN(takeProfit) || takeProfit < 0)) {
+      throw new OrderRejectedError('INVALID_TPSL', 'Invalid take profit price');
+    }
+    if (stopLoss !== null && (isNaN(stopLoss) || stopLoss < 0)) {
+      throw new OrderRejectedError('INVALID_TPSL', 'Invalid stop loss price');
+    }
+
+    if (side === 'Buy') {
+      if (takeProfit && takeProfit <= referencePrice) {
+        throw new OrderRejectedError('INVALID_TPSL', 'Take profit must be above the current price for long positions');
+      }
+      if (stopLoss && stopLoss >= referencePrice) {
+        throw new OrderRejectedError('INVALID_TPSL', 'Stop loss must be below the current price for long positions');
+      }
+    } else {
+      if (takeProfit && takeProfit >= referencePrice) {
+        throw new OrderRejectedError('INVALID_TPSL', 'Take profit must be below the current price for short positions');
+      }
+      if (stopLoss && stopLoss <= referencePrice) {
+        throw new OrderRejectedError('INVALID_TPSL', 'Stop loss must be above the current price for short positions');
+      }
+    }
+  }
+
+  // 포지션 TP/SL 트리거 체크
+  checkTpSlTriggers(symbol) {
+    const lastPrice = this.getPrice(symbol);
+
+    for (const [userId, userPositions] of this.positions) {
+      // 청산 시 배열이 변경되므로 복사본으로 순회
+      for (const position of [...userPositions]) {
+        if (position.symbol !== symbol) continue;
+        if (!userPositions.includes(position)) continue;
+        if (!position.takeProfit && !position.stopLoss) continue;
+
+        const isLong = position.side === 'Buy';
+        let triggerType = null;
+        let triggerPrice = null;
+
+        if (position.stopLoss &&
+            (isLong ? lastPrice <= position.stopLoss : lastPrice >= position.stopLoss)) {
+          triggerType = 'StopLoss';
+          triggerPrice = position.stopLoss;
+        } else if (position.takeProfit &&
+            (isLong ? lastPrice >= position.takeProfit : lastPrice <= position.takeProfit)) {
+          triggerType = 'TakeProfit';
+          triggerPrice = position.takeProfit;
+        }
+
+        if (triggerType) {
+          this.triggerTpSl(userId, position, triggerType, triggerPrice);
+        }
+      }
+    }
+  }
+
+  // TP/SL 발동 - reduce-only 시장가로 포지션 종료 (실패 시 TP/SL 복구 후 tpslFailed 이벤트)
+  triggerTpSl(userId, position, triggerType, triggerPrice) {
+    const { qty, takeProfit, stopLoss } = position;
+
+    // 중복 트리거 방지
+    position.takeProfit = null;
+    position.stopLoss = null;
+
+    try {
+      const order = this.closePosition(userId, position.positionId);
+
+      // 일부만 체결되어 남은 포지션은 TP/SL 유지 (다음 가격 갱신 시 재발동)
+      if (this.positions.get(userId).includes(position)) {
+        position.takeProfit = takeProfit;
+        position.stopLoss = stopLoss;
+      }
+
+      this.emit('tpslTriggered', {
+        userId,
+        positionId: position.positionId,
+        symbol: position.symbol,
+        side: position.side,
+        triggerType,
+        triggerPrice,
+        executionPrice: order.avgPrice,
+        qty: order.filledQty,
+        order
+      });
+
+      logger.info(`${triggerType} triggered for position ${position.positionId} at ${this.getPrice(position.symbol)}`);
+    } catch (error) {
+      position.takeProfit = takeProfit;
+      position.stopLoss = stopLoss;
+
+      this.emit('tpslFailed', {
+        userId,
+        positionId: position.positionId,
+        symbol: position.symbol,
+        side: position.side,
+        triggerType,
+        triggerPrice,
+        qty,
+        error: error.message
+      });
+
+      logger.error(`Failed to trigger ${triggerType} for position ${position.positionId}:`, error);
+    }
+  }
+
+  // PnL 계산
+  calculatePnl(position, exitPrice, qty = null) {
+    const quantity = qty || position.qty;
+    
+    if (position.side === 'Buy') {
+      return (exitPrice - position.avgPrice) * quantity;
+    } else {
+      return (position.avgPrice - exitPrice) * quantity;
+    }
+  }
+
+  // 심볼 포지션 PnL 업데이트 (마크 가격 기준)
+  updateAllPositionsPnL(symbol) {
+    const markPrice = this.getMarkPrice(symbol);
+
+    for (const [userId, userPositions] of this.positions) {
+      const symbolPositions = userPositions.filter(p => p.symbol === symbol);
+      if (symbolPositions.length === 0) continue;
+
+      for (const position of symbolPositions) {
+        position.markPrice = markPrice;
+        position.unrealizedPnl = this.calculatePnl(position, markPrice);
+      }
+      
+      // 사용자 잔고 및 청산 가격 업데이트
+      this.refreshBalance(userId);
+      
+      // 강제 청산 체크 (교차 마진은 다른 심볼 손익에도 영향을 받으므로 전체 확인)
+      for (const position of [...userPositions]) {
+        this.checkLiquidation(userId, position);
+      }
+      
+      const user = this.users.get(userId);
+      if (user) {
+        this.emit('balanceUpdate', { userId, balance: user.balance });
+      }
+    }
+  }
+
+  // 전체 포지션 기준 사용자 잔고 재계산
+  refreshBalance(userId) {
+    const user = this.users.get(userId);
+    if (!user) return null;
+
+    const userPositions = this.positions.get(userId) || [];
+    let totalMarginUsed = 0;
+    let totalUnrealizedPnl = 0;
+    userPositions.forEach(p => {
+      totalMarginUsed += p.positionBalance;
+      totalUnrealizedPnl += p.unrealizedPnl;
+    });
+
+    user.balance.marginUsed = totalMarginUsed;
+    user.balance.availableBalance = user.balance.USDT - totalMarginUsed;
+    user.balance.unrealizedPnl = totalUnrealizedPnl;
+    user.balance.totalEquity = user.balance.USDT + totalUnrealizedPnl;
+
+    // 청산/파산 가격 재계산
+    for (const position of userPositions) {
+      let margin = position.positionBalance;
+      
+      // 교차 마진: 가용 잔고와 다른 교차 포지션의 미실현 손익까지 증거금으로 사용
+      if (position.marginMode === 'cross') {
+        const otherCrossPnl = userPositions
+          .filter(p => p !== position && p.marginMode === 'cross')
+          .reduce((sum, p) => sum + p.unrealizedPnl, 0);
+        margin += Math.max(0, user.balance.availableBalance + otherCrossPnl);
+      }
+      
+      Object.assign(position, this.calculateLiqPrices(position, margin));
+    }
+
+    return user;
+  }
+
+  // 포지션 증거금 계산 (초기 증거금, 티어별 유지 증거금, 포지션 증거금)
+  updatePositionMargin(position) {
+    const positionValue = position.qty * position.avgPrice;
+    const tier = this.getRiskTier(position.symbol, positionValue);
+    
+    position.riskTier = tier;
+    position.marginUsed = positionValue / position.leverage;
+    position.maintenanceMargin = tier
+      ? positionValue * tier.maintenanceMarginRate - tier.mmDeduction
+      : positionValue;
+    position.positionBalance = position.marginUsed + (position.addedMargin || 0);
+  }
+
+  // 청산/파산 가격 계산 (Bybit 공식, margin: 포지션에 배정된 증거금)
+  // 롱: 청산가 = 진입가 - (증거금 - 유지 증거금) / 수량, 파산가 = 진입가 - 증거금 / 수량
+  // 숏: 청산가 = 진입가 + (증거금 - 유지 증거금) / 수량, 파산가 = 진입가 + 증거금 / 수량
+  calculateLiqPrices(position, margin) {
+    const { side, avgPrice, qty, maintenanceMargin } = position;
+    
+    if (side === 'Buy') {
+      return {
+        liqPrice: Math.max(0, avgPrice - (margin - maintenanceMargin) / qty),
+        bustPrice: Math.max(0, avgPrice - margin / qty)
+      };
+    }
+    
+    return {
+      liqPrice: avgPrice + (margin - maintenanceMargin) / qty,
+      bustPrice: avgPrice + margin / qty
+    };
+  }
+
+  // 심볼 마진 모드 조회
+  getMarginMode(userId, symbol) {
+    const user = this.users.get(userId);
+    return (user && user.marginModes && user.marginModes[symbol]) || config.trading.defaultMarginMode;
+  }
+
+  // 심볼 마진 모드 변경 (포지션/미체결 주문이 없을 때만 가능)
+  setMarginMode(userId, symbol, marginMode) {
+    const user = this.users.get(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+    if (!MARGIN_MODES.includes(marginMode)) {
+      throw new Error(`Invalid margin mode: ${marginMode}`);
+    }
+
+    const hasPosition = this.positions.get(userId).some(p => p.symbol === symbol);
+    const hasOrders = this.orders.get(userId).some(o => o.symbol === symbol);
+    if (hasPosition || hasOrders) {
+      throw new Error('Cannot switch margin mode with open positions or orders');
+    }
+
+    user.marginModes[symbol] = marginMode;
+    this.persistUser(userId);
+    logger.info(`Margin mode changed: ${userId} ${symbol} -> ${marginMode}`);
+
+    return { symbol, marginMode };
+  }
+
+  // 심볼 레버리지 조회 (신규 주문 기본값)
+  getLeverage(userId, symbol) {
+    const user = this.users.get(userId);
+    return (user && user.leverages && user.leverages[symbol]) || config.trading.defaultLeverage;
+  }
+
+  // 심볼 레버리지 변경 (보유 포지션 증거금/청산 가격 재계산, 미체결 주문에도 적용)
+  setLeverage(userId, symbol, leverage) {
+    const user = this.users.get(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const value = parseFloat(leverage);
+    if (!(value >= 1)) {
+      throw new OrderRejectedError('INVALID_LEVERAGE', 'Invalid leverage', { leverage });
+    }
+    if (value > config.trading.maxLeverage) {
+      throw new OrderRejectedError('MAX_LEVERAGE', `Maximum leverage is ${config.trading.maxLeverage}x`, {
+        maxLeverage: config.trading.maxLeverage
+      });
+    }
+    const instrument = this.instruments.get(symbol);
+    if (instrument && (value < instrument.minLeverage || value > instrument.maxLeverage)) {
+      throw new OrderRejectedError('MAX_LEVERAGE', `Leverage for ${symbol} must be between ${instrument.minLeverage}x and ${instrument.maxLeverage}x`, {
+        leverage: value, minLeverage: instrument.minLeverage, maxLeverage: instrument.maxLeverage
+      });
+    }
+
+    const userPositions = this.positions.get(userId);
+    const positions = userPositions.filter(p => p.symbol === symbol);
+    if (value === this.getLeverage(userId, symbol) && positions.every(p => p.leverage === value)) {
+      throw new Error('Leverage not modified');
+    }
+
+    // 리스크 한도 티어별 최대 레버리지
+    positions.forEach(p => this.checkRiskLimit(symbol, p.qty * p.avgPrice, value));
+
+    // 늘어나는 초기 증거금만큼 가용 잔고 필요 (포지션 + reduce-only가 아닌 미체결 주문 잔량)
+    const orders = this.orders.get(userId).filter(o => o.symbol === symbol && !o.reduceOnly);
+    const extraMargin = positions.reduce((sum, p) => sum + p.qty * p.avgPrice / value - p.marginUsed, 0) +
+      orders.reduce((sum, o) => {
+        const orderValue = (o.qty - o.filledQty) * o.price;
+        return sum + orderValue / value - orderValue / o.leverage;
+      }, 0);
+    if (extraMargin > 0 && user.balance.availableBalance < extraMargin) {
+      throw new Error('Insufficient balance');
+    }
+
+    // 변경 적용 후 즉시 청산되는 포지션이 있으면 (교차 마진 포지션 포함) 원상 복구 후 거부
+    const saved = userPositions.map(p => ({ ...p }));
+    positions.forEach(p => {
+      p.leverage = value;
+      this.updatePositionMargin(p);
+    });
+    this.refreshBalance(userId);
+
+    const breached = userPositions.find(p => p.markPrice && (p.side === 'Buy'
+      ? p.markPrice <= p.liqPrice
+      : p.markPrice >= p.liqPrice));
+    if (breached) {
+      userPositions.forEach((p, i) => Object.assign(p, saved[i]));
+      this.refreshBalance(userId);
+      throw new OrderRejectedError('LIQUIDATION_RISK', `Leverage ${value}x would trigger liquidation of the ${breached.symbol} position`, {
+        leverage: value, markPrice: breached.markPrice, liqPrice: breached.liqPrice
+      });
+    }
+
+    if (!user.leverages) user.leverages = {};
+    user.leverages[symbol] = value;
+    orders.forEach(o => { o.leverage = value; });
+
+    positions.forEach(position => {
+      position.updatedTime = this.now();
+      this.emit('positionUpdate', { userId, position });
+    });
+    this.emit('balanceUpdate', { userId, balance: user.balance });
+    this.persistUser(userId);
+    logger.info(`Leverage changed: ${userId} ${symbol} -> ${value}x`);
+
+    return { symbol, leverage: value };
+  }
+
+  // 심볼/포지션 인덱스로 포지션 조회
+  findPosition(userId, symbol, positionIdx = 0) {
+    const userPositions = this.positions.get(userId) || [];
+    return userPositions.find(p => p.symbol === symbol && p.positionIdx === positionIdx) || null;
+  }
+
+  // 포지션 모드 조회
+  getPositionMode(userId) {
+    const user = this.users.get(userId);
+    return (user && user.positionMode) || config.trading.defaultPositionMode;
+  }
+
+  // 포지션 모드 변경 (oneway: 단방향, hedge: 롱/숏 동시 보유, 포지션/미체결 주문이 없을 때만 가능)
+  setPositionMode(userId, positionMode) {
+    const user = this.users.get(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+    if (!POSITION_MODES.includes(positionMode)) {
+      throw new Error(`Invalid position mode: ${positionMode}`);
+    }
+    if (this.positions.get(userId).length > 0 || this.orders.get(userId).length > 0) {
+      throw new Error('Cannot switch position mode with open positions or orders');
+    }
+
+    user.positionMode = positionMode;
+    this.persistUser(userId);
+    logger.info(`Position mode changed: ${userId} -> ${positionMode}`);
+
+    return { positionMode };
+  }
+
+  // 격리 마진 증거금 추가/감소 (margin > 0: 추가, margin < 0: 감소)
+  adjustPositionMargin(userId, positionId, margin) {
+    const user = this.users.get(userId);
+    const userPositions = this.positions.get(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const position = userPositions.find(p => p.positionId === positionId);
+    if (!position) {
+      throw new Error('Position not found');
+    }
+    if (position.marginMode !== 'isolated') {
+      throw new Error('Margin can only be adjusted on isolated positions');
+    }
+
+    const amount = parseFloat(margin);
+    if (!amount) {
+      throw new Error('Invalid margin amount');
+    }
+    if (amount > 0 && user.balance.availableBalance < amount) {
+      throw new Error('Insufficient balance');
+    }
+    if (amount < 0 && -amount > position.addedMargin) {
+      throw new Error('Cannot reduce margin below initial margin');
+    }
+
+    // 감소 후 즉시 청산되는 경우 거부
+    const next = this.calculateLiqPrices(position, position.positionBalance + amount);
+    const breached = position.side === 'Buy'
+      ? position.markPrice <= next.liqPrice
+      : position.markPrice >= next.liqPrice;
+    if (amount < 0 && breached) {
+      throw new Error('Reducing margin would trigger liquidation');
+    }
+
+    position.addedMargin += amount;
+    position.updatedTime = this.now();
+    this.updatePositionMargin(position);
+    this.refreshBalance(userId);
+
+    this.emit('positionUpdate', { userId, position });
+    this.emit('balanceUpdate', { userId, balance: user.balance });
+    logger.info(`Position margin adjusted: ${positionId} ${amount > 0 ? '+' : ''}${amount}`);
+
+    return position;
+  }
+
+  // 강제 청산 체크 (마크 가격이 청산 가격 도달 시)
+  checkLiquidation(userId, position) {
+    if (!position.markPrice || !position.liqPrice) return;
+
+    const breached = position.side === 'Buy'
+      ? position.markPrice <= position.liqPrice
+      : position.markPrice >= position.liqPrice;
+
+    if (breached) {
+      this.liquidatePosition(userId, position);
+    }
+  }
+
+  // 강제 청산 실행 (파산 가격으로 포지션 종료)
+  liquidatePosition(userId, position) {
+    const { positionId, symbol, side, qty, liqPrice, bustPrice, markPrice } = position;
+    const loss = this.calculatePnl(position, bustPrice);
+
+    logger.warn(`Liquidating position ${positionId} for user ${userId} (mark ${markPrice}, liq ${liqPrice})`);
+
+    const order = this.newOrder(userId, {
+      symbol,
+      side: side === 'Buy' ? 'Sell' : 'Buy',
+      orderType: 'Market',
+      qty,
+      price: bustPrice,
+      leverage: position.leverage,
+      positionIdx: position.positionIdx,
+      reduceOnly: true,
+      timeInForce: 'IOC'
+    });
+    this.executeOrder(order, { fillPrice: bustPrice });
+
+    // 파산 가격 이후의 손실(청산 수수료 포함)은 보험 기금이 부담
+    const user = this.users.get(userId);
+    if (user.balance.USDT < 0) {
+      user.balance.USDT = 0;
+      this.refreshBalance(userId);
+    }
+
+    this.emit('liquidation', {
+      userId,
+      positionId,
+      symbol,
+      side,
+      qty,
+      marginMode: position.marginMode,
+      markPrice,
+      liqPrice,
+      bustPrice,
+      reason: 'Mark price reached liquidation price',
+      loss
+    });
+  }
+
+  // 대기 중인 지정가/조건부 주문 체크
+  checkPendingOrders(symbol) {
+    const lastPrice = this.getPrice(symbol);
+
+    for (const [userId, userOrders] of this.orders) {
+      // 체결 시 배열이 변경되므로 복사본으로 순회
+      for (const order of [...userOrders]) {
+        if (order.symbol !== symbol) continue;
+
+        if (order.status === 'Untriggered') {
+          if (!this.checkTrigger(order)) continue;
+
+          // 조건부 시장가 주문은 발동 즉시 체결
+          if (order.orderType === 'Market') {
+            this.removeOpenOrder(order);
+            this.fillAsTaker(order);
+            continue;
+          }
+
+          // 조건부 지정가 주문은 발동 시점에 TIF 적용
+          const action = this.resolveLimitOrder(order);
+          if (action === 'fill') {
+            this.fillAsTaker(order);
+            if (!OPEN_ORDER_STATUSES.includes(order.status)) {
+              this.removeOpenOrder(order);
+            }
+          } else if (action === 'cancel') {
+            this.removeOpenOrder(order);
+            this.rejectOrder(order, order.timeInForce === 'PostOnly'
+              ? 'EC_PostOnlyWillTakeLiquidity'
+              : 'EC_NoImmediateQtyToFill');
+          }
+          continue;
+        }
+
+        if (!['New', 'PartiallyFilled', 'Triggered'].includes(order.status)) continue;
+        
+        // 체결 조건 확인
+        const shouldFill = 
+          (order.side === 'Buy' && lastPrice <= order.price) ||
+          (order.side === 'Sell' && lastPrice >= order.price);
+        
+        if (shouldFill) {
+          // 체결된 주문 제거
+          this.removeOpenOrder(order);
+          
+          // 대기 중이던 지정가 주문은 메이커로 체결
+          this.executeOrder(order, { isMaker: true });
+        }
+      }
+    }
+  }
+
+  // 조건부 주문 발동 체크 (주문의 발동 기준 가격 사용)
+  checkTrigger(order) {
+    const referencePrice = this.getPriceBy(order.symbol, order.triggerBy);
+
+    // 트레일링 스탑은 최적 가격을 따라 발동 가격 갱신
+    if (order.stopOrderType === 'TrailingStop') {
+      if (order.side === 'Sell' && referencePrice > order.trailingBestPrice) {
+        order.trailingBestPrice = referencePrice;
+        order.triggerPrice = referencePrice - order.trailingStop;
+      } else if (order.side === 'Buy' && referencePrice < order.trailingBestPrice) {
+        order.trailingBestPrice = referencePrice;
+        order.triggerPrice = referencePrice + order.trailingStop;
+      }
+    }
+
+    const triggered = order.triggerDirection === 1
+      ? referencePrice >= order.triggerPrice
+      : referencePrice <= order.triggerPrice;
+
+    if (!triggered) {
+      return false;
+    }
+
+    order.status = 'Triggered';
+    order.triggeredTime = this.now();
+    order.updatedTime = this.now();
+
+    this.emit('orderTriggered', order);
+    logger.info(`Order triggered: ${order.orderId} at ${referencePrice}`);
+    this.updateOrderGroup(order, 'triggered');
+
+    return true;
+  }
+
+  // 미체결 주문 조회 (orderId 또는 orderLinkId)
+  findOpenOrder(userId, { orderId, orderLinkId } = {}) {
+    const userOrders = this.orders.get(userId) || [];
+    
+    if (orderId) {
+      return userOrders.find(o => o.orderId === orderId) || null;
+    }
+    if (orderLinkId) {
+      return userOrders.find(o => o.orderLinkId === orderLinkId) || null;
+    }
+    return null;
+  }
+
+  // 미체결 주문 정정 (가격, 수량, 발동 가격, TP/SL), 대기열에서 빼지 않고 그대로 수정
+  amendOrder(userId, orderId, { qty, price, triggerPrice, takeProfit, stopLoss } = {}) {
+    const user = this.users.get(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const order = this.findOpenOrder(userId, { orderId });
+    if (!order) {
+      throw new Error('Order not found');
+    }
+
+    const untriggered = order.status === 'Untriggered';
+    const isLimit = order.orderType === 'Limit';
+
+    // TP/SL은 0으로 지정 시 해제
+    const parseTpSl = (value, current) => {
+      if (value === undefined || value === null || value === '') return current;
+      return parseFloat(value) === 0 ? null : parseFloat(value);
+    };
+
+    const next = {
+      qty: qty === undefined || qty === null || qty === '' ? order.qty : parseFloat(qty),
+      price: price === undefined || price === null || price === '' || !isLimit ? order.price : parseFloat(price),
+      triggerPrice: triggerPrice === undefined || triggerPrice === null || triggerPrice === '' ? order.triggerPrice : parseFloat(triggerPrice),
+      takeProfit: parseTpSl(takeProfit, order.takeProfit),
+      stopLoss: parseTpSl(stopLoss, order.stopLoss)
+    };
+
+    if (price !== undefined && price !== null && price !== '' && !isLimit) {
+      throw new Error('Price can only be amended on limit orders');
+    }
+    if (next.triggerPrice !== order.triggerPrice && !(untriggered && order.stopOrderType === 'Stop')) {
+      throw new Error('Trigger price can only be amended on untriggered stop orders');
+    }
+
+    const changes = {};
+    for (const field of Object.keys(next)) {
+      if (next[field] !== order[field]) {
+        changes[field] = { from: order[field], to: next[field] };
+      }
+    }
+    if (Object.keys(changes).length === 0) {
+      throw new Error('Order not modified');
+    }
+
+    // 수량은 체결 수량보다 커야 함
+    if (!(next.qty > order.filledQty)) {
+      throw new OrderRejectedError('INVALID_QTY', `Quantity must be greater than filled quantity ${order.filledQty}`, {
+        qty: next.qty, filledQty: order.filledQty
+      });
+    }
+
+    // 조건부 시장가 주문은 발동 가격 기준으로 증거금 계산
+    const executionPrice = isLimit ? next.price : (untriggered ? next.triggerPrice : order.price);
+    const remainingQty = roundQty(next.qty - order.filledQty);
+
+    // 발동 가격 방향 재검증
+    if (changes.triggerPrice) {
+      if (!(next.triggerPrice > 0)) {
+        throw new OrderRejectedError('INVALID_TRIGGER', 'Invalid trigger price');
+      }
+      const referencePrice = this.getPriceBy(order.symbol, order.triggerBy);
+      if (order.triggerDirection === 1 && next.triggerPrice <= referencePrice) {
+        throw new OrderRejectedError('INVALID_TRIGGER', 'Trigger price must be above the current price for rising triggers');
+      }
+      if (order.triggerDirection === 2 && next.triggerPrice >= referencePrice) {
+        throw new OrderRejectedError('INVALID_TRIGGER', 'Trigger price must be below the current price for falling triggers');
+      }
+    }
+
+    this.validateOrderSpec(order.symbol, {
+      orderType: order.orderType,
+      qty: next.qty,
+      price: isLimit ? next.price : null,
+      triggerPrice: untriggered && order.stopOrderType === 'Stop' ? next.triggerPrice : null,
+      leverage: order.leverage,
+      orderValue: next.qty * executionPrice,
+      reduceOnly: order.reduceOnly
+    });
+
+    this.checkRiskLimit(
+      order.symbol,
+      this.projectPositionValue(userId, order.symbol, order.side, remainingQty, executionPrice, order.reduceOnly, order.positionIdx),
+      order.leverage
+    );
+
+    if (!order.reduceOnly && (changes.takeProfit || changes.stopLoss || changes.price || changes.triggerPrice)) {
+      this.validateTpSl(order.side, next.takeProfit, next.stopLoss, executionPrice);
+    }
+
+    // 정정 후 즉시 체결되는 지정가 주문 (PostOnly는 거부)
+    const marketable = isLimit && !untriggered && this.isMarketable(order.symbol, order.side, next.price);
+    if (marketable && order.timeInForce === 'PostOnly') {
+      throw new OrderRejectedError('POST_ONLY_REJECTED', 'PostOnly order would cross the current price');
+    }
+
+    // 증거금 재확인 (남은 수량 기준, 정정 전 주문 기준 증거금은 일괄 정정 차감에서 제외)
+    const feeRate = marketable || order.orderType === 'Market' ? config.trading.takerFee : config.trading.makerFee;
+    const orderValue = remainingQty * executionPrice;
+    const heldValue = roundQty(order.qty - order.filledQty) * (isLimit || !untriggered ? order.price : order.triggerPrice);
+    if (!order.reduceOnly) {
+      this.reserveMargin(user, orderValue / order.leverage + orderValue * feeRate, heldValue / order.leverage + heldValue * feeRate);
+    }
+
+    Object.assign(order, next);
+    if (!isLimit && untriggered) {
+      order.price = next.triggerPrice;
+    }
+    order.updatedTime = this.now();
+
+    this.emit('orderAmended', { userId, orderId: order.orderId, order, changes });
+    logger.info(`Order amended: ${order.orderId} (${Object.keys(changes).join(', ')})`);
+
+    if (marketable) {
+      this.fillAsTaker(order);
+      if (!OPEN_ORDER_STATUSES.includes(order.status)) {
+        this.removeOpenOrder(order);
+      }
+    }
+
+    return order;
+  }
+
+  // 주문 취소
+  cancelOrder(userId, orderId) {
+    const userOrders = this.orders.get(userId);
+    if (!userOrders) {
+      throw new Error('User not found');
+    }
+
+    const orderIndex = userOrders.findIndex(o => o.orderId === orderId);
+    if (orderIndex === -1) {
+      throw new Error('Order not found');
+    }
+
+    const order = userOrders[orderIndex];
+    if (!OPEN_ORDER_STATUSES.includes(order.status)) {
+      throw new Error('Cannot cancel filled order');
+    }
+
+    order.status = 'Cancelled';
+    order.updatedTime = this.now();
+    
+    userOrders.splice(orderIndex, 1);
+    
+    this.emit('orderCancelled', order);
+    logger.info(`Order cancelled: ${orderId}`);
+    this.updateOrderGroup(order, 'cancelled');
+    
+    return order;
+  }
+
+  // 일괄 요청 검증 (항목 수 제한)
+  checkBatch(userId, items) {
+    const user = this.users.get(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new Error('Batch must contain at least one item');
+    }
+    if (items.length > config.trading.maxBatchOrders) {
+      throw new OrderRejectedError('BATCH_TOO_LARGE', `Maximum of ${config.trading.maxBatchOrders} orders per batch`, {
+        maxBatchOrders: config.trading.maxBatchOrders
+      });
+    }
+    return user;
+  }
+
+  // 일괄 처리 항목 실행 (항목별 실패는 결과에 기록하고 다음 항목 계속 처리)
+  runBatch(user, items, fn) {
+    this.marginBudget = { remaining: user.balance.availableBalance };
+    try {
+      return items.map(item => {
+        if (!item || typeof item !== 'object') {
+          return Promise.reject(new Error('Invalid batch item'));
+        }
+        try {
+          return fn(item);
+        } catch (error) {
+          return Promise.reject(error);
+        }
+      });
+    } finally {
+      this.marginBudget = null;
+    }
+  }
+
+  // 일괄 주문 생성 → 항목 순서대로 { success, order } 또는 { success: false, error, code, details }
+  // 대기 주문은 증거금을 점유하지 않으므로 배치 전체를 한 번의 가용 잔고로 확인 (항목별 주문마다 전체 잔고 사용 방지)
+  createOrders(userId, items) {
+    const user = this.checkBatch(userId, items);
+    return batchResults(this.runBatch(user, items, item => this.createOrder(userId, item)));
+  }
+
+  // 일괄 주문 정정 (항목: orderId 또는 orderLinkId + 정정 필드)
+  amendOrders(userId, items) {
+    const user = this.checkBatch(userId, items);
+    return batchResults(this.runBatch(user, items, ({ orderId, orderLinkId, ...changes }) => {
+      const order = this.findOpenOrder(userId, { orderId, orderLinkId });
+      if (!order) {
+        throw new Error('Order not found');
+      }
+      return this.amendOrder(userId, order.orderId, changes);
+    }));
+  }
+
+  // 일괄 주문 취소 (항목: orderId 또는 orderLinkId)
+  cancelOrders(userId, items) {
+    const user = this.checkBatch(userId, items);
+    return batchResults(this.runBatch(user, items, ({ orderId, orderLinkId }) => {
+      const order = this.findOpenOrder(userId, { orderId, orderLinkId });
+      if (!order) {
+        throw new Error('Order not found');
+      }
+      return this.cancelOrder(userId, order.orderId);
+    }));
+  }
+
+  // 미체결 주문 전체 취소 (symbol, side 지정 시 해당 주문만), 취소된 주문 목록 반환
+  cancelAllOrders(userId, { symbol, side } = {}) {
+    const userOrders = this.orders.get(userId);
+    if (!userOrders) {
+      throw new Error('User not found');
+    }
+    if (side && !['Buy', 'Sell'].includes(side)) {
+      throw new Error(`Invalid side: ${side}`);
+    }
+
+    const targets = userOrders.filter(order =>
+      (!symbol || order.symbol === symbol) && (!side || order.side === side)
+    );
+    for (const order of targets) {
+      // 그룹 연동으로 이미 취소된 주문은 건너뜀
+      if (userOrders.includes(order)) {
+        this.cancelOrder(userId, order.orderId);
+      }
+    }
+    const cancelled = targets.filter(order => order.status === 'Cancelled');
+
+    logger.info(`Orders cancelled for ${userId}: ${cancelled.length}${symbol ? ` ${symbol}` : ''}${side ? ` ${side}` : ''}`);
+    return cancelled;
+  }
+
+  // OCO 주문 (두 주문 중 하나가 체결/발동되면 나머지 취소), 그룹 반환
+  // 주문이 하나라도 거부되면 먼저 접수된 주문도 취소
+  createOcoOrder(userId, { orders } = {}) {
+    const user = this.users.get(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+    if (!Array.isArray(orders) || orders.length !== 2) {
+      throw new Error('OCO group requires exactly two orders');
+    }
+    if (orders.some(leg => !leg || typeof leg !== 'object')) {
+      throw new Error('Invalid OCO order');
+    }
+    if (orders.some(leg => leg.orderType === 'Market' && !leg.triggerPrice && !leg.trailingStop)) {
+      throw new Error('OCO orders must be limit or conditional orders');
+    }
 
-    // 캐시에 저장
-    await cacheService.hset('users', userId, user);
+    const symbol = orders[0].symbol || config.trading.defaultSymbol;
+    if (orders.some(leg => (leg.symbol || config.trading.defaultSymbol) !== symbol)) {
+      throw new Error('OCO orders must have the same symbol');
+    }
 
-    logger.info(`User initialized: ${userId}`);
-    return user;
-  }
+    const group = this.openOrderGroup(user, 'OCO', 'Active', { symbol });
+    try {
+      for (const leg of orders) {
+        // 앞 주문이 즉시 체결되어 그룹이 끝나면 나머지 주문은 접수하지 않음
+        if (group.status !== 'Active') break;
+        this.createOrder(userId, { ...leg, symbol }, { orderGroupId: group.groupId, groupRole: 'Leg' });
+      }
+    } catch (error) {
+      this.discardOrderGroup(group);
+      throw error;
+    }
 
-  // 현재 가격 업데이트
-  updateCurrentPrice(price) {
-    this.currentPrice = parseFloat(price);
-    this.emit('priceUpdate', this.currentPrice);
-    
-    // 모든 포지션의 미실현 손익 업데이트
-    this.updateAllPositionsPnL();
-    
-    // 대기 중인 지정가 주문 체크
-    this.checkPendingOrders();
+    if (group.status === 'Active') {
+      this.emitOrderGroup(group);
+    }
+    logger.info(`OCO group created: ${group.groupId} (${group.orderIds.join(', ')})`);
+    return group;
   }
 
-  // 주문 생성
-  async createOrder(userId, orderData) {
+  // 브래킷 주문 (진입 주문이 체결되면 체결 수량만큼 TP 지정가/SL 스탑 시장가 주문을 배치하고 둘을 OCO로 연동)
+  // takeProfit, stopLoss는 포지션 TP/SL이 아닌 별도 reduce-only 주문으로 배치
+  createBracketOrder(userId, { takeProfit, stopLoss, slTriggerBy = 'LastPrice', ...entry } = {}) {
     const user = this.users.get(userId);
     if (!user) {
       throw new Error('User not found');
     }
 
-    const {
-      side, // Buy or Sell
-      orderType, // Market or Limit
-      qty,
-      price,
-      leverage = config.trading.defaultLeverage,
-      stopLoss,
-      takeProfit,
-      reduceOnly = false
-    } = orderData;
-
-    // 레버리지 검증
-    if (leverage > config.trading.maxLeverage) {
-      throw new Error(`Maximum leverage is ${config.trading.maxLeverage}x`);
+    const tp = takeProfit ? parseFloat(takeProfit) : null;
+    const sl = stopLoss ? parseFloat(stopLoss) : null;
+    if (!tp && !sl) {
+      throw new Error('Bracket order requires takeProfit or stopLoss');
+    }
+    if (entry.reduceOnly) {
+      throw new Error('Bracket entry order cannot be reduce-only');
+    }
+    if (!TRIGGER_BY.includes(slTriggerBy)) {
+      throw new Error(`Invalid triggerBy: ${slTriggerBy}`);
     }
 
-    // 주문 가격 결정
-    const executionPrice = orderType === 'Market' ? this.currentPrice : parseFloat(price);
-    
-    // 필요 증거금 계산
-    const orderValue = qty * executionPrice;
-    const requiredMargin = orderValue / leverage;
-    const fee = orderValue * (orderType === 'Market' ? config.trading.takerFee : config.trading.makerFee);
+    // 진입 가격 기준 TP/SL 방향 검증 (지정가: 주문 가격, 조건부: 발동 가격, 시장가: 현재가)
+    const symbol = entry.symbol || config.trading.defaultSymbol;
+    this.activateSymbol(symbol);
+    let referencePrice = this.requirePrice(symbol);
+    if (entry.orderType === 'Limit' && entry.price) {
+      referencePrice = parseFloat(entry.price);
+    } else if (entry.triggerPrice) {
+      referencePrice = parseFloat(entry.triggerPrice);
+    }
+    this.validateTpSl(entry.side, tp, sl, referencePrice);
 
-    // 잔고 확인
-    if (!reduceOnly && user.balance.availableBalance < (requiredMargin + fee)) {
-      throw new Error('Insufficient balance');
+    const group = this.openOrderGroup(user, 'Bracket', 'Pending', {
+      symbol,
+      parentOrderId: null,
+      takeProfit: tp,
+      stopLoss: sl,
+      slTriggerBy
+    });
+    try {
+      this.createOrder(userId, { ...entry, symbol }, { orderGroupId: group.groupId, groupRole: 'Entry' });
+    } catch (error) {
+      this.discardOrderGroup(group);
+      throw error;
     }
 
-    const order = {
-      orderId: uuidv4(),
-      userId,
-      symbol: 'BTCUSDT',
-      side,
-      orderType,
-      qty: parseFloat(qty),
-      price: executionPrice,
-      leverage,
-      stopLoss: stopLoss ? parseFloat(stopLoss) : null,
-      takeProfit: takeProfit ? parseFloat(takeProfit) : null,
-      reduceOnly,
-      status: orderType === 'Market' ? 'Filled' : 'New',
-      createdTime: Date.now(),
-      updatedTime: Date.now(),
-      filledQty: 0,
-      avgPrice: 0,
-      fee: 0
-    };
+    if (group.status === 'Pending') {
+      this.emitOrderGroup(group);
+    }
+    logger.info(`Bracket group created: ${group.groupId} (entry ${group.parentOrderId})`);
+    return group;
+  }
 
-    // Market 주문은 즉시 체결
-    if (orderType === 'Market') {
-      return await this.executeOrder(order);
+  // 주문 그룹 취소 (남은 그룹 주문 모두 취소)
+  cancelOrderGroup(userId, groupId) {
+    const group = this.getOrderGroup(userId, groupId);
+    if (!group) {
+      throw new Error('Order group not found');
     }
 
-    // Limit 주문은 대기 목록에 추가
-    const userOrders = this.orders.get(userId);
-    userOrders.push(order);
-    
-    this.emit('orderCreated', order);
-    logger.info(`Order created: ${order.orderId}`);
-    
-    return order;
+    this.closeOrderGroup(group, 'Cancelled', 'Cancelled by user');
+    return group;
   }
 
-  // 주문 체결
-  async executeOrder(order) {
-    const user = this.users.get(order.userId);
-    const userPositions = this.positions.get(order.userId);
-    
-    // 수수료 계산
-    const orderValue = order.qty * order.price;
-    order.fee = orderValue * (order.orderType === 'Market' ? config.trading.takerFee : config.trading.makerFee);
-    order.filledQty = order.qty;
-    order.avgPrice = order.price;
-    order.status = 'Filled';
-    order.updatedTime = Date.now();
+  getOrderGroup(userId, groupId) {
+    const user = this.users.get(userId);
+    return (user && user.orderGroups && user.orderGroups[groupId]) || null;
+  }
 
-    // 기존 포지션 찾기
-    let position = userPositions.find(p => p.symbol === 'BTCUSDT');
+  // 진행 중인 주문 그룹 목록
+  getOrderGroups(userId) {
+    const user = this.users.get(userId);
+    return user && user.orderGroups ? Object.values(user.orderGroups) : [];
+  }
 
-    if (position) {
-      // 기존 포지션 업데이트
-      if (position.side === order.side && !order.reduceOnly) {
-        // 같은 방향 - 포지션 추가
-        const totalQty = position.qty + order.qty;
-        const totalValue = (position.qty * position.avgPrice) + (order.qty * order.price);
-        
-        position.qty = totalQty;
-        position.avgPrice = totalValue / totalQty;
-        position.leverage = order.leverage;
-        position.updatedTime = Date.now();
-      } else {
-        // 반대 방향 또는 포지션 감소
-        if (position.qty > order.qty) {
-          // 부분 청산
-          const closedQty = order.qty;
-          const pnl = this.calculatePnl(position, order.price, closedQty);
-          
-          position.qty -= closedQty;
-          position.realizedPnl += pnl;
-          user.balance.realizedPnl += pnl;
-          user.balance.USDT += pnl;
-        } else if (position.qty < order.qty && !order.reduceOnly) {
-          // 포지션 전환
-          const closedQty = position.qty;
-          const pnl = this.calculatePnl(position, order.price, closedQty);
-          
-          user.balance.realizedPnl += pnl;
-          user.balance.USDT += pnl;
-          
-          // 새 포지션 생성
-          position.side = order.side;
-          position.qty = order.qty - closedQty;
-          position.avgPrice = order.price;
-          position.leverage = order.leverage;
-          position.realizedPnl = 0;
-          position.unrealizedPnl = 0;
-          position.createdTime = Date.now();
-        } else {
-          // 완전 청산
-          const pnl = this.calculatePnl(position, order.price, position.qty);
-          
-          user.balance.realizedPnl += pnl;
-          user.balance.USDT += pnl;
-          
-          const index = userPositions.indexOf(position);
-          userPositions.splice(index, 1);
-          position = null;
-        }
-      }
-    } else if (!order.reduceOnly) {
-      // 새 포지션 생성
-      position = {
-        positionId: uuidv4(),
-        userId: order.userId,
-        symbol: 'BTCUSDT',
-        side: order.side,
-        qty: order.qty,
-        avgPrice: order.price,
-        markPrice: this.currentPrice,
-        leverage: order.leverage,
-        unrealizedPnl: 0,
-        realizedPnl: 0,
-        marginUsed: 0,
-        maintenanceMargin: 0,
-        stopLoss: order.stopLoss,
-        takeProfit: order.takeProfit,
-        createdTime: Date.now(),
-        updatedTime: Date.now()
-      };
-      
-      userPositions.push(position);
+  // 그룹 생성 (첫 상태 이벤트는 주문 접수 후 전송)
+  openOrderGroup(user, groupType, status, fields) {
+    if (!ORDER_GROUP_TYPES.includes(groupType)) {
+      throw new Error(`Invalid order group type: ${groupType}`);
     }
-
-    // 증거금 업데이트
-    if (position) {
-      position.marginUsed = (position.qty * position.avgPrice) / position.leverage;
-      position.maintenanceMargin = position.marginUsed * config.trading.maintenanceMarginRate;
-      
-      // 사용자 잔고 업데이트
-      let totalMarginUsed = 0;
-      userPositions.forEach(p => {
-        totalMarginUsed += p.marginUsed;
-      });
-      
-      user.balance.marginUsed = totalMarginUsed;
-      user.balance.availableBalance = user.balance.USDT - totalMarginUsed;
+    if (!user.orderGroups) {
+      user.orderGroups = {};
     }
 
-    // 수수료 차감
-    user.balance.USDT -= order.fee;
-    user.balance.availableBalance -= order.fee;
+    const group = {
+      groupId: this.nextId(),
+      userId: user.userId,
+      groupType,
+      status, // OCO: Active, 브래킷: Pending (진입 대기) → Active (TP/SL 배치), 종료: Completed, Cancelled
+      orderIds: [],
+      reason: null,
+      createdTime: this.now(),
+      updatedTime: this.now(),
+      ...fields
+    };
+    user.orderGroups[group.groupId] = group;
+    return group;
+  }
 
-    // 거래 내역 추가
-    user.tradeHistory.push({
-      tradeId: uuidv4(),
-      orderId: order.orderId,
-      symbol: order.symbol,
-      side: order.side,
-      price: order.price,
-      qty: order.qty,
-      fee: order.fee,
-      realizedPnl: 0,
-      time: Date.now()
-    });
+  // 접수 실패한 그룹 제거 (이벤트 없이 먼저 접수된 주문만 취소)
+  discardOrderGroup(group) {
+    delete this.users.get(group.userId).orderGroups[group.groupId];
 
-    this.emit('orderFilled', order);
-    this.emit('positionUpdate', { userId: order.userId, position });
-    
-    logger.info(`Order executed: ${order.orderId}`);
-    return order;
+    const userOrders = this.orders.get(group.userId) || [];
+    userOrders
+      .filter(order => order.orderGroupId === group.groupId)
+      .forEach(order => this.cancelOrder(group.userId, order.orderId));
   }
 
-  // 포지션 청산
-  async closePosition(userId, positionId, closeQty = null) {
-    const userPositions = this.positions.get(userId);
-    const user = this.users.get(userId);
-    
-    const position = userPositions.find(p => p.positionId === positionId);
-    if (!position) {
-      throw new Error('Position not found');
-    }
-
-    const qtyToClose = closeQty || position.qty;
-    if (qtyToClose > position.qty) {
-      throw new Error('Close quantity exceeds position size');
-    }
+  // 그룹 종료 (source 외 남은 그룹 주문 취소 후 상태 전송)
+  closeOrderGroup(group, status, reason, source = null) {
+    group.status = status;
+    group.reason = reason;
+    group.updatedTime = this.now();
+    delete this.users.get(group.userId).orderGroups[group.groupId];
 
-    // 반대 방향 시장가 주문 생성
-    const closeOrder = await this.createOrder(userId, {
-      side: position.side === 'Buy' ? 'Sell' : 'Buy',
-      orderType: 'Market',
-      qty: qtyToClose,
-      leverage: position.leverage,
-      reduceOnly: true
-    });
+    // 그룹을 먼저 제거하므로 아래 취소는 그룹 처리를 다시 일으키지 않음
+    const userOrders = this.orders.get(group.userId) || [];
+    userOrders
+      .filter(order => order.orderGroupId === group.groupId && order !== source)
+      .forEach(order => this.cancelOrder(group.userId, order.orderId));
 
-    return closeOrder;
+    this.emitOrderGroup(group);
+    logger.info(`Order group ${status.toLowerCase()}: ${group.groupId} (${reason})`);
   }
 
-  // PnL 계산
-  calculatePnl(position, exitPrice, qty = null) {
-    const quantity = qty || position.qty;
-    
-    if (position.side === 'Buy') {
-      return (exitPrice - position.avgPrice) * quantity;
-    } else {
-      return (position.avgPrice - exitPrice) * quantity;
-    }
+  emitOrderGroup(group) {
+    this.emit('orderGroupUpdate', { userId: group.userId, groupId: group.groupId, group: { ...group, orderIds: [...group.orderIds] } });
   }
 
-  // 모든 포지션 PnL 업데이트
-  updateAllPositionsPnL() {
-    for (const [userId, userPositions] of this.positions) {
-      for (const position of userPositions) {
-        position.markPrice = this.currentPrice;
-        position.unrealizedPnl = this.calculatePnl(position, this.currentPrice);
-        
-        // 강제 청산 체크
-        this.checkLiquidation(userId, position);
-      }
-      
-      // 사용자 잔고 업데이트
-      const user = this.users.get(userId);
-      if (user) {
-        let totalUnrealizedPnl = 0;
-        userPositions.forEach(p => {
-          totalUnrealizedPnl += p.unrealizedPnl;
-        });
-        
-        user.balance.unrealizedPnl = totalUnrealizedPnl;
-        user.balance.totalEquity = user.balance.USDT + totalUnrealizedPnl;
-        
-        this.emit('balanceUpdate', { userId, balance: user.balance });
+  // 그룹 주문 상태 변경 처리 (event: filled, triggered, rejected, cancelled)
+  updateOrderGroup(order, event) {
+    const group = order.orderGroupId ? this.getOrderGroup(order.userId, order.orderGroupId) : null;
+    if (!group) return;
+
+    if (order.groupRole === 'Entry') {
+      if (event === 'filled') {
+        this.placeBracketLegs(group, order);
+      } else if (event === 'cancelled' || (event === 'rejected' && order.filledQty === 0)) {
+        // 진입 주문 취소 시 TP/SL도 취소 (부분 체결 후 잔량만 거부된 경우 TP/SL 유지)
+        this.closeOrderGroup(group, 'Cancelled', event === 'cancelled'
+          ? 'Entry order cancelled'
+          : `Entry order rejected (${order.rejectReason})`);
       }
+      return;
     }
-  }
 
-  // 강제 청산 체크
-  async checkLiquidation(userId, position) {
-    const user = this.users.get(userId);
-    
-    // 유지 증거금 비율 계산
-    const equity = user.balance.USDT + position.unrealizedPnl;
-    const maintenanceMarginRatio = position.maintenanceMargin / equity;
-    
-    if (maintenanceMarginRatio >= config.trading.liquidationThreshold) {
-      logger.warn(`Liquidating position ${position.positionId} for user ${userId}`);
-      
-      // 강제 청산 실행
-      await this.closePosition(userId, position.positionId);
-      
-      this.emit('liquidation', {
-        userId,
-        positionId: position.positionId,
-        reason: 'Insufficient margin',
-        loss: position.unrealizedPnl
-      });
+    // OCO 주문, 브래킷 TP/SL: 하나가 체결/발동되면 나머지 취소, 하나가 취소되면 그룹 취소
+    if (event === 'filled' || event === 'triggered') {
+      this.closeOrderGroup(group, 'Completed', `${order.groupRole} order ${order.orderId} ${event}`, order);
+    } else {
+      this.closeOrderGroup(group, 'Cancelled', `${order.groupRole} order ${order.orderId} ${event}`);
     }
   }
 
-  // 대기 중인 지정가 주문 체크
-  checkPendingOrders() {
-    for (const [userId, userOrders] of this.orders) {
-      for (const order of userOrders) {
-        if (order.status !== 'New') continue;
-        
-        // 체결 조건 확인
-        const shouldFill = 
-          (order.side === 'Buy' && this.currentPrice <= order.price) ||
-          (order.side === 'Sell' && this.currentPrice >= order.price);
-        
-        if (shouldFill) {
-          this.executeOrder(order);
-          
-          // 체결된 주문 제거
-          const index = userOrders.indexOf(order);
-          userOrders.splice(index, 1);
+  // 브래킷 TP/SL 주문 배치 (진입 체결 수량 기준, 이후 부분 체결마다 수량 갱신)
+  placeBracketLegs(group, entry) {
+    const qty = entry.filledQty;
+    const side = entry.side === 'Buy' ? 'Sell' : 'Buy';
+
+    if (group.status === 'Active') {
+      const legs = (this.orders.get(entry.userId) || []).filter(order => order.parentOrderId === entry.orderId);
+      for (const leg of legs) {
+        try {
+          this.amendOrder(entry.userId, leg.orderId, { qty });
+        } catch (error) {
+          logger.warn(`Failed to resize bracket ${leg.groupRole} order ${leg.orderId}: ${error.message}`);
         }
       }
+      return;
     }
-  }
 
-  // 주문 취소
-  cancelOrder(userId, orderId) {
-    const userOrders = this.orders.get(userId);
-    if (!userOrders) {
-      throw new Error('User not found');
+    // SL을 먼저 배치 (TP가 즉시 체결되면 SL 취소)
+    const legs = [];
+    if (group.stopLoss) {
+      legs.push({
+        groupRole: 'StopLoss',
+        orderType: 'Market',
+        triggerPrice: group.stopLoss,
+        triggerDirection: side === 'Sell' ? 2 : 1,
+        triggerBy: group.slTriggerBy
+      });
+    }
+    if (group.takeProfit) {
+      legs.push({ groupRole: 'TakeProfit', orderType: 'Limit', price: group.takeProfit });
     }
 
-    const orderIndex = userOrders.findIndex(o => o.orderId === orderId);
-    if (orderIndex === -1) {
-      throw new Error('Order not found');
+    const failures = [];
+    for (const { groupRole, ...leg } of legs) {
+      try {
+        this.createOrder(entry.userId, {
+          symbol: entry.symbol,
+          side,
+          qty,
+          leverage: entry.leverage,
+          positionIdx: entry.positionIdx,
+          reduceOnly: true,
+          ...leg
+        }, { orderGroupId: group.groupId, groupRole, parentOrderId: entry.orderId });
+      } catch (error) {
+        failures.push(`${groupRole} order rejected: ${error.message}`);
+      }
+
+      // TP가 즉시 체결되어 그룹이 끝난 경우
+      if (group.status !== 'Pending') return;
     }
 
-    const order = userOrders[orderIndex];
-    if (order.status !== 'New') {
-      throw new Error('Cannot cancel filled order');
+    // TP/SL을 모두 배치하지 못하면 그룹 종료 (진입 주문 잔량은 유지)
+    if (failures.length === legs.length) {
+      return this.closeOrderGroup(group, 'Cancelled', failures.join('; '), entry);
     }
 
-    order.status = 'Cancelled';
-    order.updatedTime = Date.now();
-    
-    userOrders.splice(orderIndex, 1);
-    
-    this.emit('orderCancelled', order);
-    logger.info(`Order cancelled: ${orderId}`);
-    
-    return order;
+    group.status = 'Active';
+    group.reason = failures.length > 0 ? failures.join('; ') : null;
+    group.updatedTime = this.now();
+    this.emitOrderGroup(group);
   }
 
   // 사용자 데이터 조회
@@ -416,16 +2572,30 @@ class TradingEngine extends EventEmitter {
     };
   }
 
+  // 총 자산 (USDT 잔고 + 전체 포지션 미실현 손익)
+  getEquity(userId) {
+    const user = this.users.get(userId);
+    if (!user) return 0;
+
+    return (this.positions.get(userId) || [])
+      .reduce((sum, p) => sum + p.unrealizedPnl, user.balance.USDT);
+  }
+
   // 리더보드 조회
   getLeaderboard(limit = 10) {
     const leaderboard = [];
     
     for (const [userId, user] of this.users) {
+      // 헤지 모드 롱/숏 포지션 손익을 모두 합산
+      const unrealizedPnl = (this.positions.get(userId) || [])
+        .reduce((sum, p) => sum + p.unrealizedPnl, 0);
+      
       leaderboard.push({
         userId,
-        totalEquity: user.balance.totalEquity,
+        totalEquity: this.getEquity(userId),
         realizedPnl: user.balance.realizedPnl,
-        unrealizedPnl: user.balance.unrealizedPnl,
+        unrealizedPnl,
+        positionMode: user.positionMode,
         winRate: this.calculateWinRate(userId)
       });
     }
@@ -438,27 +2608,110 @@ class TradingEngine extends EventEmitter {
   // 승률 계산
   calculateWinRate(userId) {
     const user = this.users.get(userId);
-    if (!user || user.tradeHistory.length === 0) {
+    
+    // 포지션을 종료한 체결만 집계 (진입 체결, 펀딩 내역 제외)
+    const trades = user ? user.tradeHistory.filter(t => t.execType === 'Trade' && t.closedSize > 0) : [];
+    if (trades.length === 0) {
       return 0;
     }
 
-    const wins = user.tradeHistory.filter(t => t.realizedPnl > 0).length;
-    return (wins / user.tradeHistory.length) * 100;
+    const wins = trades.filter(t => t.realizedPnl > 0).length;
+    return (wins / trades.length) * 100;
+  }
+
+  // 포지션 종료 손익 내역 조회 (최신순, 최대 7일 범위, cursor: 다음 페이지 시작 위치)
+  getClosedPnl(userId, { symbol, startTime, endTime, limit = 50, cursor } = {}) {
+    const user = this.users.get(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    return this.pageHistory(user.closedPnl, 'createdTime', {
+      startTime, endTime, limit, cursor,
+      filter: record => !symbol || record.symbol === symbol
+    });
+  }
+
+  // 체결 내역 조회 (최신순, 최대 7일 범위, execType: Trade/Funding)
+  getExecutions(userId, { symbol, orderId, orderLinkId, execType, startTime, endTime, limit = 50, cursor } = {}) {
+    const user = this.users.get(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    return this.pageHistory(user.tradeHistory, 'time', {
+      startTime, endTime, limit, cursor,
+      filter: record => (!symbol || record.symbol === symbol) &&
+        (!orderId || record.orderId === orderId) &&
+        (!orderLinkId || record.orderLinkId === orderLinkId) &&
+        (!execType || record.execType === execType)
+    });
+  }
+
+  // 시각순 내역 페이지 조회 (기간 미지정 시 최근 7일, cursor: 다음 페이지 시작 인덱스)
+  pageHistory(records, timeField, { startTime, endTime, limit = 50, cursor, filter }) {
+    let end = endTime ? parseInt(endTime) : null;
+    let start = startTime ? parseInt(startTime) : null;
+    if (start === null && end === null) {
+      end = this.now();
+      start = end - HISTORY_MAX_RANGE;
+    } else if (start === null) {
+      start = end - HISTORY_MAX_RANGE;
+    } else if (end === null) {
+      end = start + HISTORY_MAX_RANGE;
+    }
+    if (isNaN(start) || isNaN(end) || start > end) {
+      throw new Error('Invalid time range');
+    }
+    if (end - start > HISTORY_MAX_RANGE) {
+      throw new Error('Time range must not exceed 7 days');
+    }
+
+    const pageSize = parseInt(limit);
+    if (!(pageSize >= 1 && pageSize <= 100)) {
+      throw new Error('Limit must be between 1 and 100');
+    }
+
+    // 내역은 추가만 되므로 인덱스를 커서로 사용
+    let index = cursor ? parseInt(cursor) : records.length - 1;
+    if (isNaN(index) || index >= records.length) {
+      throw new Error('Invalid cursor');
+    }
+
+    const list = [];
+    for (; index >= 0 && list.length < pageSize; index--) {
+      const record = records[index];
+      if (record[timeField] < start) {
+        index = -1;
+        break;
+      }
+      if (record[timeField] > end) continue;
+      if (!filter(record)) continue;
+      list.push(record);
+    }
+
+    return {
+      list,
+      nextPageCursor: index >= 0 ? String(index) : ''
+    };
   }
 
   // 현재 가격 조회 (캐시 활용)
-  async getCurrentPrice() {
+  async getCurrentPrice(symbol = config.trading.defaultSymbol) {
     try {
-      const cachedPrice = await cacheService.get('current_price');
+      const cachedPrice = await cacheService.get(`current_price:${symbol}`);
       if (cachedPrice) return parseFloat(cachedPrice);
       
       // 캐시에 가격이 없으면 현재 가격 사용
-      return this.currentPrice || 50000;
+      return this.getPrice(symbol);
     } catch (error) {
       logger.error('Error fetching price:', error);
-      return this.currentPrice || 50000;
+      return this.getPrice(symbol);
     }
   }
 }
 
+// 미체결 주문 상태 (V5 호환 계층 공용)
+TradingEngine.OPEN_ORDER_STATUSES = OPEN_ORDER_STATUSES;
+
 module.exports = TradingEngine;
\ No newline at end of file
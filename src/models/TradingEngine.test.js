@@ -0,0 +1,377 @@
+// models/TradingEngine.test.js - 거래 엔진 회귀 테스트
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.STORAGE_BACKEND = 'none';
+process.env.LOG_LEVEL = 'error';
+process.env.JOURNAL_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'engine-journal-'));
+
+const TradingEngine = require('./TradingEngine');
+const journalService = require('../services/journalService');
+
+const SYMBOL = 'BTCUSDT';
+
+// 저장소 없이 사용자 하나와 시세가 준비된 엔진
+async function createEngine(price = 50000, userId = 'u1') {
+  const engine = new TradingEngine({ persistence: false });
+  await engine.initUser(userId);
+  setPrice(engine, price);
+  return engine;
+}
+
+function setPrice(engine, price, symbol = SYMBOL) {
+  engine.updateCurrentPrice(symbol, price);
+  engine.updateMarkPrice(symbol, price, price);
+}
+
+function openOrderIds(engine, userId = 'u1') {
+  return engine.orders.get(userId).map(o => o.orderId);
+}
+
+function marketOrder(side, qty, fields = {}) {
+  return { symbol: SYMBOL, side, orderType: 'Market', qty, leverage: 10, ...fields };
+}
+
+afterAll(() => {
+  fs.rmSync(process.env.JOURNAL_DIR, { recursive: true, force: true });
+});
+
+describe('pending orders', () => {
+  test('triggered conditional order breaching the risk limit only removes itself', async () => {
+    const engine = await createEngine();
+    engine.setRiskLimits([
+      { symbol: SYMBOL, riskLimitValue: '5000', maintenanceMargin: '0.005', initialMargin: '0.01', maxLeverage: '100' }
+    ]);
+
+    const resting = engine.createOrder('u1', { symbol: SYMBOL, side: 'Buy', orderType: 'Limit', qty: 0.01, price: 40000, leverage: 10 });
+    const conditional = engine.createOrder('u1', {
+      symbol: SYMBOL, side: 'Buy', orderType: 'Limit', qty: 0.05, price: 52000, leverage: 10,
+      triggerPrice: 51000, triggerDirection: 1
+    });
+    engine.createOrder('u1', { symbol: SYMBOL, side: 'Buy', orderType: 'Market', qty: 0.06, leverage: 10 });
+
+    const cancelled = [];
+    engine.on('orderCancelled', order => cancelled.push(order.orderId));
+
+    setPrice(engine, 51000);
+
+    expect(conditional.status).toBe('Cancelled');
+    expect(conditional.rejectReason).toBe('EC_RiskLimitExceeded');
+    expect(cancelled).toEqual([conditional.orderId]);
+    expect(openOrderIds(engine)).toEqual([resting.orderId]);
+    expect(resting.status).toBe('New');
+  });
+});
+
+describe('TP/SL', () => {
+  test('take profit closes the position at market', async () => {
+    const engine = await createEngine();
+    engine.createOrder('u1', { symbol: SYMBOL, side: 'Buy', orderType: 'Market', qty: 0.1, leverage: 10 });
+    const [position] = engine.positions.get('u1');
+    engine.setTradingStop('u1', position.positionId, { takeProfit: 51000, stopLoss: 49000 });
+
+    const triggered = [];
+    engine.on('tpslTriggered', data => triggered.push(data));
+
+    engine.updateCurrentPrice(SYMBOL, 51000);
+
+    expect(triggered).toHaveLength(1);
+    expect(triggered[0]).toMatchObject({ triggerType: 'TakeProfit', triggerPrice: 51000, qty: 0.1, executionPrice: 51000 });
+    expect(engine.positions.get('u1')).toHaveLength(0);
+  });
+
+  test('partially filled close keeps TP/SL on the remaining position', async () => {
+    const engine = await createEngine();
+    engine.createOrder('u1', { symbol: SYMBOL, side: 'Buy', orderType: 'Market', qty: 0.1, leverage: 10 });
+    const [position] = engine.positions.get('u1');
+    engine.setTradingStop('u1', position.positionId, { takeProfit: 51000, stopLoss: 49000 });
+    engine.updateOrderbook(SYMBOL, { b: [['50990', '0.04']], a: [['51010', '1']] });
+
+    const triggered = [];
+    engine.on('tpslTriggered', data => triggered.push(data));
+
+    engine.updateCurrentPrice(SYMBOL, 51000);
+
+    expect(triggered).toHaveLength(1);
+    expect(triggered[0]).toMatchObject({ triggerType: 'TakeProfit', qty: 0.04, executionPrice: 50990 });
+    expect(triggered[0].order.status).toBe('Cancelled');
+    expect(engine.positions.get('u1')).toEqual([position]);
+    expect(position).toMatchObject({ qty: 0.06, takeProfit: 51000, stopLoss: 49000 });
+  });
+});
+
+describe('reduce-only orders', () => {
+  test('are rejected without an opposite position', async () => {
+    const engine = await createEngine();
+
+    expect(() => engine.createOrder('u1', { symbol: SYMBOL, side: 'Sell', orderType: 'Market', qty: 0.01, reduceOnly: true }))
+      .toThrow(expect.objectContaining({ code: 'REDUCE_ONLY_REJECTED' }));
+
+    engine.createOrder('u1', { symbol: SYMBOL, side: 'Buy', orderType: 'Market', qty: 0.01, leverage: 10 });
+    const [position] = engine.positions.get('u1');
+
+    expect(() => engine.createOrder('u1', { symbol: SYMBOL, side: 'Buy', orderType: 'Market', qty: 0.01, reduceOnly: true }))
+      .toThrow('Reduce-only order would increase position');
+    expect(position.qty).toBe(0.01);
+  });
+
+  test('quantity is capped at the position size', async () => {
+    const engine = await createEngine();
+    engine.createOrder('u1', { symbol: SYMBOL, side: 'Buy', orderType: 'Market', qty: 0.01, leverage: 10 });
+
+    const order = engine.createOrder('u1', { symbol: SYMBOL, side: 'Sell', orderType: 'Market', qty: 0.05, reduceOnly: true });
+
+    expect(order).toMatchObject({ status: 'Filled', qty: 0.01, filledQty: 0.01 });
+    expect(engine.positions.get('u1')).toHaveLength(0);
+  });
+
+  test('resting order is cancelled once the position is gone', async () => {
+    const engine = await createEngine();
+    engine.createOrder('u1', { symbol: SYMBOL, side: 'Buy', orderType: 'Market', qty: 0.01, leverage: 10 });
+    const resting = engine.createOrder('u1', { symbol: SYMBOL, side: 'Sell', orderType: 'Limit', qty: 0.01, price: 51000, reduceOnly: true });
+    const [position] = engine.positions.get('u1');
+    engine.closePosition('u1', position.positionId);
+    const balance = engine.users.get('u1').balance.USDT;
+
+    setPrice(engine, 51000);
+
+    expect(resting).toMatchObject({ status: 'Cancelled', rejectReason: 'EC_ReduceOnlyRuleNotSatisfied', filledQty: 0 });
+    expect(openOrderIds(engine)).toEqual([]);
+    expect(engine.positions.get('u1')).toHaveLength(0);
+    expect(engine.users.get('u1').balance.USDT).toBe(balance);
+  });
+});
+
+describe('journal', () => {
+  test('replaying the journal rebuilds identical state', async () => {
+    const engine = new TradingEngine({ persistence: false });
+    engine.startJournal();
+
+    await engine.initUser('u1');
+    await engine.initUser('u2');
+    setPrice(engine, 50000);
+    engine.setPositionMode('u2', 'hedge');
+    engine.setMarginMode('u1', SYMBOL, 'isolated');
+
+    engine.createOrder('u1', marketOrder('Buy', 0.1, { takeProfit: 52000 }));
+    engine.createOrder('u1', { symbol: SYMBOL, side: 'Buy', orderType: 'Limit', qty: 0.05, price: 49500, leverage: 10 });
+    engine.createOrder('u2', marketOrder('Buy', 0.05, { leverage: 20 }));
+    engine.createOrder('u2', marketOrder('Sell', 0.05, { leverage: 20 }));
+    expect(() => engine.createOrder('u2', marketOrder('Buy', 100, { leverage: 20 }))).toThrow('Insufficient balance');
+    await engine.createOrders('u1', [
+      { symbol: SYMBOL, side: 'Sell', orderType: 'Limit', qty: 0.02, price: 51000, reduceOnly: true },
+      { symbol: SYMBOL, side: 'Buy', orderType: 'Limit', qty: 10, price: 40000, leverage: 1 }
+    ]);
+
+    engine.updateOrderbook(SYMBOL, { b: [['49400', '1']], a: [['49600', '1']] });
+    setPrice(engine, 49500);
+    setPrice(engine, 51000);
+    setPrice(engine, 52000);
+    setPrice(engine, 47000);
+    await journalService.close();
+
+    const replayed = new TradingEngine({ persistence: false });
+    for await (const entry of journalService.readEntries(journalService.file)) {
+      let outcome;
+      try {
+        outcome = replayed.applyJournalEntry(entry);
+      } catch (error) {
+        expect(error.message).toBe('Insufficient balance');
+        continue;
+      }
+      expect(outcome.remainingIds).toBe(0);
+      await outcome.result;
+    }
+
+    const state = engine.snapshotState();
+    expect(state.map(s => s.user.closedPnl.length)).toEqual([2, 0]);
+    expect(JSON.parse(JSON.stringify(replayed.snapshotState()))).toEqual(JSON.parse(JSON.stringify(state)));
+  });
+});
+
+describe('liquidation', () => {
+  test('isolated position is closed at the bankruptcy price once mark reaches the liquidation price', async () => {
+    const engine = await createEngine();
+    engine.setMarginMode('u1', SYMBOL, 'isolated');
+    engine.createOrder('u1', marketOrder('Buy', 0.1));
+    const [position] = engine.positions.get('u1');
+
+    // 증거금 500, 유지 증거금 25 → 청산가 45250, 파산가 45000
+    expect(position.liqPrice).toBeCloseTo(45250);
+    expect(position.bustPrice).toBeCloseTo(45000);
+
+    const liquidations = [];
+    engine.on('liquidation', data => liquidations.push(data));
+
+    setPrice(engine, 45300);
+    expect(liquidations).toHaveLength(0);
+
+    const balance = engine.users.get('u1').balance.USDT;
+    setPrice(engine, 45250);
+
+    expect(liquidations).toHaveLength(1);
+    expect(liquidations[0]).toMatchObject({ positionId: position.positionId, qty: 0.1, marginMode: 'isolated' });
+    expect(liquidations[0].loss).toBeCloseTo(-500);
+    expect(engine.positions.get('u1')).toHaveLength(0);
+    expect(engine.users.get('u1').balance.USDT).toBeCloseTo(balance - 500 - 45000 * 0.1 * 0.0006);
+  });
+});
+
+describe('risk limits', () => {
+  const tiers = [
+    { symbol: SYMBOL, riskLimitValue: '10000', maintenanceMargin: '0.01', initialMargin: '0.02', maxLeverage: '50' },
+    { symbol: SYMBOL, riskLimitValue: '20000', maintenanceMargin: '0.02', initialMargin: '0.04', maxLeverage: '25' }
+  ];
+
+  test('leverage is capped by the tier of the resulting position value', async () => {
+    const engine = await createEngine();
+    engine.setRiskLimits(tiers);
+
+    expect(() => engine.createOrder('u1', marketOrder('Buy', 0.3, { leverage: 50 })))
+      .toThrow(expect.objectContaining({ code: 'RISK_LIMIT_LEVERAGE', details: expect.objectContaining({ tier: 2, maxLeverage: 25 }) }));
+    expect(() => engine.createOrder('u1', marketOrder('Buy', 0.5, { leverage: 10 })))
+      .toThrow(expect.objectContaining({ code: 'RISK_LIMIT_EXCEEDED' }));
+    expect(engine.positions.get('u1')).toHaveLength(0);
+  });
+
+  test('maintenance margin follows the position tier', async () => {
+    const engine = await createEngine();
+    engine.setRiskLimits(tiers);
+
+    engine.createOrder('u1', marketOrder('Buy', 0.1, { leverage: 25 }));
+    const [position] = engine.positions.get('u1');
+    expect(position.riskTier.tier).toBe(1);
+    expect(position.maintenanceMargin).toBeCloseTo(50);
+
+    // 티어 경계에서 유지 증거금이 이어지도록 공제액 적용 (15000 * 0.02 - 100)
+    engine.createOrder('u1', marketOrder('Buy', 0.2, { leverage: 25 }));
+    expect(position.riskTier.tier).toBe(2);
+    expect(position.maintenanceMargin).toBeCloseTo(200);
+  });
+});
+
+describe('hedge mode', () => {
+  test('long and short positions are held separately and opposite orders reduce them', async () => {
+    const engine = await createEngine();
+    engine.setPositionMode('u1', 'hedge');
+
+    engine.createOrder('u1', marketOrder('Buy', 0.1));
+    engine.createOrder('u1', marketOrder('Sell', 0.08));
+    const long = engine.findPosition('u1', SYMBOL, 1);
+    const short = engine.findPosition('u1', SYMBOL, 2);
+    expect(long).toMatchObject({ side: 'Buy', qty: 0.1 });
+    expect(short).toMatchObject({ side: 'Sell', qty: 0.08 });
+
+    const order = engine.createOrder('u1', marketOrder('Sell', 0.04, { positionIdx: 1 }));
+    expect(order.reduceOnly).toBe(true);
+    expect(long.qty).toBe(0.06);
+    expect(short.qty).toBe(0.08);
+
+    expect(() => engine.createOrder('u1', marketOrder('Buy', 0.01, { positionIdx: 0 })))
+      .toThrow(expect.objectContaining({ code: 'POSITION_IDX_MISMATCH' }));
+    expect(() => engine.setPositionMode('u1', 'oneway')).toThrow('Cannot switch position mode with open positions or orders');
+  });
+});
+
+describe('batch orders', () => {
+  test('orders in one batch share the available balance', async () => {
+    const engine = await createEngine();
+    const item = { symbol: SYMBOL, side: 'Buy', orderType: 'Limit', qty: 0.2, price: 40000, leverage: 1 };
+
+    const results = await engine.createOrders('u1', [item, item]);
+
+    expect(results[0]).toMatchObject({ success: true });
+    expect(results[1]).toMatchObject({ success: false, code: 'INSUFFICIENT_BALANCE', error: 'Insufficient balance' });
+    expect(engine.orders.get('u1')).toHaveLength(1);
+    expect(engine.marginBudget).toBeNull();
+
+    // 단건 주문은 대기 주문 증거금을 점유하지 않음
+    engine.createOrder('u1', item);
+    expect(engine.orders.get('u1')).toHaveLength(2);
+  });
+});
+
+describe('batch amends', () => {
+  test('only the extra margin of each amend is taken from the batch budget', async () => {
+    const engine = await createEngine();
+    const limit = { symbol: SYMBOL, side: 'Buy', orderType: 'Limit', qty: 0.15, price: 40000, leverage: 1 };
+    const first = engine.createOrder('u1', limit);
+    const second = engine.createOrder('u1', limit);
+
+    // 가격만 조금 올리는 정정 (주문마다 6000 USDT 전체가 아니라 늘어나는 15 USDT만 차감)
+    let results = await engine.amendOrders('u1', [
+      { orderId: first.orderId, price: 40100 },
+      { orderId: second.orderId, price: 40100 }
+    ]);
+    expect(results.map(r => r.success)).toEqual([true, true]);
+
+    // 늘어나는 증거금 합계가 가용 잔고를 넘으면 뒤 항목 거부
+    results = await engine.amendOrders('u1', [
+      { orderId: first.orderId, qty: 0.25 },
+      { orderId: second.orderId, qty: 0.3 }
+    ]);
+    expect(results[0]).toMatchObject({ success: true });
+    expect(results[1]).toMatchObject({ success: false, code: 'INSUFFICIENT_BALANCE' });
+    expect(results[1].details.required).toBeCloseTo(0.15 * 40100 * 1.0002);
+    expect(second.qty).toBe(0.15);
+  });
+});
+
+describe('order leverage', () => {
+  test('orders adding to a position use its leverage and reject a different one', async () => {
+    const engine = await createEngine();
+    engine.createOrder('u1', marketOrder('Buy', 0.1));
+    const [position] = engine.positions.get('u1');
+
+    expect(() => engine.createOrder('u1', marketOrder('Buy', 0.1, { leverage: 20 })))
+      .toThrow(expect.objectContaining({ code: 'LEVERAGE_MISMATCH', details: { leverage: 20, positionLeverage: 10 } }));
+    expect(position.qty).toBe(0.1);
+
+    const added = engine.createOrder('u1', { symbol: SYMBOL, side: 'Buy', orderType: 'Market', qty: 0.1 });
+    expect(added.leverage).toBe(10);
+    expect(position).toMatchObject({ qty: 0.2, leverage: 10 });
+
+    // 포지션 반대 방향 주문은 지정한 레버리지 사용
+    const flip = engine.createOrder('u1', marketOrder('Sell', 0.3, { leverage: 20 }));
+    expect(flip.leverage).toBe(20);
+    expect(position).toMatchObject({ side: 'Sell', qty: 0.1, leverage: 20 });
+  });
+});
+
+describe('setLeverage', () => {
+  test('recalculates position margin and applies to resting orders', async () => {
+    const engine = await createEngine();
+    engine.createOrder('u1', marketOrder('Buy', 0.1));
+    const resting = engine.createOrder('u1', { symbol: SYMBOL, side: 'Buy', orderType: 'Limit', qty: 0.1, price: 45000, leverage: 10 });
+    const [position] = engine.positions.get('u1');
+
+    expect(engine.setLeverage('u1', SYMBOL, 5)).toEqual({ symbol: SYMBOL, leverage: 5 });
+
+    expect(position).toMatchObject({ leverage: 5, marginUsed: 1000 });
+    expect(resting.leverage).toBe(5);
+    expect(engine.getLeverage('u1', SYMBOL)).toBe(5);
+    expect(() => engine.setLeverage('u1', SYMBOL, 5)).toThrow('Leverage not modified');
+  });
+
+  test('rejects when the extra margin for positions and resting orders exceeds the available balance', async () => {
+    const engine = await createEngine();
+    engine.createOrder('u1', marketOrder('Buy', 0.1));
+    engine.createOrder('u1', { symbol: SYMBOL, side: 'Buy', orderType: 'Limit', qty: 1.5, price: 40000, leverage: 10 });
+
+    expect(() => engine.setLeverage('u1', SYMBOL, 1)).toThrow('Insufficient balance');
+    expect(engine.positions.get('u1')[0].leverage).toBe(10);
+  });
+
+  test('rejects leverage that would liquidate the position and keeps its state', async () => {
+    const engine = await createEngine();
+    engine.setMarginMode('u1', SYMBOL, 'isolated');
+    engine.createOrder('u1', marketOrder('Buy', 0.1));
+    setPrice(engine, 46000);
+    const [position] = engine.positions.get('u1');
+    const before = { ...position };
+
+    expect(() => engine.setLeverage('u1', SYMBOL, 50)).toThrow(expect.objectContaining({ code: 'LIQUIDATION_RISK' }));
+    expect(position).toEqual(before);
+  });
+});
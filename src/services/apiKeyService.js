@@ -0,0 +1,204 @@
+// services/apiKeyService.js - 사용자 API 키 발급/폐기 및 Bybit 방식 요청 서명 검증
+//
+// 서명: HMAC_SHA256(secret, timestamp + apiKey + recvWindow + payload) (hex)
+//   payload - GET: 쿼리 문자열, POST: 요청 본문 원문
+// 서명 검증에 원문 secret이 필요하므로 secret은 저장소에 그대로 보관하고, 조회 응답에서만 제외
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('../utils/logger');
+const storageService = require('./storageService');
+const { AuthError } = require('../utils/errors');
+
+const COLLECTION = 'apiKeys';
+const KEY_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+function randomString(length) {
+  let result = '';
+  for (let i = 0; i < length; i++) {
+    result += KEY_ALPHABET[crypto.randomInt(KEY_ALPHABET.length)];
+  }
+  return result;
+}
+
+// IPv4-mapped IPv6 주소 정규화 (::ffff:127.0.0.1 → 127.0.0.1)
+function normalizeIp(ip) {
+  return String(ip || '').replace(/^::ffff:/, '');
+}
+
+class ApiKeyService {
+  constructor() {
+    this.keys = new Map(); // apiKey -> 키 정보
+  }
+
+  // 저장된 키 로딩
+  async load() {
+    const records = await storageService.loadRecords(COLLECTION);
+    this.keys.clear();
+    records.forEach(record => this.keys.set(record.apiKey, record));
+
+    logger.info(`API keys loaded: ${this.keys.size}`);
+    return this.keys.size;
+  }
+
+  // 서명 생성 (클라이언트/스크립트용)
+  sign(secret, timestamp, apiKey, recvWindow, payload = '') {
+    return crypto
+      .createHmac('sha256', secret)
+      .update(`${timestamp}${apiKey}${recvWindow}${payload}`)
+      .digest('hex');
+  }
+
+  // 키 발급 (readOnly: 조회 전용, ips: 허용 IP 목록, 비어 있으면 제한 없음)
+  async createKey(userId, { readOnly = false, ips = [], note = '' } = {}) {
+    if (!userId) {
+      throw new Error('User ID required');
+    }
+    if (!Array.isArray(ips) || ips.some(ip => typeof ip !== 'string' || !ip.trim())) {
+      throw new Error('ips must be an array of IP addresses');
+    }
+    if (this.listKeys(userId).length >= config.security.apiKeys.maxPerUser) {
+      throw new Error(`Maximum of ${config.security.apiKeys.maxPerUser} API keys per user`);
+    }
+
+    const record = {
+      apiKey: randomString(18),
+      secret: randomString(36),
+      userId,
+      readOnly: Boolean(readOnly),
+      ips: ips.map(ip => normalizeIp(ip.trim())),
+      note: String(note).slice(0, 64),
+      createdAt: Date.now()
+    };
+
+    this.keys.set(record.apiKey, record);
+    await storageService.saveRecord(COLLECTION, record.apiKey, record);
+
+    logger.info(`API key created: ${record.apiKey} for ${userId}${record.readOnly ? ' (read-only)' : ''}`);
+    return record;
+  }
+
+  // 사용자 키 목록 (secret 제외)
+  listKeys(userId) {
+    return [...this.keys.values()]
+      .filter(record => !userId || record.userId === userId)
+      .map(record => this.sanitize(record));
+  }
+
+  getKey(apiKey) {
+    const record = this.keys.get(apiKey);
+    return record ? this.sanitize(record) : null;
+  }
+
+  // 키 폐기 (userId 지정 시 본인 키만)
+  async revokeKey(apiKey, userId = null) {
+    const record = this.keys.get(apiKey);
+    if (!record || (userId && record.userId !== userId)) {
+      throw new Error('API key not found');
+    }
+
+    this.keys.delete(apiKey);
+    await storageService.deleteRecord(COLLECTION, apiKey);
+
+    logger.info(`API key revoked: ${apiKey} (${record.userId})`);
+    return this.sanitize(record);
+  }
+
+  sanitize(record) {
+    const { secret, ...info } = record;
+    return info;
+  }
+
+  // 키 조회 (없으면 인증 실패)
+  requireKey(apiKey) {
+    if (!apiKey) {
+      throw new AuthError('API_KEY_REQUIRED', 'API key is required');
+    }
+
+    const record = this.keys.get(apiKey);
+    if (!record) {
+      throw new AuthError('INVALID_API_KEY', 'API key is invalid');
+    }
+    return record;
+  }
+
+  // 서명 비교 (hex, 상수 시간 비교)
+  checkSignature(expected, sign) {
+    const actual = String(sign || '').toLowerCase();
+    if (!/^[0-9a-f]{64}$/.test(actual) ||
+        !crypto.timingSafeEqual(Buffer.from(actual), Buffer.from(expected))) {
+      throw new AuthError('INVALID_SIGNATURE', 'Error sign, please check your signature generation algorithm');
+    }
+  }
+
+  // IP 허용 목록 및 권한 확인
+  checkAccess(record, ip, permission) {
+    if (record.ips.length > 0 && !record.ips.includes(normalizeIp(ip))) {
+      throw new AuthError('IP_NOT_ALLOWED', `Unmatched IP, please check your API key's bound IP addresses`, 403);
+    }
+    if (permission === 'trade' && record.readOnly) {
+      throw new AuthError('PERMISSION_DENIED', 'Permission denied for current apikey', 403);
+    }
+
+    record.lastUsedAt = Date.now();
+  }
+
+  // 요청 검증 (permission: 'read' | 'trade'), 성공 시 키 정보 반환
+  verifyRequest({ apiKey, sign, timestamp, recvWindow, payload = '', ip, permission = 'read' }) {
+    const record = this.requireKey(apiKey);
+
+    // 시각 검증 (server_time - recv_window <= timestamp < server_time + 1000)
+    const windowMs = recvWindow ? parseInt(recvWindow) : config.security.apiKeys.defaultRecvWindow;
+    const ts = parseInt(timestamp);
+    const now = Date.now();
+    if (!(windowMs > 0 && windowMs <= config.security.apiKeys.maxRecvWindow)) {
+      throw new AuthError('INVALID_TIMESTAMP', `recv_window must be between 1 and ${config.security.apiKeys.maxRecvWindow}`);
+    }
+    if (isNaN(ts) || ts < now - windowMs || ts >= now + 1000) {
+      throw new AuthError('INVALID_TIMESTAMP', `Invalid request timestamp, server time is ${now}, recv_window is ${windowMs}`);
+    }
+
+    // 서명 검증 (recvWindow는 헤더 원문 그대로 서명에 포함)
+    this.checkSignature(this.sign(record.secret, timestamp, apiKey, recvWindow || '', payload), sign);
+    this.checkAccess(record, ip, permission);
+
+    return record;
+  }
+
+  // WebSocket 로그인 검증 (서명: HMAC_SHA256(secret, 'GET/realtime' + expires), expires: 만료 시각 ms)
+  verifyWsAuth({ apiKey, expires, sign, ip }) {
+    const record = this.requireKey(apiKey);
+
+    const expiresAt = parseInt(expires);
+    if (isNaN(expiresAt) || expiresAt <= Date.now()) {
+      throw new AuthError('INVALID_TIMESTAMP', 'Request expired');
+    }
+
+    const expected = crypto
+      .createHmac('sha256', record.secret)
+      .update(`GET/realtime${expires}`)
+      .digest('hex');
+    this.checkSignature(expected, sign);
+    this.checkAccess(record, ip, 'read');
+
+    return record;
+  }
+
+  // Express 요청에서 서명 정보 추출 후 검증
+  verifyHttpRequest(req, permission) {
+    const payload = req.method === 'GET' || req.method === 'DELETE'
+      ? (req.originalUrl.split('?')[1] || '')
+      : (req.rawBody || '');
+
+    return this.verifyRequest({
+      apiKey: req.get('X-BAPI-API-KEY'),
+      sign: req.get('X-BAPI-SIGN'),
+      timestamp: req.get('X-BAPI-TIMESTAMP'),
+      recvWindow: req.get('X-BAPI-RECV-WINDOW'),
+      payload,
+      ip: req.ip,
+      permission
+    });
+  }
+}
+
+module.exports = new ApiKeyService();
@@ -0,0 +1,94 @@
+// services/apiKeyService.test.js - API 키 요청 서명 검증 테스트
+process.env.STORAGE_BACKEND = 'none';
+process.env.LOG_LEVEL = 'error';
+
+const crypto = require('crypto');
+const apiKeyService = require('./apiKeyService');
+
+const BODY = '{"category":"linear","symbol":"BTCUSDT","side":"Buy","orderType":"Market","qty":"0.01"}';
+
+// Bybit 클라이언트와 같은 방식으로 서명한 요청
+function signedRequest(record, fields = {}) {
+  const timestamp = String(Date.now());
+  const recvWindow = '5000';
+  const sign = apiKeyService.sign(record.secret, timestamp, record.apiKey, recvWindow, BODY);
+  return { apiKey: record.apiKey, sign, timestamp, recvWindow, payload: BODY, ip: '127.0.0.1', permission: 'trade', ...fields };
+}
+
+describe('request signatures', () => {
+  let record;
+
+  beforeEach(async () => {
+    record = await apiKeyService.createKey('u1');
+  });
+
+  afterEach(async () => {
+    await apiKeyService.revokeKey(record.apiKey);
+  });
+
+  test('sign is HMAC_SHA256(secret, timestamp + apiKey + recvWindow + payload)', () => {
+    const expected = crypto.createHmac('sha256', record.secret)
+      .update(`1700000000000${record.apiKey}5000${BODY}`)
+      .digest('hex');
+
+    expect(apiKeyService.sign(record.secret, '1700000000000', record.apiKey, '5000', BODY)).toBe(expected);
+  });
+
+  test('accepts a correctly signed request', () => {
+    expect(apiKeyService.verifyRequest(signedRequest(record)).userId).toBe('u1');
+  });
+
+  test('rejects a signature over a different payload', () => {
+    const request = signedRequest(record, { payload: BODY.replace('0.01', '1') });
+
+    expect(() => apiKeyService.verifyRequest(request)).toThrow(expect.objectContaining({ code: 'INVALID_SIGNATURE' }));
+  });
+
+  test('rejects malformed signatures and unknown keys', () => {
+    expect(() => apiKeyService.verifyRequest(signedRequest(record, { sign: 'abc' })))
+      .toThrow(expect.objectContaining({ code: 'INVALID_SIGNATURE' }));
+    expect(() => apiKeyService.verifyRequest(signedRequest(record, { apiKey: 'unknown' })))
+      .toThrow(expect.objectContaining({ code: 'INVALID_API_KEY' }));
+    expect(() => apiKeyService.verifyRequest(signedRequest(record, { apiKey: '' })))
+      .toThrow(expect.objectContaining({ code: 'API_KEY_REQUIRED' }));
+  });
+
+  test('rejects timestamps outside the receive window', () => {
+    const stale = String(Date.now() - 6000);
+    const request = signedRequest(record, {
+      timestamp: stale,
+      sign: apiKeyService.sign(record.secret, stale, record.apiKey, '5000', BODY)
+    });
+
+    expect(() => apiKeyService.verifyRequest(request)).toThrow(expect.objectContaining({ code: 'INVALID_TIMESTAMP' }));
+  });
+
+  test('enforces read-only keys and IP allowlists', async () => {
+    const readOnly = await apiKeyService.createKey('u1', { readOnly: true, ips: ['::ffff:10.0.0.1'] });
+
+    expect(() => apiKeyService.verifyRequest(signedRequest(readOnly, { ip: '10.0.0.1' })))
+      .toThrow(expect.objectContaining({ code: 'PERMISSION_DENIED', status: 403 }));
+    expect(() => apiKeyService.verifyRequest(signedRequest(readOnly, { ip: '10.0.0.2', permission: 'read' })))
+      .toThrow(expect.objectContaining({ code: 'IP_NOT_ALLOWED', status: 403 }));
+    expect(apiKeyService.verifyRequest(signedRequest(readOnly, { ip: '::ffff:10.0.0.1', permission: 'read' })).apiKey)
+      .toBe(readOnly.apiKey);
+
+    await apiKeyService.revokeKey(readOnly.apiKey);
+  });
+
+  test('verifies WebSocket auth signatures over GET/realtime + expires', () => {
+    const expires = String(Date.now() + 10000);
+    const sign = crypto.createHmac('sha256', record.secret).update(`GET/realtime${expires}`).digest('hex');
+
+    expect(apiKeyService.verifyWsAuth({ apiKey: record.apiKey, expires, sign, ip: '127.0.0.1' }).userId).toBe('u1');
+    expect(() => apiKeyService.verifyWsAuth({ apiKey: record.apiKey, expires: String(Date.now() - 1), sign, ip: '127.0.0.1' }))
+      .toThrow(expect.objectContaining({ code: 'INVALID_TIMESTAMP' }));
+    expect(() => apiKeyService.verifyWsAuth({ apiKey: record.apiKey, expires: `${expires}0`, sign, ip: '127.0.0.1' }))
+      .toThrow(expect.objectContaining({ code: 'INVALID_SIGNATURE' }));
+  });
+
+  test('key listings never include the secret', () => {
+    expect(apiKeyService.listKeys('u1')).toEqual([expect.not.objectContaining({ secret: expect.anything() })]);
+    expect(apiKeyService.getKey(record.apiKey)).not.toHaveProperty('secret');
+  });
+});
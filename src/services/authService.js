@@ -0,0 +1,208 @@
+// services/authService.js - 계정 등록/로그인 및 JWT 세션 관리
+//
+// access 토큰: 짧은 수명, 요청마다 서명만 검증 (서버 상태 없음)
+// refresh 토큰: 긴 수명, jti를 세션으로 저장하여 재발급 시 교체하고 로그아웃 시 폐기
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const logger = require('../utils/logger');
+const storageService = require('./storageService');
+const { AuthError } = require('../utils/errors');
+
+const ACCOUNTS = 'accounts';
+const SESSIONS = 'sessions';
+const USERNAME_PATTERN = /^[A-Za-z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 72; // bcrypt 입력 한도 (바이트)
+const DEFAULT_JWT_SECRET = 'your-secret-key-change-in-production'; // 공개된 예제 값 (누구나 토큰 위조 가능)
+
+class AuthService {
+  constructor() {
+    this.accounts = new Map(); // username (소문자) -> 계정
+    this.sessions = new Map(); // refresh 토큰 jti -> { jti, userId, expiresAt }
+    this.dummyHash = null; // 없는 계정 로그인 시에도 같은 비용으로 비교 (계정 존재 여부 노출 방지)
+  }
+
+  // 저장된 계정/세션 로딩 (만료 세션 제외, development 외 환경에서 기본 JWT_SECRET이면 시작 거부)
+  async load() {
+    if (config.security.jwtSecret === DEFAULT_JWT_SECRET && config.server.env !== 'development') {
+      throw new Error(`JWT_SECRET must be set to a private value when NODE_ENV is ${config.server.env}`);
+    }
+
+    const [accounts, sessions] = await Promise.all([
+      storageService.loadRecords(ACCOUNTS),
+      storageService.loadRecords(SESSIONS)
+    ]);
+
+    this.accounts.clear();
+    accounts.forEach(account => this.accounts.set(account.username.toLowerCase(), account));
+
+    this.sessions.clear();
+    const now = Date.now();
+    for (const session of sessions) {
+      if (session.expiresAt > now) {
+        this.sessions.set(session.jti, session);
+      } else {
+        await storageService.deleteRecord(SESSIONS, session.jti);
+      }
+    }
+
+    if (config.security.jwtSecret === DEFAULT_JWT_SECRET) {
+      logger.warn('JWT_SECRET is not set, using the default secret (development only)');
+    }
+    logger.info(`Accounts loaded: ${this.accounts.size} (${this.sessions.size} active sessions)`);
+  }
+
+  // 계정 등록 (userId는 서버에서 생성)
+  async register(username, password) {
+    if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+      throw new Error('Username must be 3-32 characters of letters, digits, ".", "_" or "-"');
+    }
+    this.validatePassword(password);
+
+    const key = username.toLowerCase();
+    if (this.accounts.has(key)) {
+      throw new Error('Username already exists');
+    }
+
+    const account = {
+      userId: uuidv4(),
+      username,
+      passwordHash: await bcrypt.hash(password, config.security.bcryptRounds),
+      createdAt: Date.now()
+    };
+
+    // 해시 계산 중 같은 이름으로 등록된 경우
+    if (this.accounts.has(key)) {
+      throw new Error('Username already exists');
+    }
+    this.accounts.set(key, account);
+    await storageService.saveRecord(ACCOUNTS, key, account);
+
+    logger.info(`Account registered: ${username} (${account.userId})`);
+    return { account: this.sanitize(account), tokens: await this.issueTokens(account) };
+  }
+
+  async login(username, password) {
+    const account = typeof username === 'string' ? this.accounts.get(username.toLowerCase()) : null;
+
+    if (!account) {
+      if (!this.dummyHash) {
+        this.dummyHash = await bcrypt.hash('dummy-password', config.security.bcryptRounds);
+      }
+      await bcrypt.compare(String(password || ''), this.dummyHash);
+      throw new AuthError('INVALID_CREDENTIALS', 'Invalid username or password');
+    }
+
+    const valid = await bcrypt.compare(String(password || ''), account.passwordHash);
+    if (!valid) {
+      throw new AuthError('INVALID_CREDENTIALS', 'Invalid username or password');
+    }
+
+    logger.info(`Account logged in: ${account.username}`);
+    return { account: this.sanitize(account), tokens: await this.issueTokens(account) };
+  }
+
+  // refresh 토큰으로 토큰 재발급 (기존 refresh 토큰은 폐기)
+  async refresh(refreshToken) {
+    const payload = this.verifyToken(refreshToken, 'refresh');
+    const session = this.sessions.get(payload.jti);
+    if (!session || session.userId !== payload.sub) {
+      throw new AuthError('INVALID_TOKEN', 'Refresh token has been revoked');
+    }
+
+    const account = this.findByUserId(payload.sub);
+    if (!account) {
+      throw new AuthError('INVALID_TOKEN', 'Account not found');
+    }
+
+    await this.revokeSession(payload.jti);
+    return { account: this.sanitize(account), tokens: await this.issueTokens(account) };
+  }
+
+  // 로그아웃 (refresh 토큰 폐기, 이미 발급된 access 토큰은 만료까지 유효)
+  async logout(refreshToken) {
+    const payload = this.verifyToken(refreshToken, 'refresh');
+    await this.revokeSession(payload.jti);
+  }
+
+  // access 토큰 검증 → { userId, username }
+  verifyAccessToken(token) {
+    const payload = this.verifyToken(token, 'access');
+    return { userId: payload.sub, username: payload.username };
+  }
+
+  verifyToken(token, type) {
+    if (!token || typeof token !== 'string') {
+      throw new AuthError('TOKEN_REQUIRED', `${type === 'access' ? 'Access' : 'Refresh'} token required`);
+    }
+
+    let payload;
+    try {
+      payload = jwt.verify(token, config.security.jwtSecret, { algorithms: ['HS256'] });
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        throw new AuthError('TOKEN_EXPIRED', 'Token expired');
+      }
+      throw new AuthError('INVALID_TOKEN', 'Invalid token');
+    }
+
+    if (payload.type !== type) {
+      throw new AuthError('INVALID_TOKEN', 'Invalid token type');
+    }
+    return payload;
+  }
+
+  async issueTokens(account) {
+    const accessToken = jwt.sign(
+      { sub: account.userId, username: account.username, type: 'access' },
+      config.security.jwtSecret,
+      { expiresIn: config.security.accessTokenTtl }
+    );
+
+    const jti = uuidv4();
+    const refreshToken = jwt.sign(
+      { sub: account.userId, type: 'refresh', jti },
+      config.security.jwtSecret,
+      { expiresIn: config.security.refreshTokenTtl }
+    );
+
+    const session = { jti, userId: account.userId, expiresAt: jwt.decode(refreshToken).exp * 1000 };
+    this.sessions.set(jti, session);
+    await storageService.saveRecord(SESSIONS, jti, session);
+
+    return {
+      accessToken,
+      refreshToken,
+      expiresAt: jwt.decode(accessToken).exp * 1000
+    };
+  }
+
+  async revokeSession(jti) {
+    this.sessions.delete(jti);
+    await storageService.deleteRecord(SESSIONS, jti);
+  }
+
+  validatePassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+    if (Buffer.byteLength(password) > MAX_PASSWORD_LENGTH) {
+      throw new Error(`Password must be at most ${MAX_PASSWORD_LENGTH} bytes`);
+    }
+  }
+
+  findByUserId(userId) {
+    for (const account of this.accounts.values()) {
+      if (account.userId === userId) return account;
+    }
+    return null;
+  }
+
+  sanitize(account) {
+    return { userId: account.userId, username: account.username, createdAt: account.createdAt };
+  }
+}
+
+module.exports = new AuthService();
@@ -0,0 +1,47 @@
+// services/authService.test.js - 계정 인증 및 JWT 세션 테스트
+process.env.STORAGE_BACKEND = 'none';
+process.env.LOG_LEVEL = 'error';
+process.env.JWT_SECRET = ''; // 기본 secret 사용 (.env 값 무시)
+
+const authService = require('./authService');
+
+describe('auth', () => {
+  test('refuses to load with the default JWT secret outside development', async () => {
+    await expect(authService.load()).rejects.toThrow('JWT_SECRET must be set to a private value when NODE_ENV is test');
+  });
+
+  test('register, login and access token verification', async () => {
+    const { account, tokens } = await authService.register('alice', 'password123');
+    expect(account).not.toHaveProperty('passwordHash');
+    expect(authService.verifyAccessToken(tokens.accessToken)).toEqual({ userId: account.userId, username: 'alice' });
+
+    await expect(authService.register('ALICE', 'password123')).rejects.toThrow('Username already exists');
+    await expect(authService.login('alice', 'wrong-password')).rejects.toMatchObject({ code: 'INVALID_CREDENTIALS' });
+    await expect(authService.login('nobody', 'password123')).rejects.toMatchObject({ code: 'INVALID_CREDENTIALS' });
+
+    const login = await authService.login('Alice', 'password123');
+    expect(login.account.userId).toBe(account.userId);
+  });
+
+  test('refresh rotates the refresh token and logout revokes it', async () => {
+    const { tokens } = await authService.register('bob', 'password123');
+
+    // refresh 토큰은 access 토큰으로 사용할 수 없음
+    expect(() => authService.verifyAccessToken(tokens.refreshToken)).toThrow(expect.objectContaining({ code: 'INVALID_TOKEN' }));
+
+    const refreshed = await authService.refresh(tokens.refreshToken);
+    await expect(authService.refresh(tokens.refreshToken)).rejects.toThrow('Refresh token has been revoked');
+
+    await authService.logout(refreshed.tokens.refreshToken);
+    await expect(authService.refresh(refreshed.tokens.refreshToken)).rejects.toMatchObject({ code: 'INVALID_TOKEN' });
+  });
+
+  test('rejects tampered tokens', async () => {
+    const { tokens } = await authService.register('carol', 'password123');
+    const [header, payload, signature] = tokens.accessToken.split('.');
+    const forged = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(payload, 'base64url')), sub: 'someone-else' })).toString('base64url');
+
+    expect(() => authService.verifyAccessToken(`${header}.${forged}.${signature}`)).toThrow(expect.objectContaining({ code: 'INVALID_TOKEN' }));
+    expect(() => authService.verifyAccessToken('')).toThrow(expect.objectContaining({ code: 'TOKEN_REQUIRED' }));
+  });
+});
@@ -0,0 +1,382 @@
+// services/backtestService.js - 전략 백테스트 (격리된 TradingEngine을 과거 K선으로 구동)
+//
+// 전략 모듈 형식
+//   module.exports = {
+//     params: { ... },             // 기본 파라미터 (요청 params로 덮어씀)
+//     init(ctx) { ... },           // 선택: 시작 시 1회 호출
+//     onBar(bar, ctx) { ... }      // 필수: 봉 마감마다 호출 (async 가능)
+//   };
+// ctx.buy/sell/order로 낸 시장가 주문은 해당 봉 종가에 체결되고,
+// 지정가/조건부 주문과 TP/SL, 강제 청산은 다음 봉부터 봉 내부 가격 경로(시가 → 고가/저가 → 종가)로 판정
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const logger = require('../utils/logger');
+const marketDataService = require('./marketDataService');
+const TradingEngine = require('../models/TradingEngine');
+const { OrderRejectedError } = require('../utils/errors');
+const { KLINE_INTERVAL_MS, parseKline } = require('../utils/klines');
+
+const BACKTEST_USER = 'backtest';
+const STRATEGY_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+const YIELD_EVERY_BARS = 200; // API 작업 실행 중 이벤트 루프 양보 주기
+
+// 최대 낙폭 (비율, 금액)
+function calculateDrawdown(equityCurve) {
+  let peak = -Infinity;
+  let maxDrawdown = 0;
+  let maxDrawdownValue = 0;
+
+  for (const { equity } of equityCurve) {
+    peak = Math.max(peak, equity);
+    if (peak - equity > maxDrawdownValue) {
+      maxDrawdownValue = peak - equity;
+      maxDrawdown = peak > 0 ? maxDrawdownValue / peak : 0;
+    }
+  }
+
+  return { maxDrawdown, maxDrawdownValue };
+}
+
+// 봉 단위 수익률 기준 연환산 샤프 지수 (무위험 수익률 0)
+function calculateSharpe(equityCurve, intervalMs) {
+  const returns = [];
+  for (let i = 1; i < equityCurve.length; i++) {
+    const previous = equityCurve[i - 1].equity;
+    if (previous > 0) {
+      returns.push(equityCurve[i].equity / previous - 1);
+    }
+  }
+  if (returns.length < 2) return 0;
+
+  const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+  const variance = returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (returns.length - 1);
+  const std = Math.sqrt(variance);
+
+  return std > 0 ? (mean / std) * Math.sqrt(YEAR_MS / intervalMs) : 0;
+}
+
+class BacktestService {
+  constructor() {
+    this.jobs = new Map(); // jobId -> 작업 (상태, 옵션, 결과)
+    this.queue = []; // 대기 중인 jobId
+    this.running = 0;
+  }
+
+  // 전략 모듈 로드 (이름은 전략 디렉토리에서, allowPath 시 파일 경로도 허용)
+  loadStrategy(strategy, { allowPath = false } = {}) {
+    if (!strategy) {
+      throw new Error('Strategy is required');
+    }
+
+    let file;
+    if (allowPath && fs.existsSync(strategy)) {
+      file = path.resolve(strategy);
+    } else {
+      if (!STRATEGY_NAME_PATTERN.test(strategy)) {
+        throw new Error(`Invalid strategy name: ${strategy}`);
+      }
+      file = path.resolve(config.backtest.strategyDir, `${strategy}.js`);
+    }
+
+    if (!fs.existsSync(file)) {
+      throw new Error(`Strategy not found: ${strategy}`);
+    }
+
+    const strategyModule = require(file);
+    if (typeof strategyModule.onBar !== 'function') {
+      throw new Error(`Strategy ${strategy} must export an onBar(bar, ctx) function`);
+    }
+    return strategyModule;
+  }
+
+  // 전략 디렉토리의 전략 이름 목록
+  listStrategies() {
+    if (!fs.existsSync(config.backtest.strategyDir)) return [];
+
+    return fs.readdirSync(config.backtest.strategyDir)
+      .filter(file => file.endsWith('.js'))
+      .map(file => path.basename(file, '.js'));
+  }
+
+  // 옵션 검증 및 기본값 적용
+  normalizeOptions({ symbol = config.trading.defaultSymbol, interval = '60', bars, end, strategy, params = {}, initialBalance } = {}) {
+    const intervalKey = String(interval);
+    if (!KLINE_INTERVAL_MS[intervalKey]) {
+      throw new Error(`Unsupported kline interval: ${interval}`);
+    }
+
+    const barCount = bars === undefined ? config.backtest.defaultBars : parseInt(bars);
+    if (!(barCount >= 2) || barCount > config.backtest.maxBars) {
+      throw new Error(`Bars must be between 2 and ${config.backtest.maxBars}`);
+    }
+
+    const balance = initialBalance === undefined ? config.trading.initialBalance : parseFloat(initialBalance);
+    if (!(balance > 0)) {
+      throw new Error('Initial balance must be positive');
+    }
+
+    if (params === null || typeof params !== 'object' || Array.isArray(params)) {
+      throw new Error('Strategy params must be an object');
+    }
+
+    return {
+      symbol: String(symbol).toUpperCase(),
+      interval: intervalKey,
+      bars: barCount,
+      end: end ? parseInt(end) : null,
+      strategy,
+      params,
+      initialBalance: balance
+    };
+  }
+
+  // 마감된 과거 캔들 조회 (오래된 순, 1000개 단위로 과거 방향 페이지 조회)
+  async fetchBars(symbol, interval, count, end = null) {
+    const intervalMs = KLINE_INTERVAL_MS[interval];
+    const now = marketDataService.now();
+    const candles = new Map();
+    let pageEnd = end;
+
+    while (candles.size < count) {
+      const list = await marketDataService.getKline(symbol, interval, Math.min(1000, count - candles.size + 1), pageEnd);
+      const older = (list || [])
+        .map(parseKline)
+        .filter(c => !candles.has(c.start) && (!pageEnd || c.start <= pageEnd));
+
+      if (older.length === 0) break;
+
+      older.forEach(c => candles.set(c.start, c));
+      pageEnd = Math.min(...older.map(c => c.start)) - 1;
+    }
+
+    // 진행 중인 봉 제외
+    return Array.from(candles.values())
+      .filter(c => c.start + intervalMs <= (end || now))
+      .sort((x, y) => x.start - y.start)
+      .slice(-count);
+  }
+
+  // 백테스트 실행 (결과 리포트 반환)
+  async run(rawOptions, { strategyModule = null, yieldToEventLoop = false } = {}) {
+    const options = this.normalizeOptions(rawOptions);
+    const strategy = strategyModule || this.loadStrategy(options.strategy);
+    const intervalMs = KLINE_INTERVAL_MS[options.interval];
+    const { symbol } = options;
+
+    const bars = await this.fetchBars(symbol, options.interval, options.bars, options.end);
+    if (bars.length < 2) {
+      throw new Error(`Not enough kline history for ${symbol} (${options.interval})`);
+    }
+
+    // 격리된 엔진 (저장/저널 없음, 시각은 봉 시각)
+    const engine = new TradingEngine({ persistence: false });
+    let clock = bars[0].start;
+    engine.setClock(() => clock);
+
+    await this.loadInstrumentSpecs(engine, symbol);
+    const user = await engine.initUser(BACKTEST_USER);
+    user.balance.USDT = options.initialBalance;
+    engine.refreshBalance(BACKTEST_USER);
+
+    const rejectedOrders = [];
+    const ctx = this.createContext(engine, {
+      symbol,
+      params: { ...(strategy.params || {}), ...options.params },
+      rejectedOrders,
+      now: () => clock
+    });
+
+    const equityCurve = [];
+    logger.info(`Backtest started: ${options.strategy} ${symbol} ${options.interval} (${bars.length} bars)`);
+
+    for (let i = 0; i < bars.length; i++) {
+      const bar = bars[i];
+      ctx.bars.push(bar);
+
+      // 봉 내부 가격 경로 (양봉: 시가 → 저가 → 고가 → 종가, 음봉: 시가 → 고가 → 저가 → 종가)
+      const prices = bar.close >= bar.open
+        ? [bar.open, bar.low, bar.high, bar.close]
+        : [bar.open, bar.high, bar.low, bar.close];
+
+      prices.forEach((price, step) => {
+        clock = bar.start + Math.floor((intervalMs - 1) * step / (prices.length - 1));
+        engine.updateCurrentPrice(symbol, price);
+      });
+
+      if (i === 0 && typeof strategy.init === 'function') {
+        await strategy.init(ctx);
+      }
+
+      clock = bar.start + intervalMs - 1;
+      await strategy.onBar(bar, ctx);
+
+      equityCurve.push({ time: bar.start + intervalMs, equity: engine.getEquity(BACKTEST_USER), price: bar.close });
+
+      if (yieldToEventLoop && i % YIELD_EVERY_BARS === YIELD_EVERY_BARS - 1) {
+        await new Promise(resolve => setImmediate(resolve));
+      }
+    }
+
+    const report = this.buildReport(engine, options, bars, equityCurve, rejectedOrders, intervalMs);
+    logger.info(`Backtest finished: ${options.strategy} ${symbol} return ${(report.totalReturn * 100).toFixed(2)}%`);
+    return report;
+  }
+
+  // 상품 정보/리스크 한도 로드 (실패 시 엔진 기본값)
+  async loadInstrumentSpecs(engine, symbol) {
+    try {
+      engine.setInstruments(await marketDataService.getInstrumentsInfo(symbol));
+    } catch (error) {
+      logger.warn(`Backtest: failed to load instruments info for ${symbol}: ${error.message}`);
+    }
+
+    try {
+      engine.setRiskLimits(await marketDataService.getRiskLimit(symbol));
+    } catch (error) {
+      logger.warn(`Backtest: failed to load risk limits for ${symbol}, using default tiers: ${error.message}`);
+    }
+  }
+
+  // 전략에 전달할 컨텍스트 (주문 헬퍼, 계좌 조회)
+  createContext(engine, { symbol, params, rejectedOrders, now }) {
+    const order = async (orderData) => {
+      try {
+        return await engine.createOrder(BACKTEST_USER, { symbol, ...orderData });
+      } catch (error) {
+        // 주문 거부는 기록 후 계속 진행 (잔고 부족, 리스크 한도 등)
+        if (error instanceof OrderRejectedError) {
+          rejectedOrders.push({ time: now(), code: error.code, message: error.message, order: orderData });
+          return null;
+        }
+        throw error;
+      }
+    };
+
+    return {
+      symbol,
+      params,
+      bars: [], // 현재 봉까지의 캔들 (오래된 순)
+      state: {}, // 전략 자유 저장 공간
+      time: now,
+      order,
+      buy: (qty, extra = {}) => order({ side: 'Buy', orderType: 'Market', qty, ...extra }),
+      sell: (qty, extra = {}) => order({ side: 'Sell', orderType: 'Market', qty, ...extra }),
+      cancel: (orderId) => engine.cancelOrder(BACKTEST_USER, orderId),
+      position: (positionIdx = 0) => engine.findPosition(BACKTEST_USER, symbol, positionIdx) || null,
+      positions: () => engine.positions.get(BACKTEST_USER) || [],
+      openOrders: () => engine.orders.get(BACKTEST_USER) || [],
+      close: async (positionIdx = 0) => {
+        const position = engine.findPosition(BACKTEST_USER, symbol, positionIdx);
+        return position ? engine.closePosition(BACKTEST_USER, position.positionId) : null;
+      },
+      balance: () => engine.users.get(BACKTEST_USER).balance,
+      equity: () => engine.getEquity(BACKTEST_USER)
+    };
+  }
+
+  buildReport(engine, options, bars, equityCurve, rejectedOrders, intervalMs) {
+    const user = engine.users.get(BACKTEST_USER);
+    const trades = user.tradeHistory.filter(t => t.execType === 'Trade');
+    const closingTrades = trades.filter(t => t.closedSize > 0);
+    const finalEquity = engine.getEquity(BACKTEST_USER);
+
+    return {
+      symbol: options.symbol,
+      interval: options.interval,
+      strategy: options.strategy,
+      params: options.params,
+      startTime: bars[0].start,
+      endTime: bars[bars.length - 1].start + intervalMs,
+      bars: bars.length,
+      initialEquity: options.initialBalance,
+      finalEquity,
+      totalReturn: finalEquity / options.initialBalance - 1,
+      realizedPnl: user.balance.realizedPnl,
+      feesPaid: trades.reduce((sum, t) => sum + t.fee, 0),
+      fundingPaid: user.tradeHistory.filter(t => t.execType === 'Funding').reduce((sum, t) => sum + t.fee, 0),
+      ...calculateDrawdown(equityCurve),
+      sharpe: calculateSharpe(equityCurve, intervalMs),
+      tradeCount: trades.length,
+      closedTrades: closingTrades.length,
+      winRate: engine.calculateWinRate(BACKTEST_USER),
+      equityCurve,
+      trades,
+      closedPnl: user.closedPnl,
+      openPositions: engine.positions.get(BACKTEST_USER) || [],
+      rejectedOrders
+    };
+  }
+
+  // ===== API 작업 관리 =====
+
+  // 작업 등록 (옵션/전략은 즉시 검증, 실행은 대기열 순서대로)
+  createJob(rawOptions) {
+    const options = this.normalizeOptions(rawOptions);
+    this.loadStrategy(options.strategy);
+
+    const job = {
+      jobId: uuidv4(),
+      status: 'queued', // queued, running, completed, failed
+      options,
+      createdAt: Date.now(),
+      startedAt: null,
+      finishedAt: null,
+      report: null,
+      error: null
+    };
+
+    this.jobs.set(job.jobId, job);
+    this.queue.push(job.jobId);
+    this.pruneJobs();
+    this.drain();
+
+    return job;
+  }
+
+  getJob(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  drain() {
+    while (this.running < config.backtest.maxConcurrentJobs && this.queue.length > 0) {
+      const job = this.jobs.get(this.queue.shift());
+      if (job) {
+        this.runJob(job);
+      }
+    }
+  }
+
+  async runJob(job) {
+    this.running++;
+    job.status = 'running';
+    job.startedAt = Date.now();
+
+    try {
+      job.report = await this.run(job.options, { yieldToEventLoop: true });
+      job.status = 'completed';
+    } catch (error) {
+      logger.error(`Backtest job ${job.jobId} failed:`, error);
+      job.status = 'failed';
+      job.error = error.message;
+    } finally {
+      job.finishedAt = Date.now();
+      this.running--;
+      this.drain();
+    }
+  }
+
+  // 오래된 완료 작업 정리
+  pruneJobs() {
+    const finished = Array.from(this.jobs.values())
+      .filter(job => job.status === 'completed' || job.status === 'failed');
+
+    while (finished.length > config.backtest.maxStoredJobs) {
+      this.jobs.delete(finished.shift().jobId);
+    }
+  }
+}
+
+module.exports = new BacktestService();
@@ -0,0 +1,37 @@
+// services/backtestService.test.js - 백테스트 작업 회귀 테스트
+process.env.STORAGE_BACKEND = 'none';
+process.env.MARKET_DATA_PROVIDER = 'simulator';
+process.env.LOG_LEVEL = 'error';
+
+const backtestService = require('./backtestService');
+
+// 작업 종료 대기
+async function waitForJob(job) {
+  while (job.status === 'queued' || job.status === 'running') {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  return job;
+}
+
+describe('backtest jobs', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('over-sized orders are recorded as rejections and the job still completes', async () => {
+    const strategy = {
+      async onBar(bar, ctx) {
+        // 잔고를 훨씬 넘는 주문 (증거금 부족)
+        await ctx.buy(10, { leverage: 1 });
+      }
+    };
+    jest.spyOn(backtestService, 'loadStrategy').mockReturnValue(strategy);
+
+    const job = await waitForJob(backtestService.createJob({ strategy: 'oversize', symbol: 'BTCUSDT', interval: '60', bars: 5 }));
+
+    expect(job.error).toBeNull();
+    expect(job.status).toBe('completed');
+    expect(job.report.rejectedOrders.length).toBeGreaterThan(0);
+    for (const rejected of job.report.rejectedOrders) {
+      expect(rejected).toMatchObject({ code: 'INSUFFICIENT_BALANCE', message: 'Insufficient balance' });
+    }
+  });
+});
@@ -3,15 +3,13 @@ const WebSocket = require('ws');
 const axios = require('axios');
 const config = require('../config');
 const logger = require('../utils/logger');
-const EventEmitter = require('events');
+const MarketDataProvider = require('./marketDataProvider');
 
-class BybitService extends EventEmitter {
+class BybitService extends MarketDataProvider {
   constructor() {
     super();
     this.ws = null;
-    this.isConnected = false;
     this.reconnectAttempts = 0;
-    this.subscriptions = new Set();
     this.pingInterval = null;
     this.reconnectTimeout = null;
   }
@@ -54,7 +52,7 @@ class BybitService extends EventEmitter {
         // 토픽별로 이벤트 발생
         if (message.topic) {
           this.emit('market_data', message);
-          this.emit(message.topic, message.data);
+          this.emit(message.topic, message.data, message);
         }
       } catch (error) {
         logger.error('Error parsing Bybit message:', error);
@@ -171,16 +169,21 @@ class BybitService extends EventEmitter {
     }
   }
 
-  async getKline(symbol = 'BTCUSDT', interval = '1', limit = 200) {
+  async getKline(symbol = 'BTCUSDT', interval = '1', limit = 200, end = null) {
     try {
-      const response = await axios.get(`${config.bybit.restApi}/v5/market/kline`, {
-        params: {
-          category: 'linear',
-          symbol,
-          interval,
-          limit
-        }
-      });
+      const params = {
+        category: 'linear',
+        symbol,
+        interval,
+        limit
+      };
+      
+      // 과거 구간 페이지 조회 (end 이전 캔들)
+      if (end) {
+        params.end = end;
+      }
+      
+      const response = await axios.get(`${config.bybit.restApi}/v5/market/kline`, { params });
       return response.data.result.list;
     } catch (error) {
       logger.error('Error fetching kline:', error);
@@ -220,6 +223,61 @@ class BybitService extends EventEmitter {
     }
   }
 
+  // 상품 정보 조회 (심볼 미지정 시 전체, 커서 페이지네이션)
+  async getInstrumentsInfo(symbol = null) {
+    try {
+      const instruments = [];
+      let cursor = '';
+
+      do {
+        const params = {
+          category: 'linear',
+          limit: 1000
+        };
+        if (symbol) params.symbol = symbol;
+        if (cursor) params.cursor = cursor;
+
+        const response = await axios.get(`${config.bybit.restApi}/v5/market/instruments-info`, { params });
+        const { list, nextPageCursor } = response.data.result;
+        
+        instruments.push(...list);
+        cursor = nextPageCursor;
+      } while (cursor);
+
+      return instruments;
+    } catch (error) {
+      logger.error('Error fetching instruments info:', error);
+      throw error;
+    }
+  }
+
+  // 리스크 한도 티어 조회 (심볼 미지정 시 전체, 커서 페이지네이션)
+  async getRiskLimit(symbol = null) {
+    try {
+      const tiers = [];
+      let cursor = '';
+
+      do {
+        const params = {
+          category: 'linear'
+        };
+        if (symbol) params.symbol = symbol;
+        if (cursor) params.cursor = cursor;
+
+        const response = await axios.get(`${config.bybit.restApi}/v5/market/risk-limit`, { params });
+        const { list, nextPageCursor } = response.data.result;
+        
+        tiers.push(...list);
+        cursor = nextPageCursor;
+      } while (cursor);
+
+      return tiers;
+    } catch (error) {
+      logger.error('Error fetching risk limit:', error);
+      throw error;
+    }
+  }
+
   // 연결 종료
   disconnect() {
     this.stopPing();
@@ -22,7 +22,7 @@ if (config.cache.useRedis) {
 if (!config.cache.useRedis && cacheInstance.cleanup) {
   setInterval(() => {
     cacheInstance.cleanup();
-  }, 60000); // 1분마다 만료된 항목 정리
+  }, 60000).unref(); // 1분마다 만료된 항목 정리 (정리 타이머만으로 프로세스를 유지하지 않음)
 }
 
 module.exports = cacheInstance;
\ No newline at end of file
@@ -0,0 +1,127 @@
+// services/fileStorage.js - 파일 기반 상태 저장소 (기본값)
+//
+// 컬렉션마다 디렉토리 하나, 레코드마다 JSON 파일 하나 (data/users/<userId>.json 등)
+// 거래/종료 손익 내역은 사용자별 추가 전용 JSONL 파일 (data/history/<userId>.jsonl, 한 줄에 { type, record })
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+class FileStorage {
+  constructor(dataDir) {
+    this.dataDir = dataDir;
+    this.usersDir = path.join(dataDir, 'users');
+    this.historyDir = path.join(dataDir, 'history');
+    this.ready = null;
+  }
+
+  async connect() {
+    if (!this.ready) {
+      this.ready = fs.promises.mkdir(this.usersDir, { recursive: true })
+        .then(() => logger.info(`File storage ready: ${this.dataDir}`));
+    }
+    await this.ready;
+    return true;
+  }
+
+  // 레코드 ID를 파일명으로 안전하게 변환
+  recordFile(collection, id) {
+    return path.join(this.dataDir, collection, `${encodeURIComponent(id)}.json`);
+  }
+
+  // 레코드 저장 (임시 파일에 쓴 뒤 교체하여 중간 상태 방지)
+  async saveRecord(collection, id, record) {
+    await this.connect();
+    await fs.promises.mkdir(path.join(this.dataDir, collection), { recursive: true });
+
+    const file = this.recordFile(collection, id);
+    const tempFile = `${file}.tmp`;
+    await fs.promises.writeFile(tempFile, JSON.stringify(record));
+    await fs.promises.rename(tempFile, file);
+  }
+
+  // 컬렉션 전체 레코드 로딩
+  async loadRecords(collection) {
+    await this.connect();
+
+    const dir = path.join(this.dataDir, collection);
+    const files = fs.existsSync(dir)
+      ? (await fs.promises.readdir(dir)).filter(f => f.endsWith('.json'))
+      : [];
+    const records = [];
+
+    for (const file of files) {
+      try {
+        const content = await fs.promises.readFile(path.join(dir, file), 'utf8');
+        records.push(JSON.parse(content));
+      } catch (error) {
+        logger.error(`Failed to load ${collection} record ${file}:`, error);
+      }
+    }
+
+    return records;
+  }
+
+  async deleteRecord(collection, id) {
+    await fs.promises.rm(this.recordFile(collection, id), { force: true });
+  }
+
+  // 사용자 상태 저장
+  async saveUser(userId, snapshot) {
+    await this.saveRecord('users', userId, snapshot);
+  }
+
+  // 전체 사용자 상태 로딩
+  async loadUsers() {
+    return this.loadRecords('users');
+  }
+
+  async deleteUser(userId) {
+    await this.deleteRecord('users', userId);
+    await fs.promises.rm(this.historyFile(userId), { force: true });
+  }
+
+  historyFile(userId) {
+    return path.join(this.historyDir, `${encodeURIComponent(userId)}.jsonl`);
+  }
+
+  // 내역 추가 (새 항목만 파일 끝에 기록)
+  async appendHistory(userId, history) {
+    const lines = Object.entries(history)
+      .flatMap(([type, records]) => records.map(record => `${JSON.stringify({ type, record })}\n`))
+      .join('');
+    if (!lines) return;
+
+    await this.connect();
+    await fs.promises.mkdir(this.historyDir, { recursive: true });
+    await fs.promises.appendFile(this.historyFile(userId), lines);
+  }
+
+  async loadHistory(userId) {
+    const history = { tradeHistory: [], closedPnl: [] };
+
+    let content;
+    try {
+      content = await fs.promises.readFile(this.historyFile(userId), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return history;
+      throw error;
+    }
+
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const { type, record } = JSON.parse(line);
+        if (history[type]) history[type].push(record);
+      } catch (error) {
+        // 기록 중 종료된 마지막 줄
+        logger.warn(`Skipping malformed history line for user ${userId}`);
+      }
+    }
+
+    return history;
+  }
+
+  async disconnect() {}
+}
+
+module.exports = FileStorage;
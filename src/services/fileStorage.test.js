@@ -0,0 +1,72 @@
+// services/fileStorage.test.js - 파일 저장소 상태/내역 기록 테스트
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'file-storage-'));
+process.env.STORAGE_BACKEND = 'file';
+process.env.DATA_DIR = DATA_DIR;
+process.env.LOG_LEVEL = 'error';
+
+const TradingEngine = require('../models/TradingEngine');
+
+const SYMBOL = 'BTCUSDT';
+
+function readLines(file) {
+  return fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+afterAll(() => {
+  fs.rmSync(DATA_DIR, { recursive: true, force: true });
+});
+
+describe('file storage', () => {
+  test('snapshots hold balance, positions and open orders while history is appended', async () => {
+    const engine = new TradingEngine();
+    await engine.initUser('u1');
+    engine.updateCurrentPrice(SYMBOL, 50000);
+
+    engine.createOrder('u1', { symbol: SYMBOL, side: 'Buy', orderType: 'Market', qty: 0.1, leverage: 10 });
+    engine.createOrder('u1', { symbol: SYMBOL, side: 'Buy', orderType: 'Limit', qty: 0.1, price: 45000, leverage: 10 });
+    await engine.flushState();
+
+    const historyFile = path.join(DATA_DIR, 'history', 'u1.jsonl');
+    const snapshot = JSON.parse(fs.readFileSync(path.join(DATA_DIR, 'users', 'u1.json'), 'utf8'));
+    expect(snapshot.user).not.toHaveProperty('tradeHistory');
+    expect(snapshot.user).not.toHaveProperty('closedPnl');
+    expect(snapshot.positions).toHaveLength(1);
+    expect(snapshot.orders).toHaveLength(1);
+    expect(readLines(historyFile).map(line => line.type)).toEqual(['tradeHistory']);
+
+    // 다음 저장은 새 내역만 추가
+    engine.createOrder('u1', { symbol: SYMBOL, side: 'Sell', orderType: 'Market', qty: 0.1, leverage: 10 });
+    await engine.flushState();
+    expect(readLines(historyFile).map(line => line.type)).toEqual(['tradeHistory', 'tradeHistory', 'closedPnl']);
+
+    const restored = new TradingEngine();
+    await restored.loadState();
+    const user = restored.users.get('u1');
+    expect(user.tradeHistory).toEqual(JSON.parse(JSON.stringify(engine.users.get('u1').tradeHistory)));
+    expect(user.closedPnl).toHaveLength(1);
+    expect(user.balance.USDT).toBeCloseTo(engine.users.get('u1').balance.USDT);
+  });
+
+  test('history of snapshots saved before the split moves to the history file on the next save', async () => {
+    const legacyTrade = { tradeId: 'legacy-1', symbol: SYMBOL, execType: 'Trade', time: 1 };
+    const legacy = new TradingEngine();
+    await legacy.initUser('u2');
+    legacy.users.get('u2').tradeHistory.push(legacyTrade);
+    fs.writeFileSync(path.join(DATA_DIR, 'users', 'u2.json'), JSON.stringify(legacy.serializeUser('u2')));
+
+    const engine = new TradingEngine();
+    await engine.loadState();
+    expect(engine.users.get('u2').tradeHistory).toEqual([legacyTrade]);
+
+    engine.persistUser('u2');
+    await engine.flushState();
+
+    expect(readLines(path.join(DATA_DIR, 'history', 'u2.jsonl'))).toEqual([{ type: 'tradeHistory', record: legacyTrade }]);
+    const snapshot = JSON.parse(fs.readFileSync(path.join(DATA_DIR, 'users', 'u2.json'), 'utf8'));
+    expect(snapshot.user).not.toHaveProperty('tradeHistory');
+  });
+});
@@ -0,0 +1,44 @@
+// services/instrumentService.js - 상품 정보(호가 단위, 수량 단위, 레버리지 한도) 및 리스크 한도 조회
+const marketDataService = require('./marketDataService');
+const cacheService = require('./cacheService'); // 통합 캐시 서비스 사용
+const config = require('../config');
+
+class InstrumentService {
+  // 상품 정보 조회 (캐시 우선)
+  async getInstruments(symbol = null) {
+    const cacheKey = `instruments:${symbol || 'all'}`;
+    const cached = await cacheService.get(cacheKey);
+    
+    if (cached) {
+      return { list: cached, cached: true };
+    }
+
+    // 시장 데이터 제공자 호출
+    const list = await marketDataService.getInstrumentsInfo(symbol);
+    
+    // 캐싱
+    await cacheService.set(cacheKey, list, config.cache.ttl.instruments);
+    
+    return { list, cached: false };
+  }
+
+  // 리스크 한도 티어 조회 (캐시 우선)
+  async getRiskLimits(symbol = null) {
+    const cacheKey = `risk_limit:${symbol || 'all'}`;
+    const cached = await cacheService.get(cacheKey);
+    
+    if (cached) {
+      return { list: cached, cached: true };
+    }
+
+    // 시장 데이터 제공자 호출
+    const list = await marketDataService.getRiskLimit(symbol);
+    
+    // 캐싱
+    await cacheService.set(cacheKey, list, config.cache.ttl.instruments);
+    
+    return { list, cached: false };
+  }
+}
+
+module.exports = new InstrumentService();
@@ -0,0 +1,60 @@
+// services/journalService.js - 추가 전용 이벤트 저널 (명령 및 시세 입력 기록)
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+class JournalService {
+  constructor() {
+    this.stream = null;
+    this.file = null;
+  }
+
+  // 새 저널 구간 파일 열기 (서버 실행마다 새 파일)
+  open() {
+    if (this.stream) return this.file;
+
+    fs.mkdirSync(config.journal.dir, { recursive: true });
+    this.file = path.join(config.journal.dir, `journal-${Date.now()}.jsonl`);
+    this.stream = fs.createWriteStream(this.file, { flags: 'a' });
+    
+    this.stream.on('error', (error) => {
+      logger.error('Journal write error:', error);
+    });
+
+    logger.info(`Journal opened: ${this.file}`);
+    return this.file;
+  }
+
+  // 항목 기록 (한 줄에 JSON 하나)
+  append(entry) {
+    if (!this.stream) return;
+    this.stream.write(`${JSON.stringify(entry)}\n`);
+  }
+
+  async close() {
+    if (!this.stream) return;
+
+    const stream = this.stream;
+    this.stream = null;
+    await new Promise(resolve => stream.end(resolve));
+    logger.info(`Journal closed: ${this.file}`);
+  }
+
+  // 저널 파일 항목 순차 읽기
+  async *readEntries(file) {
+    const lines = readline.createInterface({
+      input: fs.createReadStream(file),
+      crlfDelay: Infinity
+    });
+
+    for await (const line of lines) {
+      if (line.trim()) {
+        yield JSON.parse(line);
+      }
+    }
+  }
+}
+
+module.exports = new JournalService();
@@ -0,0 +1,72 @@
+// services/marketDataProvider.js - 시장 데이터 제공자 인터페이스
+//
+// 구현체는 Bybit V5 public 스트림과 같은 토픽 이벤트를 발생시켜야 함
+//   this.emit('market_data', message)
+//   this.emit(message.topic, message.data, message)  // tickers.*, orderbook.50.*, publicTrade.*, kline.*
+// REST 메서드는 Bybit V5 응답의 result(또는 result.list) 형식을 반환
+// now()는 시세 기준 시각 (실시간 제공자는 Date.now(), 재생 제공자는 재생 시계)
+const EventEmitter = require('events');
+
+class MarketDataProvider extends EventEmitter {
+  constructor() {
+    super();
+    this.isConnected = false;
+    this.subscriptions = new Set();
+  }
+
+  // 시세 기준 현재 시각 (ms)
+  now() {
+    return Date.now();
+  }
+
+  // 스트림 연결 (연결 시 'connected' 이벤트)
+  connect() {
+    throw new Error(`${this.constructor.name} does not implement connect()`);
+  }
+
+  // 토픽 구독/해제 (연결 전 구독은 연결 시 적용)
+  subscribe(topics) {
+    throw new Error(`${this.constructor.name} does not implement subscribe()`);
+  }
+
+  unsubscribe(topics) {
+    throw new Error(`${this.constructor.name} does not implement unsubscribe()`);
+  }
+
+  disconnect() {
+    throw new Error(`${this.constructor.name} does not implement disconnect()`);
+  }
+
+  // REST: /v5/market/tickers의 list[0]
+  async getTicker(symbol) {
+    throw new Error(`${this.constructor.name} does not implement getTicker()`);
+  }
+
+  // REST: /v5/market/kline의 list ([start, open, high, low, close, volume, turnover], 최신순)
+  // end 지정 시 해당 시각(ms) 이전 캔들만 조회 (과거 구간 페이지 이동)
+  async getKline(symbol, interval, limit, end) {
+    throw new Error(`${this.constructor.name} does not implement getKline()`);
+  }
+
+  // REST: /v5/market/orderbook의 result ({ s, b, a, ts, u })
+  async getOrderbook(symbol, limit) {
+    throw new Error(`${this.constructor.name} does not implement getOrderbook()`);
+  }
+
+  // REST: /v5/market/recent-trade의 list
+  async getRecentTrades(symbol, limit) {
+    throw new Error(`${this.constructor.name} does not implement getRecentTrades()`);
+  }
+
+  // REST: /v5/market/instruments-info의 list (전체 페이지)
+  async getInstrumentsInfo(symbol) {
+    throw new Error(`${this.constructor.name} does not implement getInstrumentsInfo()`);
+  }
+
+  // REST: /v5/market/risk-limit의 list (전체 페이지)
+  async getRiskLimit(symbol) {
+    throw new Error(`${this.constructor.name} does not implement getRiskLimit()`);
+  }
+}
+
+module.exports = MarketDataProvider;
@@ -0,0 +1,23 @@
+// services/marketDataService.js - 시장 데이터 제공자 선택 (bybit/simulator/replay)
+const config = require('../config');
+const logger = require('../utils/logger');
+
+let providerInstance = null;
+
+switch (config.marketData.provider) {
+  case 'bybit':
+    providerInstance = require('./bybitService');
+    break;
+  case 'simulator':
+    providerInstance = require('./simulatorService');
+    logger.info(`Using simulated market data (model: ${config.marketData.simulator.model})`);
+    break;
+  case 'replay':
+    providerInstance = require('./replayService');
+    logger.info(`Using recorded market data replay (file: ${config.marketData.replay.file})`);
+    break;
+  default:
+    throw new Error(`Unknown market data provider: ${config.marketData.provider}`);
+}
+
+module.exports = providerInstance;
@@ -0,0 +1,82 @@
+// services/marketRecorder.js - 시장 데이터 녹화 (제공자 토픽 메시지를 재생용 파일로 기록)
+//
+// 녹화 파일 형식 (한 줄에 JSON 하나)
+//   { ts, message }                 // 토픽 메시지 (ts: 메시지 시각)
+//   { ts, reference, data }         // 재생 시 REST 응답에 쓰는 참조 데이터 (instruments, riskLimit)
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+class MarketRecorder {
+  constructor() {
+    this.stream = null;
+    this.file = null;
+    this.provider = null;
+    this.messageCount = 0;
+    this.onMessage = (message) => this.recordMessage(message);
+  }
+
+  get isRecording() {
+    return this.stream !== null;
+  }
+
+  // 녹화 시작 (실행마다 새 파일)
+  start(provider) {
+    if (this.stream) return this.file;
+
+    fs.mkdirSync(config.marketData.recorder.dir, { recursive: true });
+    this.file = path.join(config.marketData.recorder.dir, `market-${Date.now()}.jsonl`);
+    this.stream = fs.createWriteStream(this.file, { flags: 'a' });
+    this.provider = provider;
+    this.messageCount = 0;
+
+    this.stream.on('error', (error) => {
+      logger.error('Market recording write error:', error);
+    });
+
+    provider.on('market_data', this.onMessage);
+    this.recordReferences();
+
+    logger.info(`Market data recording started: ${this.file}`);
+    return this.file;
+  }
+
+  recordMessage(message) {
+    if (!this.stream || !message || !message.topic) return;
+
+    this.stream.write(`${JSON.stringify({ ts: message.ts || Date.now(), message })}\n`);
+    this.messageCount++;
+  }
+
+  // 상품 정보/리스크 한도 기록 (재생 시 오프라인으로 제공)
+  async recordReferences() {
+    const references = [
+      ['instruments', () => this.provider.getInstrumentsInfo()],
+      ['riskLimit', () => this.provider.getRiskLimit()]
+    ];
+
+    for (const [reference, fetch] of references) {
+      try {
+        const data = await fetch();
+        if (this.stream) {
+          this.stream.write(`${JSON.stringify({ ts: Date.now(), reference, data })}\n`);
+        }
+      } catch (error) {
+        logger.warn(`Failed to record ${reference} reference data: ${error.message}`);
+      }
+    }
+  }
+
+  async stop() {
+    if (!this.stream) return;
+
+    this.provider.removeListener('market_data', this.onMessage);
+    const stream = this.stream;
+    this.stream = null;
+    await new Promise(resolve => stream.end(resolve));
+    logger.info(`Market data recording stopped: ${this.file} (${this.messageCount} messages)`);
+  }
+}
+
+module.exports = new MarketRecorder();
@@ -12,11 +12,11 @@ class RedisService {
   async connect() {
     try {
       this.client = new Redis({
-        host: config.redis.host,
-        port: config.redis.port,
-        password: config.redis.password,
-        db: config.redis.db,
-        keyPrefix: config.redis.keyPrefix,
+        host: config.cache.redis.host,
+        port: config.cache.redis.port,
+        password: config.cache.redis.password,
+        db: config.cache.redis.db,
+        keyPrefix: config.cache.redis.keyPrefix,
         retryStrategy: (times) => {
           const delay = Math.min(times * 50, 2000);
           return delay;
@@ -115,6 +115,55 @@ class RedisService {
     }
   }
 
+  async hgetall(hash) {
+    if (!this.isConnected) return null;
+    try {
+      const values = await this.client.hgetall(hash);
+      const result = {};
+      for (const [field, value] of Object.entries(values)) {
+        result[field] = JSON.parse(value);
+      }
+      return result;
+    } catch (error) {
+      logger.error('Redis hgetall error:', error);
+      return null;
+    }
+  }
+
+  async hdel(hash, field) {
+    if (!this.isConnected) return false;
+    try {
+      await this.client.hdel(hash, field);
+      return true;
+    } catch (error) {
+      logger.error('Redis hdel error:', error);
+      return false;
+    }
+  }
+
+  // 리스트 끝에 추가 (값마다 JSON 직렬화)
+  async rpush(key, values) {
+    if (!this.isConnected) return false;
+    try {
+      await this.client.rpush(key, ...values.map(value => JSON.stringify(value)));
+      return true;
+    } catch (error) {
+      logger.error('Redis rpush error:', error);
+      return false;
+    }
+  }
+
+  async lrange(key, start = 0, stop = -1) {
+    if (!this.isConnected) return null;
+    try {
+      const values = await this.client.lrange(key, start, stop);
+      return values.map(value => JSON.parse(value));
+    } catch (error) {
+      logger.error('Redis lrange error:', error);
+      return null;
+    }
+  }
+
   async publish(channel, message) {
     if (!this.isConnected) return false;
     try {
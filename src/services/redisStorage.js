@@ -0,0 +1,83 @@
+// services/redisStorage.js - Redis 기반 상태 저장소 (redisService 연결 공유)
+//
+// 컬렉션마다 해시 하나 (state:users, state:apiKeys 등)
+// 거래/종료 손익 내역은 사용자별 리스트 (state:history:<userId>, 항목: { type, record })
+const redisService = require('./redisService');
+const logger = require('../utils/logger');
+
+class RedisStorage {
+  async connect() {
+    if (redisService.isConnected) return true;
+
+    const connected = await redisService.connect();
+    if (!connected) {
+      throw new Error('Redis storage is not available');
+    }
+    logger.info('Redis storage ready');
+    return true;
+  }
+
+  collectionKey(collection) {
+    return `state:${collection}`;
+  }
+
+  async saveRecord(collection, id, record) {
+    const saved = await redisService.hset(this.collectionKey(collection), id, record);
+    if (!saved) {
+      throw new Error(`Failed to save ${collection} record: ${id}`);
+    }
+  }
+
+  async loadRecords(collection) {
+    const records = await redisService.hgetall(this.collectionKey(collection));
+    return Object.values(records || {});
+  }
+
+  async deleteRecord(collection, id) {
+    await redisService.hdel(this.collectionKey(collection), id);
+  }
+
+  async saveUser(userId, snapshot) {
+    await this.saveRecord('users', userId, snapshot);
+  }
+
+  async loadUsers() {
+    return this.loadRecords('users');
+  }
+
+  async deleteUser(userId) {
+    await this.deleteRecord('users', userId);
+    await redisService.del(this.historyKey(userId));
+  }
+
+  historyKey(userId) {
+    return `state:history:${userId}`;
+  }
+
+  async appendHistory(userId, history) {
+    const entries = Object.entries(history)
+      .flatMap(([type, records]) => records.map(record => ({ type, record })));
+    if (entries.length === 0) return;
+
+    const saved = await redisService.rpush(this.historyKey(userId), entries);
+    if (!saved) {
+      throw new Error(`Failed to append history for user: ${userId}`);
+    }
+  }
+
+  async loadHistory(userId) {
+    const history = { tradeHistory: [], closedPnl: [] };
+    const entries = await redisService.lrange(this.historyKey(userId));
+
+    for (const { type, record } of entries || []) {
+      if (history[type]) history[type].push(record);
+    }
+    return history;
+  }
+
+  async disconnect() {
+    await redisService.disconnect();
+  }
+}
+
+module.exports = RedisStorage;
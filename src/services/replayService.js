@@ -0,0 +1,506 @@
+// services/replayService.js - 녹화 시세 재생 제공자 (배속 조절, 일시정지, 탐색)
+//
+// marketRecorder가 기록한 토픽 메시지를 기록 시각 간격 그대로(배속 적용) 다시 발생시킴
+// now()는 재생 시계이며, 서버가 엔진 시계로 연결해 주문/체결/펀딩 시각이 재생 시각을 따름
+const fs = require('fs');
+const readline = require('readline');
+const config = require('../config');
+const logger = require('../utils/logger');
+const MarketDataProvider = require('./marketDataProvider');
+
+const BATCH_SIZE = 500; // 한 번에 발생시킬 최대 메시지 수 (고배속 시 이벤트 루프 양보)
+const MAX_TIMER_DELAY = 60000;
+const MAX_RECENT_TRADES = 1000;
+const MAX_CANDLES = 1000;
+
+// 오더북 호가 병합 (수량 0은 삭제)
+function applyLevels(levels, updates = []) {
+  for (const [price, size] of updates) {
+    if (parseFloat(size) === 0) {
+      levels.delete(price);
+    } else {
+      levels.set(price, size);
+    }
+  }
+}
+
+function sortLevels(levels, descending, limit) {
+  return Array.from(levels.entries())
+    .sort((x, y) => descending ? parseFloat(y[0]) - parseFloat(x[0]) : parseFloat(x[0]) - parseFloat(y[0]))
+    .slice(0, limit);
+}
+
+// 토픽 분해 (tickers.BTCUSDT, orderbook.50.BTCUSDT, kline.1.BTCUSDT)
+function parseTopic(topic) {
+  const parts = topic.split('.');
+  return { channel: parts[0], param: parts.length > 2 ? parts[1] : null, symbol: parts[parts.length - 1] };
+}
+
+class ReplayService extends MarketDataProvider {
+  constructor() {
+    super();
+    this.options = config.marketData.replay;
+    this.file = this.options.file;
+    this.messages = []; // { ts, message } (시각순)
+    this.references = {}; // instruments, riskLimit
+    this.loading = null;
+    this.cursor = 0; // 다음에 발생시킬 메시지 인덱스
+    this.position = null; // 재생 시계 기준 시각 (ms)
+    this.anchor = null; // position에 대응하는 실제 시각 (재생 중일 때)
+    this.speed = this.options.speed;
+    this.state = 'idle'; // idle, paused, playing, ended
+    this.started = false; // 첫 구독 시 자동 재생
+    this.timer = null;
+    this.resetMarketState();
+  }
+
+  // 재생 위치까지의 시장 상태 (REST 응답 및 탐색 후 스냅샷용)
+  resetMarketState() {
+    this.tickers = new Map(); // symbol -> 병합된 티커
+    this.books = new Map(); // orderbook 토픽 -> { b, a, u, seq, ts }
+    this.trades = new Map(); // symbol -> 최근 체결
+    this.candles = new Map(); // kline 토픽 -> Map(start -> 캔들)
+  }
+
+  get startTime() {
+    return this.messages.length > 0 ? this.messages[0].ts : null;
+  }
+
+  get endTime() {
+    return this.messages.length > 0 ? this.messages[this.messages.length - 1].ts : null;
+  }
+
+  // 녹화 파일 로드 (최초 1회)
+  load() {
+    if (!this.loading) {
+      this.loading = this.readRecording();
+    }
+    return this.loading;
+  }
+
+  async readRecording() {
+    if (!this.file) {
+      throw new Error('REPLAY_FILE is required for the replay market data provider');
+    }
+    if (!fs.existsSync(this.file)) {
+      throw new Error(`Replay file not found: ${this.file}`);
+    }
+
+    const lines = readline.createInterface({
+      input: fs.createReadStream(this.file),
+      crlfDelay: Infinity
+    });
+
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+
+      const record = JSON.parse(line);
+      if (record.reference) {
+        this.references[record.reference] = record.data;
+      } else if (record.message && record.message.topic) {
+        this.messages.push(record);
+      }
+    }
+
+    if (this.messages.length === 0) {
+      throw new Error(`Replay file has no market data messages: ${this.file}`);
+    }
+
+    // 토픽 간 수신 순서가 약간 어긋날 수 있으므로 시각순 정렬 (같은 시각은 기록 순서 유지)
+    this.messages.sort((x, y) => x.ts - y.ts);
+
+    logger.info(`Replay loaded: ${this.file} (${this.messages.length} messages, ${new Date(this.startTime).toISOString()} ~ ${new Date(this.endTime).toISOString()})`);
+  }
+
+  // 재생 시계
+  now() {
+    if (this.position === null) return Date.now();
+    if (this.state !== 'playing') return this.position;
+
+    return Math.min(this.position + (Date.now() - this.anchor) * this.speed, this.endTime);
+  }
+
+  // 녹화 로드 후 시작 위치로 이동 (재생은 첫 구독 시 시작)
+  connect() {
+    if (this.isConnected) return;
+
+    this.load()
+      .then(() => {
+        this.position = this.startTime;
+        if (this.options.startTime) {
+          this.seekTo(this.options.startTime);
+        }
+        this.state = 'paused';
+        this.isConnected = true;
+
+        logger.info(`Replay ready at ${new Date(this.position).toISOString()} (${this.speed}x)`);
+        this.emit('connected');
+
+        if (this.subscriptions.size > 0) {
+          this.play();
+        }
+      })
+      .catch(error => {
+        logger.error(`Replay load failed: ${error.message}`);
+      });
+  }
+
+  subscribe(topics) {
+    if (!Array.isArray(topics)) {
+      topics = [topics];
+    }
+
+    const added = topics.filter(topic => !this.subscriptions.has(topic));
+    added.forEach(topic => this.subscriptions.add(topic));
+    logger.info('Replay subscribed to topics:', topics);
+
+    if (!this.isConnected) return;
+
+    // 구독 시점 상태를 스냅샷으로 전달 (Bybit 구독 응답과 동일)
+    added.forEach(topic => this.emitSnapshot(topic));
+    if (this.state === 'paused' && !this.started) {
+      this.play();
+    }
+  }
+
+  unsubscribe(topics) {
+    if (!Array.isArray(topics)) {
+      topics = [topics];
+    }
+
+    topics.forEach(topic => this.subscriptions.delete(topic));
+  }
+
+  disconnect() {
+    if (this.state === 'playing') {
+      this.position = this.now();
+    }
+
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.state = 'idle';
+    this.isConnected = false;
+    logger.info('Replay stopped');
+  }
+
+  // ===== 재생 제어 =====
+
+  play() {
+    if (!this.isConnected) {
+      throw new Error('Replay is not loaded');
+    }
+    if (this.state === 'playing') return this.getStatus();
+    if (this.cursor >= this.messages.length) {
+      return this.finish();
+    }
+
+    this.anchor = Date.now();
+    this.state = 'playing';
+    this.started = true;
+    this.schedule();
+
+    logger.info(`Replay playing from ${new Date(this.position).toISOString()} (${this.speed}x)`);
+    return this.emitState();
+  }
+
+  pause() {
+    if (!this.isConnected) {
+      throw new Error('Replay is not loaded');
+    }
+    if (this.state !== 'playing') return this.getStatus();
+
+    this.position = this.now();
+    this.state = 'paused';
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    logger.info(`Replay paused at ${new Date(this.position).toISOString()}`);
+    return this.emitState();
+  }
+
+  setSpeed(speed) {
+    const value = parseFloat(speed);
+    if (!Number.isFinite(value) || value <= 0 || value > this.options.maxSpeed) {
+      throw new Error(`Replay speed must be greater than 0 and at most ${this.options.maxSpeed}`);
+    }
+
+    // 배속 변경 전까지 진행된 시각 확정
+    if (this.state === 'playing') {
+      this.position = this.now();
+      this.anchor = Date.now();
+    }
+    this.speed = value;
+    this.schedule();
+
+    logger.info(`Replay speed set to ${value}x`);
+    return this.emitState();
+  }
+
+  // 지정 시각으로 이동 (중간 메시지는 발생시키지 않고 상태에만 반영 후 스냅샷 전송)
+  seek(time) {
+    if (!this.isConnected) {
+      throw new Error('Replay is not loaded');
+    }
+
+    const target = parseInt(time);
+    if (!Number.isFinite(target)) {
+      throw new Error('Seek time must be a timestamp in milliseconds');
+    }
+
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (this.state === 'ended') {
+      this.state = 'paused';
+    }
+
+    this.seekTo(target);
+    this.anchor = Date.now();
+    this.subscriptions.forEach(topic => this.emitSnapshot(topic));
+
+    logger.info(`Replay seeked to ${new Date(this.position).toISOString()}`);
+    this.schedule();
+    return this.emitState();
+  }
+
+  seekTo(time) {
+    const target = Math.min(Math.max(time, this.startTime), this.endTime);
+
+    // 뒤로 이동 시 처음부터 상태 재구성
+    if (target < this.now()) {
+      this.resetMarketState();
+      this.cursor = 0;
+    }
+
+    while (this.cursor < this.messages.length && this.messages[this.cursor].ts <= target) {
+      this.applyMessage(this.messages[this.cursor++].message);
+    }
+    this.position = target;
+  }
+
+  // 다음 메시지 시각에 맞춰 타이머 설정
+  schedule() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (this.state !== 'playing') return;
+
+    if (this.cursor >= this.messages.length) {
+      this.finish();
+      return;
+    }
+
+    const delay = (this.messages[this.cursor].ts - this.now()) / this.speed;
+    this.timer = setTimeout(() => this.advance(), Math.max(0, Math.min(delay, MAX_TIMER_DELAY)));
+  }
+
+  // 재생 시계까지의 메시지 발생
+  advance() {
+    const now = this.now();
+    let count = 0;
+
+    while (this.cursor < this.messages.length && this.messages[this.cursor].ts <= now && count < BATCH_SIZE) {
+      try {
+        this.publish(this.messages[this.cursor++].message);
+      } catch (error) {
+        logger.error('Error publishing replay message:', error);
+      }
+      count++;
+    }
+
+    this.schedule();
+  }
+
+  finish() {
+    this.position = this.endTime;
+    this.state = 'ended';
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    logger.info('Replay reached end of recording');
+    return this.emitState();
+  }
+
+  getStatus() {
+    const currentTime = this.position === null ? null : this.now();
+    const duration = this.endTime - this.startTime;
+
+    return {
+      file: this.file,
+      state: this.state,
+      speed: this.speed,
+      currentTime,
+      startTime: this.startTime,
+      endTime: this.endTime,
+      progress: currentTime === null || duration <= 0 ? 0 : (currentTime - this.startTime) / duration,
+      messages: this.messages.length,
+      cursor: this.cursor
+    };
+  }
+
+  emitState() {
+    const status = this.getStatus();
+    this.emit('replay_state', status);
+    return status;
+  }
+
+  // ===== 메시지 처리 =====
+
+  publish(message) {
+    this.applyMessage(message);
+    if (!this.subscriptions.has(message.topic)) return;
+
+    this.emit('market_data', message);
+    this.emit(message.topic, message.data, message);
+  }
+
+  applyMessage(message) {
+    const { channel, param, symbol } = parseTopic(message.topic);
+    const data = message.data;
+
+    switch (channel) {
+      case 'tickers': {
+        const update = Array.isArray(data) ? data[0] : data;
+        if (!update) break;
+
+        const previous = message.type === 'snapshot' ? {} : this.tickers.get(symbol);
+        this.tickers.set(symbol, { ...previous, ...update });
+        break;
+      }
+
+      case 'orderbook': {
+        let book = this.books.get(message.topic);
+        if (message.type === 'snapshot' || !book) {
+          book = { b: new Map(), a: new Map(), depth: parseInt(param) };
+          this.books.set(message.topic, book);
+        }
+
+        applyLevels(book.b, data.b);
+        applyLevels(book.a, data.a);
+        book.u = data.u;
+        book.seq = data.seq;
+        book.ts = message.ts;
+        break;
+      }
+
+      case 'publicTrade': {
+        const trades = this.trades.get(symbol) || [];
+        trades.push(...data);
+        if (trades.length > MAX_RECENT_TRADES) {
+          trades.splice(0, trades.length - MAX_RECENT_TRADES);
+        }
+        this.trades.set(symbol, trades);
+        break;
+      }
+
+      case 'kline': {
+        const candles = this.candles.get(message.topic) || new Map();
+        data.forEach(candle => candles.set(candle.start, candle));
+        while (candles.size > MAX_CANDLES) {
+          candles.delete(candles.keys().next().value);
+        }
+        this.candles.set(message.topic, candles);
+        break;
+      }
+    }
+  }
+
+  // 현재 상태를 스냅샷 메시지로 발생 (구독 시작, 탐색 후)
+  emitSnapshot(topic) {
+    const { channel, param, symbol } = parseTopic(topic);
+    let data = null;
+
+    if (channel === 'tickers' && this.tickers.has(symbol)) {
+      data = { ...this.tickers.get(symbol) };
+    } else if (channel === 'orderbook' && this.books.has(topic)) {
+      const book = this.books.get(topic);
+      data = {
+        s: symbol,
+        b: sortLevels(book.b, true, parseInt(param)),
+        a: sortLevels(book.a, false, parseInt(param)),
+        u: book.u,
+        seq: book.seq
+      };
+    } else if (channel === 'kline' && this.candles.has(topic)) {
+      const candles = Array.from(this.candles.get(topic).values());
+      data = candles.slice(-1);
+    }
+
+    if (!data) return;
+
+    const message = { topic, type: 'snapshot', ts: this.now(), data };
+    this.emit('market_data', message);
+    this.emit(topic, data, message);
+  }
+
+  // ===== REST 메서드 (재생 시각 기준 상태, Bybit V5 응답 형식) =====
+
+  async getTicker(symbol = 'BTCUSDT') {
+    await this.load();
+    const ticker = this.tickers.get(symbol);
+    return ticker ? { ...ticker } : undefined;
+  }
+
+  async getKline(symbol = 'BTCUSDT', interval = '1', limit = 200, end = null) {
+    await this.load();
+    const candles = this.candles.get(`kline.${interval}.${symbol}`);
+    if (!candles) return [];
+
+    const count = Math.min(parseInt(limit) || 200, 1000);
+    return Array.from(candles.values())
+      .filter(c => !end || c.start <= end)
+      .sort((x, y) => y.start - x.start)
+      .slice(0, count)
+      .map(c => [String(c.start), c.open, c.high, c.low, c.close, c.volume, c.turnover]);
+  }
+
+  async getOrderbook(symbol = 'BTCUSDT', limit = 50) {
+    await this.load();
+
+    // 녹화된 가장 깊은 오더북 사용
+    let book = null;
+    for (const [topic, candidate] of this.books) {
+      if (parseTopic(topic).symbol === symbol && (!book || candidate.depth > book.depth)) {
+        book = candidate;
+      }
+    }
+
+    if (!book) return { s: symbol, b: [], a: [], ts: this.now(), u: 0 };
+
+    return {
+      s: symbol,
+      b: sortLevels(book.b, true, limit),
+      a: sortLevels(book.a, false, limit),
+      ts: book.ts,
+      u: book.u
+    };
+  }
+
+  async getRecentTrades(symbol = 'BTCUSDT', limit = 50) {
+    await this.load();
+    const trades = this.trades.get(symbol) || [];
+
+    return trades.slice(-limit).reverse().map(t => ({
+      execId: t.i,
+      symbol: t.s,
+      price: t.p,
+      size: t.v,
+      side: t.S,
+      time: String(t.T),
+      isBlockTrade: Boolean(t.BT)
+    }));
+  }
+
+  // 녹화 시작 시 기록된 상품 정보 (없으면 빈 목록 → 엔진 기본값)
+  async getInstrumentsInfo(symbol = null) {
+    await this.load();
+    const list = this.references.instruments || [];
+    return symbol ? list.filter(item => item.symbol === symbol) : list;
+  }
+
+  async getRiskLimit(symbol = null) {
+    await this.load();
+    const list = this.references.riskLimit || [];
+    return symbol ? list.filter(item => item.symbol === symbol) : list;
+  }
+}
+
+module.exports = new ReplayService();
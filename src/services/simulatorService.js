@@ -0,0 +1,507 @@
+// services/simulatorService.js - 오프라인 합성 시세 제공자 (Bybit 스트림/REST 대체)
+const config = require('../config');
+const logger = require('../utils/logger');
+const MarketDataProvider = require('./marketDataProvider');
+const { KLINE_INTERVAL_MS } = require('../utils/klines');
+
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+const FUNDING_INTERVAL_MS = 8 * 60 * 60 * 1000;
+
+// 시드 고정 난수 생성기 (mulberry32)
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// 가격대별 호가/수량 단위
+function priceTickSize(price) {
+  if (price >= 1000) return 0.1;
+  if (price >= 10) return 0.01;
+  return 0.0001;
+}
+
+function qtyStepSize(price) {
+  if (price >= 1000) return 0.001;
+  if (price >= 10) return 0.01;
+  return 1;
+}
+
+function decimalsOf(step) {
+  const text = String(step);
+  return text.includes('.') ? text.split('.')[1].length : 0;
+}
+
+class SimulatorService extends MarketDataProvider {
+  constructor() {
+    super();
+    this.options = config.marketData.simulator;
+    this.random = createRandom(this.options.seed === null ? Date.now() : this.options.seed);
+    this.states = new Map(); // symbol -> 합성 시장 상태
+    this.snapshotSent = new Set(); // 스냅샷을 보낸 토픽
+    this.tickTimer = null;
+    this.startedAt = null;
+    this.tradeSeq = 0;
+  }
+
+  // 표준 정규분포 난수 (Box-Muller)
+  gaussian() {
+    const u = 1 - this.random();
+    const v = this.random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  }
+
+  // 시뮬레이션 대상 심볼
+  get symbols() {
+    return Array.from(new Set([...config.bybit.symbols, ...Object.keys(this.options.initialPrices)]));
+  }
+
+  // 심볼 상태 조회 (최초 조회 시 생성, 미지원 심볼은 null)
+  getState(symbol) {
+    if (this.states.has(symbol)) return this.states.get(symbol);
+    if (!this.symbols.includes(symbol)) return null;
+
+    const price = this.options.initialPrices[symbol] || this.options.defaultPrice;
+    const tickSize = priceTickSize(price);
+    const state = {
+      symbol,
+      initialPrice: price,
+      price,
+      prevPrice: price,
+      markPrice: price,
+      indexPrice: price,
+      tickSize,
+      qtyStep: qtyStepSize(price),
+      open24h: price,
+      high24h: price,
+      low24h: price,
+      volume24h: 0,
+      turnover24h: 0,
+      book: { b: [], a: [] },
+      bookSeq: 0,
+      trades: [],
+      candles: new Map() // interval -> 캔들 목록 (오래된 순, 마지막이 진행 중)
+    };
+
+    this.states.set(symbol, state);
+    this.rebuildBook(state);
+    return state;
+  }
+
+  // 스트림 시작 (tickInterval마다 시세 생성)
+  connect() {
+    if (this.tickTimer) return;
+
+    this.startedAt = Date.now();
+    this.tickTimer = setInterval(() => this.tick(), this.options.tickInterval);
+    this.isConnected = true;
+
+    logger.info(`Market simulator started (model: ${this.options.model}, tick: ${this.options.tickInterval}ms)`);
+    setImmediate(() => this.emit('connected'));
+  }
+
+  subscribe(topics) {
+    if (!Array.isArray(topics)) {
+      topics = [topics];
+    }
+
+    topics.forEach(topic => this.subscriptions.add(topic));
+    logger.info('Simulator subscribed to topics:', topics);
+  }
+
+  unsubscribe(topics) {
+    if (!Array.isArray(topics)) {
+      topics = [topics];
+    }
+
+    topics.forEach(topic => {
+      this.subscriptions.delete(topic);
+      this.snapshotSent.delete(topic);
+    });
+  }
+
+  disconnect() {
+    if (this.tickTimer) {
+      clearInterval(this.tickTimer);
+      this.tickTimer = null;
+    }
+
+    this.isConnected = false;
+    logger.info('Market simulator stopped');
+  }
+
+  // 구독된 심볼 가격 생성 및 토픽 이벤트 발생
+  tick() {
+    const now = Date.now();
+    const subscribedSymbols = new Set();
+
+    for (const topic of this.subscriptions) {
+      subscribedSymbols.add(topic.split('.').pop());
+    }
+
+    for (const symbol of subscribedSymbols) {
+      const state = this.getState(symbol);
+      if (!state) continue;
+
+      this.stepPrice(state, now);
+      const trades = this.generateTrades(state, now);
+      this.rebuildBook(state);
+      this.updateCandles(state, trades, now);
+      this.publish(state, trades, now);
+    }
+  }
+
+  // 심볼의 구독 중인 K선 간격
+  klineIntervals(symbol) {
+    const intervals = [];
+    for (const topic of this.subscriptions) {
+      const [channel, interval, topicSymbol] = topic.split('.');
+      if (channel === 'kline' && topicSymbol === symbol) {
+        intervals.push(interval);
+      }
+    }
+    return intervals;
+  }
+
+  // 가격 모델 적용 (randomWalk, gbm, scripted)
+  stepPrice(state, now) {
+    const { model, volatility, drift, stepSize, tickInterval } = this.options;
+    let price = state.price;
+
+    if (model === 'randomWalk') {
+      price += state.initialPrice * stepSize * this.gaussian();
+    } else {
+      // 기하 브라운 운동
+      const dt = tickInterval / YEAR_MS;
+      price *= Math.exp((drift - volatility * volatility / 2) * dt + volatility * Math.sqrt(dt) * this.gaussian());
+
+      // scripted: 진행 중인 이벤트의 변화율을 기간에 걸쳐 분산 적용
+      if (model === 'scripted') {
+        const elapsed = (now - this.startedAt) / 1000;
+        for (const event of this.options.scenario) {
+          if (elapsed >= event.at && elapsed < event.at + event.duration) {
+            price *= Math.exp(Math.log(1 + event.change) * (tickInterval / 1000) / event.duration);
+          }
+        }
+      }
+    }
+
+    state.prevPrice = state.price;
+    state.price = this.roundPrice(state, Math.max(price, state.tickSize));
+    state.markPrice = this.roundPrice(state, state.price * (1 + this.gaussian() * 0.0002));
+    state.indexPrice = this.roundPrice(state, state.price * (1 + this.gaussian() * 0.0001));
+    state.high24h = Math.max(state.high24h, state.price);
+    state.low24h = Math.min(state.low24h, state.price);
+  }
+
+  roundPrice(state, price) {
+    return parseFloat((Math.round(price / state.tickSize) * state.tickSize).toFixed(decimalsOf(state.tickSize)));
+  }
+
+  roundQty(state, qty) {
+    const steps = Math.max(1, Math.round(qty / state.qtyStep));
+    return parseFloat((steps * state.qtyStep).toFixed(decimalsOf(state.qtyStep)));
+  }
+
+  // 현재가 주변 호가 생성 (매수 1호가 = 현재가, 매도 1호가 = 현재가 + 1틱)
+  rebuildBook(state) {
+    const levels = this.options.depthLevels;
+    const baseQty = 5000 / state.price;
+    const decimals = decimalsOf(state.tickSize);
+
+    state.book = { b: [], a: [] };
+    for (let i = 0; i < levels; i++) {
+      state.book.b.push([
+        (state.price - state.tickSize * i).toFixed(decimals),
+        String(this.roundQty(state, baseQty * (0.5 + this.random() * 3)))
+      ]);
+      state.book.a.push([
+        (state.price + state.tickSize * (i + 1)).toFixed(decimals),
+        String(this.roundQty(state, baseQty * (0.5 + this.random() * 3)))
+      ]);
+    }
+    state.bookSeq++;
+  }
+
+  // 현재가 체결 내역 생성 (틱당 1~3건)
+  generateTrades(state, now) {
+    const count = 1 + Math.floor(this.random() * 3);
+    const trades = [];
+
+    for (let i = 0; i < count; i++) {
+      const qty = this.roundQty(state, (2000 / state.price) * this.random());
+
+      trades.push({
+        T: now,
+        s: state.symbol,
+        S: state.price >= state.prevPrice ? 'Buy' : 'Sell',
+        v: String(qty),
+        p: state.price.toFixed(decimalsOf(state.tickSize)),
+        L: state.price >= state.prevPrice ? 'PlusTick' : 'MinusTick',
+        i: `sim-${++this.tradeSeq}`,
+        BT: false
+      });
+
+      state.volume24h += qty;
+      state.turnover24h += qty * state.price;
+    }
+
+    state.trades.push(...trades);
+    if (state.trades.length > 1000) {
+      state.trades.splice(0, state.trades.length - 1000);
+    }
+
+    return trades;
+  }
+
+  // 진행 중인 캔들 갱신 (구간이 바뀌면 확정 후 새 캔들)
+  updateCandles(state, trades, now) {
+    const volume = trades.reduce((sum, t) => sum + parseFloat(t.v), 0);
+
+    for (const interval of this.klineIntervals(state.symbol)) {
+      const candles = this.ensureCandles(state, interval, 1);
+      let current = candles[candles.length - 1];
+
+      if (now >= current.start + KLINE_INTERVAL_MS[interval]) {
+        current.confirm = true;
+        this.emitMessage(`kline.${interval}.${state.symbol}`, 'snapshot', [this.formatCandle(state, interval, current, now)], now);
+
+        current = this.newCandle(now - (now % KLINE_INTERVAL_MS[interval]), current.close, state.price);
+        candles.push(current);
+        if (candles.length > 1000) candles.shift();
+      }
+
+      current.high = Math.max(current.high, state.price);
+      current.low = Math.min(current.low, state.price);
+      current.close = state.price;
+      current.volume += volume;
+      current.turnover += volume * state.price;
+    }
+  }
+
+  newCandle(start, open, close) {
+    return {
+      start,
+      open,
+      high: Math.max(open, close),
+      low: Math.min(open, close),
+      close,
+      volume: 0,
+      turnover: 0,
+      confirm: false
+    };
+  }
+
+  // 캔들 이력 확보 (부족하면 현재 가격에서 과거 방향으로 생성)
+  ensureCandles(state, interval, limit) {
+    const intervalMs = KLINE_INTERVAL_MS[interval];
+    if (!intervalMs) {
+      throw new Error(`Unsupported kline interval: ${interval}`);
+    }
+
+    if (!state.candles.has(interval)) {
+      const now = Date.now();
+      state.candles.set(interval, [this.newCandle(now - (now % intervalMs), state.price, state.price)]);
+    }
+
+    const candles = state.candles.get(interval);
+    const sigma = this.options.volatility * Math.sqrt(intervalMs / YEAR_MS);
+
+    while (candles.length < limit) {
+      const next = candles[0];
+      const close = next.open;
+      const open = this.roundPrice(state, close / Math.exp(sigma * this.gaussian()));
+      const candle = this.newCandle(next.start - intervalMs, open, close);
+
+      candle.high = this.roundPrice(state, candle.high * (1 + Math.abs(this.gaussian()) * sigma / 2));
+      candle.low = this.roundPrice(state, candle.low * (1 - Math.abs(this.gaussian()) * sigma / 2));
+      candle.volume = (intervalMs / 1000) * (1000 / state.price) * this.random();
+      candle.turnover = candle.volume * (open + close) / 2;
+      candle.confirm = true;
+
+      candles.unshift(candle);
+    }
+
+    return candles;
+  }
+
+  formatCandle(state, interval, candle, now) {
+    const decimals = decimalsOf(state.tickSize);
+
+    return {
+      start: candle.start,
+      end: candle.start + KLINE_INTERVAL_MS[interval] - 1,
+      interval,
+      open: candle.open.toFixed(decimals),
+      close: candle.close.toFixed(decimals),
+      high: candle.high.toFixed(decimals),
+      low: candle.low.toFixed(decimals),
+      volume: candle.volume.toFixed(decimalsOf(state.qtyStep)),
+      turnover: candle.turnover.toFixed(4),
+      confirm: candle.confirm,
+      timestamp: now
+    };
+  }
+
+  // Bybit 티커 형식 (문자열 값)
+  formatTicker(state) {
+    const decimals = decimalsOf(state.tickSize);
+    const nextFundingTime = (Math.floor(Date.now() / FUNDING_INTERVAL_MS) + 1) * FUNDING_INTERVAL_MS;
+
+    return {
+      symbol: state.symbol,
+      lastPrice: state.price.toFixed(decimals),
+      markPrice: state.markPrice.toFixed(decimals),
+      indexPrice: state.indexPrice.toFixed(decimals),
+      prevPrice24h: state.open24h.toFixed(decimals),
+      price24hPcnt: (state.price / state.open24h - 1).toFixed(6),
+      highPrice24h: state.high24h.toFixed(decimals),
+      lowPrice24h: state.low24h.toFixed(decimals),
+      volume24h: state.volume24h.toFixed(decimalsOf(state.qtyStep)),
+      turnover24h: state.turnover24h.toFixed(4),
+      fundingRate: String(this.options.fundingRate),
+      nextFundingTime: String(nextFundingTime),
+      bid1Price: state.book.b[0][0],
+      bid1Size: state.book.b[0][1],
+      ask1Price: state.book.a[0][0],
+      ask1Size: state.book.a[0][1]
+    };
+  }
+
+  // 구독 토픽별 메시지 발생 (토픽 최초 메시지는 snapshot)
+  publish(state, trades, now) {
+    const { symbol } = state;
+
+    const tickerTopic = `tickers.${symbol}`;
+    if (this.subscriptions.has(tickerTopic)) {
+      this.emitMessage(tickerTopic, this.snapshotSent.has(tickerTopic) ? 'delta' : 'snapshot', this.formatTicker(state), now);
+    }
+
+    const bookTopic = `orderbook.50.${symbol}`;
+    if (this.subscriptions.has(bookTopic)) {
+      this.emitMessage(bookTopic, 'snapshot', {
+        s: symbol,
+        b: state.book.b,
+        a: state.book.a,
+        u: state.bookSeq,
+        seq: state.bookSeq
+      }, now);
+    }
+
+    const tradeTopic = `publicTrade.${symbol}`;
+    if (this.subscriptions.has(tradeTopic)) {
+      this.emitMessage(tradeTopic, 'snapshot', trades, now);
+    }
+
+    for (const interval of this.klineIntervals(symbol)) {
+      const topic = `kline.${interval}.${symbol}`;
+      const candles = state.candles.get(interval);
+      this.emitMessage(topic, 'snapshot', [this.formatCandle(state, interval, candles[candles.length - 1], now)], now);
+    }
+  }
+
+  emitMessage(topic, type, data, ts) {
+    const message = { topic, type, ts, data };
+
+    this.snapshotSent.add(topic);
+    this.emit('market_data', message);
+    this.emit(topic, data, message);
+  }
+
+  // REST 메서드 (Bybit V5 응답 형식)
+  async getTicker(symbol = 'BTCUSDT') {
+    const state = this.getState(symbol);
+    return state ? this.formatTicker(state) : undefined;
+  }
+
+  async getKline(symbol = 'BTCUSDT', interval = '1', limit = 200, end = null) {
+    const state = this.getState(symbol);
+    if (!state) return [];
+
+    // end 지정 시 그 이전 구간까지 이력 생성
+    const count = Math.min(parseInt(limit) || 200, 1000);
+    const intervalMs = KLINE_INTERVAL_MS[String(interval)];
+    const skipped = end && intervalMs ? Math.max(0, Math.ceil((Date.now() - end) / intervalMs)) : 0;
+    const candles = this.ensureCandles(state, String(interval), count + skipped)
+      .filter(candle => !end || candle.start <= end);
+
+    return candles.slice(-count).reverse().map(candle => {
+      const formatted = this.formatCandle(state, String(interval), candle, Date.now());
+      return [String(candle.start), formatted.open, formatted.high, formatted.low, formatted.close, formatted.volume, formatted.turnover];
+    });
+  }
+
+  async getOrderbook(symbol = 'BTCUSDT', limit = 50) {
+    const state = this.getState(symbol);
+    if (!state) return { s: symbol, b: [], a: [], ts: Date.now(), u: 0 };
+
+    return {
+      s: symbol,
+      b: state.book.b.slice(0, limit),
+      a: state.book.a.slice(0, limit),
+      ts: Date.now(),
+      u: state.bookSeq
+    };
+  }
+
+  async getRecentTrades(symbol = 'BTCUSDT', limit = 50) {
+    const state = this.getState(symbol);
+    if (!state) return [];
+
+    return state.trades.slice(-limit).reverse().map(t => ({
+      execId: t.i,
+      symbol: t.s,
+      price: t.p,
+      size: t.v,
+      side: t.S,
+      time: String(t.T),
+      isBlockTrade: false
+    }));
+  }
+
+  async getInstrumentsInfo(symbol = null) {
+    const symbols = symbol ? [symbol].filter(s => this.symbols.includes(s)) : this.symbols;
+
+    return symbols.map(s => {
+      const state = this.getState(s);
+      const decimals = decimalsOf(state.tickSize);
+
+      return {
+        symbol: s,
+        contractType: 'LinearPerpetual',
+        status: 'Trading',
+        baseCoin: s.replace(/USDT$/, ''),
+        quoteCoin: 'USDT',
+        priceFilter: {
+          tickSize: String(state.tickSize),
+          minPrice: state.tickSize.toFixed(decimals),
+          maxPrice: (state.initialPrice * 100).toFixed(decimals)
+        },
+        lotSizeFilter: {
+          qtyStep: String(state.qtyStep),
+          minOrderQty: String(state.qtyStep),
+          maxOrderQty: String(this.roundQty(state, 5000000 / state.initialPrice)),
+          maxMktOrderQty: String(this.roundQty(state, 1000000 / state.initialPrice)),
+          minNotionalValue: '5'
+        },
+        leverageFilter: {
+          minLeverage: '1',
+          maxLeverage: '100',
+          leverageStep: '0.01'
+        }
+      };
+    });
+  }
+
+  // 시뮬레이터는 리스크 한도를 제공하지 않음 (엔진 기본 티어 사용)
+  async getRiskLimit() {
+    return [];
+  }
+}
+
+module.exports = new SimulatorService();
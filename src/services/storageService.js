@@ -0,0 +1,88 @@
+// services/storageService.js - 상태 영속화 서비스 (file/redis/none 선택)
+const config = require('../config');
+const logger = require('../utils/logger');
+
+class StorageService {
+  constructor() {
+    this.backend = null;
+
+    switch (config.storage.backend) {
+      case 'file': {
+        const FileStorage = require('./fileStorage');
+        this.backend = new FileStorage(config.storage.dataDir);
+        break;
+      }
+      case 'redis': {
+        const RedisStorage = require('./redisStorage');
+        this.backend = new RedisStorage();
+        break;
+      }
+      case 'none':
+        logger.warn('State persistence disabled (STORAGE_BACKEND=none)');
+        break;
+      default:
+        throw new Error(`Unknown storage backend: ${config.storage.backend}`);
+    }
+  }
+
+  get enabled() {
+    return this.backend !== null;
+  }
+
+  async connect() {
+    if (!this.enabled) return false;
+    return this.backend.connect();
+  }
+
+  // 사용자 상태 저장 (snapshot: { user, positions, orders })
+  async saveUser(userId, snapshot) {
+    if (!this.enabled) return;
+    await this.backend.saveUser(userId, snapshot);
+  }
+
+  // 저장된 전체 사용자 상태 로딩
+  async loadUsers() {
+    if (!this.enabled) return [];
+    return this.backend.loadUsers();
+  }
+
+  async deleteUser(userId) {
+    if (!this.enabled) return;
+    await this.backend.deleteUser(userId);
+  }
+
+  // 사용자 내역 추가 기록 (history: { tradeHistory, closedPnl } 새 항목만, 기존 기록은 다시 쓰지 않음)
+  async appendHistory(userId, history) {
+    if (!this.enabled) return;
+    await this.backend.appendHistory(userId, history);
+  }
+
+  // 사용자 내역 로딩 → { tradeHistory, closedPnl } (기록 순서)
+  async loadHistory(userId) {
+    if (!this.enabled) return { tradeHistory: [], closedPnl: [] };
+    return this.backend.loadHistory(userId);
+  }
+
+  // 기타 레코드 저장 (collection: apiKeys 등)
+  async saveRecord(collection, id, record) {
+    if (!this.enabled) return;
+    await this.backend.saveRecord(collection, id, record);
+  }
+
+  async loadRecords(collection) {
+    if (!this.enabled) return [];
+    return this.backend.loadRecords(collection);
+  }
+
+  async deleteRecord(collection, id) {
+    if (!this.enabled) return;
+    await this.backend.deleteRecord(collection, id);
+  }
+
+  async disconnect() {
+    if (!this.enabled) return;
+    await this.backend.disconnect();
+  }
+}
+
+module.exports = new StorageService();
@@ -0,0 +1,288 @@
+// utils/bybitV5.js - Bybit V5 응답 형식 변환 (REST/WebSocket 호환 계층 공용)
+//
+// 숫자 필드는 Bybit와 같이 문자열로 변환 (값 없음은 빈 문자열)
+const { OrderRejectedError, AuthError } = require('./errors');
+const { OPEN_ORDER_STATUSES } = require('../models/TradingEngine');
+
+// 엔진 주문 거부 코드 → Bybit retCode
+const REJECT_RET_CODES = {
+  INVALID_QTY: 10001,
+  INVALID_PRICE: 10001,
+  INVALID_SYMBOL: 10001,
+  SYMBOL_NOT_SUPPORTED: 10001,
+  TICK_SIZE: 10001,
+  QTY_STEP: 10001,
+  MIN_QTY: 10001,
+  MAX_QTY: 10001,
+  POSITION_IDX_MISMATCH: 10001,
+  INVALID_ORDER_LINK_ID: 10001,
+  INVALID_TIME_IN_FORCE: 10001,
+  INVALID_LEVERAGE: 10001,
+  LEVERAGE_MISMATCH: 10001,
+  INVALID_TRIGGER: 10001,
+  INVALID_TPSL: 10001,
+  PRICE_OUT_OF_RANGE: 110003,
+  INSUFFICIENT_BALANCE: 110007,
+  MAX_LEVERAGE: 110013,
+  RISK_LIMIT_LEVERAGE: 110013,
+  REDUCE_ONLY_REJECTED: 110017,
+  LIQUIDATION_RISK: 110013,
+  DUPLICATE_ORDER_LINK_ID: 110072,
+  SYMBOL_NOT_TRADING: 110074,
+  POST_ONLY_REJECTED: 110079,
+  RISK_LIMIT_EXCEEDED: 110090,
+  MIN_NOTIONAL: 110094
+};
+
+// 인증 실패 코드 → Bybit retCode
+const AUTH_RET_CODES = {
+  API_KEY_REQUIRED: 10003,
+  INVALID_API_KEY: 10003,
+  INVALID_TIMESTAMP: 10002,
+  INVALID_SIGNATURE: 10004,
+  PERMISSION_DENIED: 10005,
+  IP_NOT_ALLOWED: 10010
+};
+
+// 엔진 에러 메시지 → Bybit retCode
+const ERROR_RET_CODES = [
+  [/^Insufficient balance/, 110007],
+  [/^Order not found/, 110001],
+  [/^Cannot cancel filled order/, 110008],
+  [/^Position not found/, 110001],
+  [/^Leverage not modified/, 110043],
+  [/^Market data for .* is not available/, 10016]
+];
+
+function str(value) {
+  return value === null || value === undefined ? '' : String(value);
+}
+
+// 엔진 에러를 Bybit retCode/retMsg로 변환 (검증 에러: 10001, 내부 에러: 10016)
+function toRetCode(error) {
+  if (error instanceof OrderRejectedError) {
+    return { retCode: REJECT_RET_CODES[error.code] || 10001, retMsg: error.message };
+  }
+  if (error instanceof AuthError) {
+    return { retCode: AUTH_RET_CODES[error.code] || 10003, retMsg: error.message };
+  }
+
+  for (const [pattern, retCode] of ERROR_RET_CODES) {
+    if (pattern.test(error.message)) {
+      return { retCode, retMsg: error.message };
+    }
+  }
+
+  return error.constructor === Error
+    ? { retCode: 10001, retMsg: error.message }
+    : { retCode: 10016, retMsg: 'Internal server error' };
+}
+
+function formatOrder(order) {
+  const open = OPEN_ORDER_STATUSES.includes(order.status);
+  const leavesQty = open ? Math.max(0, order.qty - order.filledQty) : 0;
+  const hasTpSl = Boolean(order.takeProfit || order.stopLoss);
+
+  return {
+    orderId: order.orderId,
+    orderLinkId: order.orderLinkId || '',
+    blockTradeId: '',
+    symbol: order.symbol,
+    price: str(order.price),
+    qty: str(order.qty),
+    side: order.side,
+    isLeverage: '',
+    positionIdx: order.positionIdx,
+    orderStatus: order.status,
+    createType: 'CreateByUser',
+    cancelType: order.status === 'Cancelled' && !order.rejectReason ? 'CancelByUser' : 'UNKNOWN',
+    rejectReason: order.rejectReason || 'EC_NoError',
+    avgPrice: order.filledQty > 0 ? str(order.avgPrice) : '',
+    leavesQty: str(leavesQty),
+    leavesValue: str(leavesQty * order.price),
+    cumExecQty: str(order.filledQty),
+    cumExecValue: str(order.filledQty * order.avgPrice),
+    cumExecFee: str(order.fee),
+    timeInForce: order.timeInForce,
+    orderType: order.orderType,
+    stopOrderType: order.stopOrderType || '',
+    orderIv: '',
+    triggerPrice: order.triggerPrice ? str(order.triggerPrice) : '',
+    takeProfit: order.takeProfit ? str(order.takeProfit) : '',
+    stopLoss: order.stopLoss ? str(order.stopLoss) : '',
+    tpTriggerBy: order.takeProfit ? 'LastPrice' : '',
+    slTriggerBy: order.stopLoss ? 'LastPrice' : '',
+    triggerDirection: order.triggerDirection || 0,
+    triggerBy: order.triggerPrice ? order.triggerBy : '',
+    lastPriceOnCreated: '',
+    reduceOnly: order.reduceOnly,
+    closeOnTrigger: false,
+    smpType: 'None',
+    smpGroup: 0,
+    smpOrderId: '',
+    tpslMode: hasTpSl ? 'Full' : '',
+    tpLimitPrice: '',
+    slLimitPrice: '',
+    placeType: '',
+    createdTime: str(order.createdTime),
+    updatedTime: str(order.updatedTime)
+  };
+}
+
+// 포지션 (position이 없으면 해당 인덱스의 빈 포지션)
+function formatPosition(position, { symbol, positionIdx = 0, leverage, marginMode = 'cross' } = {}) {
+  if (!position) {
+    return {
+      positionIdx,
+      riskId: 1,
+      riskLimitValue: '',
+      symbol,
+      side: '',
+      size: '0',
+      avgPrice: '0',
+      positionValue: '0',
+      tradeMode: marginMode === 'isolated' ? 1 : 0,
+      autoAddMargin: 0,
+      positionStatus: 'Normal',
+      leverage: str(leverage),
+      markPrice: '',
+      liqPrice: '',
+      bustPrice: '',
+      positionIM: '0',
+      positionMM: '0',
+      positionBalance: '0',
+      tpslMode: 'Full',
+      takeProfit: '0',
+      stopLoss: '0',
+      trailingStop: '0',
+      unrealisedPnl: '0',
+      curRealisedPnl: '0',
+      cumRealisedPnl: '0',
+      adlRankIndicator: 0,
+      isReduceOnly: false,
+      createdTime: '',
+      updatedTime: '',
+      seq: -1
+    };
+  }
+
+  const tier = position.riskTier;
+
+  return {
+    positionIdx: position.positionIdx,
+    riskId: tier ? tier.tier : 1,
+    riskLimitValue: tier ? str(tier.riskLimitValue) : '',
+    symbol: position.symbol,
+    side: position.side,
+    size: str(position.qty),
+    avgPrice: str(position.avgPrice),
+    positionValue: str(position.qty * position.avgPrice),
+    tradeMode: position.marginMode === 'isolated' ? 1 : 0,
+    autoAddMargin: 0,
+    positionStatus: 'Normal',
+    leverage: str(position.leverage),
+    markPrice: str(position.markPrice),
+    liqPrice: position.liqPrice ? str(position.liqPrice) : '',
+    bustPrice: position.bustPrice ? str(position.bustPrice) : '',
+    positionIM: str(position.marginUsed),
+    positionMM: str(position.maintenanceMargin),
+    positionBalance: str(position.positionBalance),
+    tpslMode: 'Full',
+    takeProfit: str(position.takeProfit || 0),
+    stopLoss: str(position.stopLoss || 0),
+    trailingStop: '0',
+    unrealisedPnl: str(position.unrealizedPnl),
+    curRealisedPnl: str(position.realizedPnl),
+    cumRealisedPnl: str(position.realizedPnl),
+    adlRankIndicator: 2,
+    isReduceOnly: false,
+    createdTime: str(position.createdTime),
+    updatedTime: str(position.updatedTime),
+    seq: -1
+  };
+}
+
+// 체결 내역 (tradeHistory 항목, 펀딩 포함)
+function formatExecution(record) {
+  const execValue = record.price * record.qty;
+
+  return {
+    symbol: record.symbol,
+    orderId: record.orderId || '',
+    orderLinkId: record.orderLinkId || '',
+    side: record.side,
+    orderPrice: str(record.orderPrice),
+    orderQty: str(record.orderQty),
+    leavesQty: '',
+    createType: record.execType === 'Trade' ? 'CreateByUser' : '',
+    orderType: record.orderType || 'UNKNOWN',
+    stopOrderType: '',
+    execFee: str(record.fee),
+    execId: record.tradeId,
+    execPrice: str(record.price),
+    execQty: str(record.qty),
+    execType: record.execType,
+    execValue: str(execValue),
+    execTime: str(record.time),
+    feeRate: record.fundingRate !== undefined ? str(record.fundingRate) : str(execValue > 0 ? record.fee / execValue : 0),
+    tradeIv: '',
+    markIv: '',
+    markPrice: '',
+    indexPrice: '',
+    underlyingPrice: '',
+    blockTradeId: '',
+    closedSize: str(record.closedSize || 0),
+    seq: 0,
+    isMaker: record.isMaker
+  };
+}
+
+// 통합 계정 지갑 (USDT 단일 코인)
+function formatWallet(user, positions, accountType = 'UNIFIED') {
+  const balance = user.balance;
+  const unrealisedPnl = positions.reduce((sum, p) => sum + p.unrealizedPnl, 0);
+  const maintenanceMargin = positions.reduce((sum, p) => sum + p.maintenanceMargin, 0);
+  const equity = balance.USDT + unrealisedPnl;
+
+  return {
+    accountType,
+    accountIMRate: str(equity > 0 ? balance.marginUsed / equity : 0),
+    accountMMRate: str(equity > 0 ? maintenanceMargin / equity : 0),
+    totalEquity: str(equity),
+    totalWalletBalance: str(balance.USDT),
+    totalMarginBalance: str(equity),
+    totalAvailableBalance: str(balance.availableBalance),
+    totalPerpUPL: str(unrealisedPnl),
+    totalInitialMargin: str(balance.marginUsed),
+    totalMaintenanceMargin: str(maintenanceMargin),
+    accountLTV: '0',
+    coin: [{
+      coin: 'USDT',
+      equity: str(equity),
+      usdValue: str(equity),
+      walletBalance: str(balance.USDT),
+      free: '',
+      locked: '0',
+      spotHedgingQty: '0',
+      borrowAmount: '0',
+      availableToWithdraw: str(balance.availableBalance),
+      accruedInterest: '0',
+      totalOrderIM: '0',
+      totalPositionIM: str(balance.marginUsed),
+      totalPositionMM: str(maintenanceMargin),
+      unrealisedPnl: str(unrealisedPnl),
+      cumRealisedPnl: str(balance.realizedPnl),
+      bonus: '0',
+      marginCollateral: true,
+      collateralSwitch: true
+    }]
+  };
+}
+
+module.exports = {
+  toRetCode,
+  formatOrder,
+  formatPosition,
+  formatExecution,
+  formatWallet
+};
@@ -0,0 +1,79 @@
+// utils/bybitV5.test.js - 엔진 결과 → Bybit V5 응답 변환 테스트
+process.env.STORAGE_BACKEND = 'none';
+process.env.LOG_LEVEL = 'error';
+
+const TradingEngine = require('../models/TradingEngine');
+const { toRetCode, formatOrder, formatPosition } = require('./bybitV5');
+const { OrderRejectedError, AuthError } = require('./errors');
+
+describe('toRetCode', () => {
+  test('maps order rejection codes to Bybit retCodes', () => {
+    expect(toRetCode(new OrderRejectedError('INSUFFICIENT_BALANCE', 'Insufficient balance'))).toEqual({ retCode: 110007, retMsg: 'Insufficient balance' });
+    expect(toRetCode(new OrderRejectedError('POST_ONLY_REJECTED', 'PostOnly order would cross the current price')).retCode).toBe(110079);
+    expect(toRetCode(new OrderRejectedError('REDUCE_ONLY_REJECTED', 'Reduce-only order would increase position')).retCode).toBe(110017);
+    expect(toRetCode(new OrderRejectedError('RISK_LIMIT_EXCEEDED', 'too large')).retCode).toBe(110090);
+    expect(toRetCode(new OrderRejectedError('SOMETHING_NEW', 'unmapped')).retCode).toBe(10001);
+  });
+
+  test('maps auth failures and engine messages', () => {
+    expect(toRetCode(new AuthError('INVALID_TIMESTAMP', 'expired')).retCode).toBe(10002);
+    expect(toRetCode(new AuthError('INVALID_SIGNATURE', 'bad sign')).retCode).toBe(10004);
+    expect(toRetCode(new Error('Order not found')).retCode).toBe(110001);
+    expect(toRetCode(new Error('Leverage not modified')).retCode).toBe(110043);
+    expect(toRetCode(new Error('Invalid margin amount'))).toEqual({ retCode: 10001, retMsg: 'Invalid margin amount' });
+  });
+
+  test('hides internal errors', () => {
+    expect(toRetCode(new TypeError('Cannot read properties of undefined'))).toEqual({ retCode: 10016, retMsg: 'Internal server error' });
+  });
+});
+
+describe('formatters', () => {
+  let engine;
+
+  beforeEach(async () => {
+    engine = new TradingEngine({ persistence: false });
+    await engine.initUser('u1');
+    engine.updateCurrentPrice('BTCUSDT', 50000);
+    engine.updateMarkPrice('BTCUSDT', 50000, 50000);
+  });
+
+  test('formats open and filled orders as V5 strings', () => {
+    const resting = engine.createOrder('u1', { symbol: 'BTCUSDT', side: 'Buy', orderType: 'Limit', qty: 0.02, price: 49000, leverage: 10, orderLinkId: 'my-order' });
+    expect(formatOrder(resting)).toMatchObject({
+      orderLinkId: 'my-order',
+      orderStatus: 'New',
+      price: '49000',
+      qty: '0.02',
+      leavesQty: '0.02',
+      leavesValue: '980',
+      cumExecQty: '0',
+      avgPrice: '',
+      timeInForce: 'GTC',
+      rejectReason: 'EC_NoError'
+    });
+
+    const filled = engine.createOrder('u1', { symbol: 'BTCUSDT', side: 'Buy', orderType: 'Market', qty: 0.01, leverage: 10 });
+    expect(formatOrder(filled)).toMatchObject({ orderStatus: 'Filled', leavesQty: '0', cumExecQty: '0.01', avgPrice: '50000', cumExecFee: '0.3' });
+  });
+
+  test('formats positions and empty position slots', () => {
+    engine.createOrder('u1', { symbol: 'BTCUSDT', side: 'Sell', orderType: 'Market', qty: 0.01, leverage: 10 });
+    const [position] = engine.positions.get('u1');
+
+    expect(formatPosition(position)).toMatchObject({
+      positionIdx: 0,
+      riskId: 1,
+      side: 'Sell',
+      size: '0.01',
+      avgPrice: '50000',
+      positionValue: '500',
+      leverage: '10',
+      positionIM: '50',
+      tradeMode: 0
+    });
+    expect(formatPosition(null, { symbol: 'ETHUSDT', positionIdx: 1, leverage: 20, marginMode: 'isolated' })).toMatchObject({
+      symbol: 'ETHUSDT', positionIdx: 1, side: '', size: '0', leverage: '20', tradeMode: 1
+    });
+  });
+});
@@ -0,0 +1,26 @@
+// utils/errors.js - 구조화된 에러 정의
+
+// 주문 거부 에러 (code: 거부 사유 코드, details: 검증 기준 값)
+class OrderRejectedError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'OrderRejectedError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// 인증 실패 에러 (code: 실패 사유 코드, status: HTTP 상태 코드)
+class AuthError extends Error {
+  constructor(code, message, status = 401) {
+    super(message);
+    this.name = 'AuthError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+module.exports = {
+  OrderRejectedError,
+  AuthError
+};
@@ -0,0 +1,26 @@
+// utils/klines.js - K선 간격 및 Bybit kline 행 변환
+
+// 간격별 길이 (ms)
+const KLINE_INTERVAL_MS = {
+  '1': 60000, '3': 180000, '5': 300000, '15': 900000, '30': 1800000,
+  '60': 3600000, '120': 7200000, '240': 14400000, '360': 21600000, '720': 43200000,
+  'D': 86400000, 'W': 604800000, 'M': 2592000000
+};
+
+// /v5/market/kline 행 ([start, open, high, low, close, volume, turnover]) → 캔들 객체
+function parseKline(row) {
+  return {
+    start: parseInt(row[0]),
+    open: parseFloat(row[1]),
+    high: parseFloat(row[2]),
+    low: parseFloat(row[3]),
+    close: parseFloat(row[4]),
+    volume: parseFloat(row[5]),
+    turnover: parseFloat(row[6])
+  };
+}
+
+module.exports = {
+  KLINE_INTERVAL_MS,
+  parseKline
+};
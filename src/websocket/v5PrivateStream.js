@@ -0,0 +1,282 @@
+// websocket/v5PrivateStream.js - Bybit V5 호환 private WebSocket 스트림 (/v5/private)
+//
+// 요청: { req_id, op: 'auth' | 'subscribe' | 'unsubscribe' | 'ping', args }
+// 푸시: { id, topic, creationTime, data: [...] } (topic: order, position, execution, wallet)
+const WebSocket = require('ws');
+const proxyaddr = require('proxy-addr');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const apiKeyService = require('../services/apiKeyService');
+const {
+  formatOrder,
+  formatPosition,
+  formatExecution,
+  formatWallet
+} = require('../utils/bybitV5');
+
+const TOPICS = ['order', 'position', 'execution', 'wallet'];
+const CATEGORY = 'linear';
+
+// 구독 토픽 이름 → 기본 토픽 (order.linear, order.all 등 카테고리 지정 형식 허용)
+function baseTopic(topic) {
+  const [base, category] = String(topic).split('.');
+  if (!TOPICS.includes(base)) return null;
+  if (category && !(base !== 'wallet' && (category === CATEGORY || category === 'all'))) return null;
+  return base;
+}
+
+class V5PrivateStream {
+  // trustProxy: Express의 'trust proxy fn' (REST의 req.ip와 같은 규칙으로 클라이언트 IP 판별)
+  constructor(tradingEngine, { trustProxy = () => false } = {}) {
+    this.engine = tradingEngine;
+    this.trustProxy = trustProxy;
+    this.wss = new WebSocket.Server({ noServer: true });
+    this.connections = new Map(); // connId -> { ws, ip, userId, topics, lastActivity }
+    this.pendingWallets = new Set(); // 지갑 푸시 대기 사용자 (이벤트 묶음 처리)
+
+    this.wss.on('connection', (ws, req) => this.handleConnection(ws, req));
+    this.bindEngineEvents();
+    this.startHeartbeat();
+  }
+
+  handleConnection(ws, req) {
+    const connId = uuidv4();
+    this.connections.set(connId, {
+      ws,
+      ip: proxyaddr(req, this.trustProxy),
+      userId: null,
+      topics: new Map(), // 기본 토픽 -> 구독 시 사용한 토픽 이름
+      lastActivity: Date.now()
+    });
+
+    logger.info(`V5 private stream connected: ${connId}`);
+
+    ws.on('message', (message) => {
+      const conn = this.connections.get(connId);
+      if (!conn) return;
+      conn.lastActivity = Date.now();
+
+      let request = null;
+      try {
+        request = JSON.parse(message.toString());
+      } catch (error) {
+        // 아래에서 형식 오류로 응답
+      }
+      if (!request || typeof request !== 'object') {
+        return this.reply(connId, { op: '' }, false, 'Invalid request format');
+      }
+
+      this.handleRequest(connId, request);
+    });
+
+    ws.on('pong', () => {
+      const conn = this.connections.get(connId);
+      if (conn) conn.lastActivity = Date.now();
+    });
+
+    ws.on('close', () => {
+      this.connections.delete(connId);
+      logger.info(`V5 private stream disconnected: ${connId}`);
+    });
+
+    ws.on('error', (error) => {
+      logger.error(`V5 private stream error for ${connId}:`, error);
+    });
+  }
+
+  handleRequest(connId, request) {
+    const { op } = request;
+
+    switch (op) {
+      case 'auth':
+        this.handleAuth(connId, request);
+        break;
+
+      case 'subscribe':
+        this.handleSubscribe(connId, request);
+        break;
+
+      case 'unsubscribe':
+        this.handleUnsubscribe(connId, request);
+        break;
+
+      case 'ping':
+        this.send(connId, {
+          req_id: request.req_id,
+          op: 'pong',
+          args: [String(Date.now())],
+          conn_id: connId
+        });
+        break;
+
+      default:
+        this.reply(connId, request, false, `Unknown op: ${op}`);
+    }
+  }
+
+  // 로그인 (args: [apiKey, expires, signature])
+  handleAuth(connId, request) {
+    const conn = this.connections.get(connId);
+    const [apiKey, expires, sign] = Array.isArray(request.args) ? request.args : [];
+
+    if (conn.userId) {
+      return this.reply(connId, request, false, 'Repeat auth');
+    }
+
+    try {
+      const key = apiKeyService.verifyWsAuth({ apiKey, expires, sign, ip: conn.ip });
+      conn.userId = key.userId;
+      this.reply(connId, request, true, '');
+      logger.info(`V5 private stream authenticated: ${connId} (${key.userId})`);
+    } catch (error) {
+      this.reply(connId, request, false, error.message);
+    }
+  }
+
+  handleSubscribe(connId, request) {
+    const conn = this.connections.get(connId);
+    if (!conn.userId) {
+      return this.reply(connId, request, false, 'Request not authorized');
+    }
+
+    const topics = Array.isArray(request.args) ? request.args : [];
+    const invalid = topics.filter(topic => !baseTopic(topic));
+    if (topics.length === 0 || invalid.length > 0) {
+      return this.reply(connId, request, false, `Invalid topic: ${invalid.join(', ')}`);
+    }
+
+    topics.forEach(topic => conn.topics.set(baseTopic(topic), topic));
+    this.reply(connId, request, true, '');
+  }
+
+  handleUnsubscribe(connId, request) {
+    const conn = this.connections.get(connId);
+    const topics = Array.isArray(request.args) ? request.args : [];
+
+    topics.forEach(topic => {
+      const base = baseTopic(topic);
+      if (base) conn.topics.delete(base);
+    });
+    this.reply(connId, request, true, '');
+  }
+
+  // 요청 응답 (Bybit 형식)
+  reply(connId, request, success, message) {
+    this.send(connId, {
+      success,
+      ret_msg: message,
+      conn_id: connId,
+      req_id: request.req_id,
+      op: request.op
+    });
+  }
+
+  send(connId, message) {
+    const conn = this.connections.get(connId);
+    if (conn && conn.ws.readyState === WebSocket.OPEN) {
+      conn.ws.send(JSON.stringify(message));
+    }
+  }
+
+  // 토픽 구독자에게 푸시 (사용자 연결 전체)
+  publish(userId, topic, data) {
+    for (const [connId, conn] of this.connections) {
+      if (conn.userId !== userId || !conn.topics.has(topic)) continue;
+
+      this.send(connId, {
+        id: uuidv4(),
+        topic: conn.topics.get(topic),
+        creationTime: Date.now(),
+        data
+      });
+    }
+  }
+
+  hasSubscriber(userId, topic) {
+    for (const conn of this.connections.values()) {
+      if (conn.userId === userId && conn.topics.has(topic)) return true;
+    }
+    return false;
+  }
+
+  bindEngineEvents() {
+    const pushOrder = (order) => {
+      if (!this.hasSubscriber(order.userId, 'order')) return;
+      this.publish(order.userId, 'order', [{ category: CATEGORY, ...formatOrder(order) }]);
+    };
+
+    ['orderCreated', 'orderTriggered', 'orderFilled', 'orderCancelled'].forEach(event => {
+      this.engine.on(event, pushOrder);
+    });
+    this.engine.on('orderAmended', ({ order }) => pushOrder(order));
+
+    this.engine.on('positionUpdate', ({ userId, position, symbol, positionIdx }) => {
+      if (!this.hasSubscriber(userId, 'position')) return;
+
+      // 종료된 포지션은 수량 0으로 전송
+      const formatted = position
+        ? formatPosition(position)
+        : formatPosition(null, {
+          symbol,
+          positionIdx,
+          leverage: this.engine.getLeverage(userId, symbol),
+          marginMode: this.engine.getMarginMode(userId, symbol)
+        });
+      this.publish(userId, 'position', [{
+        category: CATEGORY,
+        ...formatted,
+        entryPrice: formatted.avgPrice,
+        sessionAvgPrice: ''
+      }]);
+    });
+
+    this.engine.on('execution', ({ userId, execution }) => {
+      if (this.hasSubscriber(userId, 'execution')) {
+        this.publish(userId, 'execution', [{ category: CATEGORY, ...formatExecution(execution) }]);
+      }
+      this.queueWallet(userId);
+    });
+
+    this.engine.on('balanceUpdate', ({ userId }) => this.queueWallet(userId));
+  }
+
+  // 지갑 푸시 (한 체결에서 여러 이벤트가 발생하므로 같은 틱의 변경을 한 번에 전송)
+  queueWallet(userId) {
+    if (!this.hasSubscriber(userId, 'wallet') || this.pendingWallets.has(userId)) return;
+
+    this.pendingWallets.add(userId);
+    setImmediate(() => {
+      this.pendingWallets.delete(userId);
+
+      const data = this.engine.getUserData(userId);
+      if (data) {
+        this.publish(userId, 'wallet', [formatWallet(data.user, data.positions)]);
+      }
+    });
+  }
+
+  // 연결 유지 확인 (Bybit 클라이언트는 20초마다 ping op 전송)
+  startHeartbeat() {
+    this.heartbeat = setInterval(() => {
+      for (const [connId, conn] of this.connections) {
+        if (conn.ws.readyState !== WebSocket.OPEN) continue;
+
+        conn.ws.ping();
+        if (Date.now() - conn.lastActivity > 300000) {
+          logger.warn(`Closing inactive V5 private stream: ${connId}`);
+          conn.ws.close();
+        }
+      }
+    }, 30000);
+  }
+
+  close() {
+    clearInterval(this.heartbeat);
+    for (const conn of this.connections.values()) {
+      conn.ws.close();
+    }
+    this.wss.close();
+  }
+}
+
+module.exports = V5PrivateStream;
@@ -3,17 +3,34 @@ const WebSocket = require('ws');
 const { v4: uuidv4 } = require('uuid');
 const config = require('../config');
 const logger = require('../utils/logger');
+const authService = require('../services/authService');
 
 class WebSocketManager {
   constructor(server, tradingEngine) {
-    this.wss = new WebSocket.Server({ server });
+    this.wss = new WebSocket.Server({ noServer: true });
     this.tradingEngine = tradingEngine;
     this.clients = new Map();
     this.rateLimits = new Map();
+    this.mounts = new Map(); // 경로 -> 추가 WebSocket 서버 (Bybit V5 스트림 등)
+    
+    // 업그레이드 요청을 경로별로 분배 (등록되지 않은 경로는 기본 프로토콜)
+    server.on('upgrade', (req, socket, head) => {
+      const pathname = (req.url || '/').split('?')[0];
+      const wss = this.mounts.get(pathname) || this.wss;
+      
+      wss.handleUpgrade(req, socket, head, (ws) => {
+        wss.emit('connection', ws, req);
+      });
+    });
     
     this.setupWebSocketServer();
   }
 
+  // 경로에 별도 WebSocket 서버 연결 (noServer 모드 서버)
+  mount(pathname, wss) {
+    this.mounts.set(pathname, wss);
+  }
+
   setupWebSocketServer() {
     this.wss.on('connection', (ws, req) => {
       const clientId = uuidv4();
@@ -115,14 +132,57 @@ class WebSocketManager {
         await this.handlePlaceOrder(clientId, payload);
         break;
         
+      case 'amend_order':
+        this.handleAmendOrder(clientId, payload);
+        break;
+        
       case 'cancel_order':
         await this.handleCancelOrder(clientId, payload);
         break;
+
+      case 'place_orders':
+      case 'amend_orders':
+      case 'cancel_orders':
+        await this.handleBatchOrders(clientId, action, payload);
+        break;
+
+      case 'cancel_all':
+        this.handleCancelAll(clientId, payload);
+        break;
+
+      case 'place_oco':
+      case 'place_bracket':
+        this.handlePlaceOrderGroup(clientId, action, payload);
+        break;
+
+      case 'cancel_order_group':
+        this.handleCancelOrderGroup(clientId, payload);
+        break;
         
       case 'close_position':
         await this.handleClosePosition(clientId, payload);
         break;
         
+      case 'set_tpsl':
+        this.handleSetTpSl(clientId, payload);
+        break;
+        
+      case 'set_margin_mode':
+        this.handleSetMarginMode(clientId, payload);
+        break;
+
+      case 'set_leverage':
+        this.handleSetLeverage(clientId, payload);
+        break;
+        
+      case 'set_position_mode':
+        this.handleSetPositionMode(clientId, payload);
+        break;
+        
+      case 'adjust_margin':
+        this.handleAdjustMargin(clientId, payload);
+        break;
+        
       case 'get_positions':
         this.handleGetPositions(clientId);
         break;
@@ -131,6 +191,10 @@ class WebSocketManager {
         this.handleGetOrders(clientId);
         break;
         
+      case 'get_order_groups':
+        this.handleGetOrderGroups(clientId);
+        break;
+
       case 'get_balance':
         this.handleGetBalance(clientId);
         break;
@@ -139,6 +203,10 @@ class WebSocketManager {
         this.handleGetTradeHistory(clientId);
         break;
         
+      case 'get_closed_pnl':
+        this.handleGetClosedPnl(clientId, payload);
+        break;
+        
       case 'get_leaderboard':
         this.handleGetLeaderboard(clientId);
         break;
@@ -158,13 +226,44 @@ class WebSocketManager {
     }
   }
 
-  async handleAuth(clientId, payload) {
+  async handleAuth(clientId, payload = {}) {
     const client = this.clients.get(clientId);
     if (!client) return;
 
-    // 테스트 환경이므로 간단한 인증 (실제로는 JWT 등 사용)
-    const { userId } = payload;
-    
+    const { token, userId } = payload;
+
+    // access 토큰 인증 (사용자는 토큰 소유자)
+    if (token || !config.security.guestMode) {
+      try {
+        const session = authService.verifyAccessToken(token);
+        const isNew = !this.tradingEngine.getUserData(session.userId);
+        await this.tradingEngine.initUser(session.userId);
+        
+        client.userId = session.userId;
+        client.authenticated = true;
+        
+        this.sendToClient(clientId, {
+          type: 'auth_success',
+          data: {
+            userId: session.userId,
+            username: session.username,
+            isNew,
+            ...this.tradingEngine.getUserData(session.userId)
+          }
+        });
+      } catch (error) {
+        this.sendToClient(clientId, {
+          type: 'error',
+          data: {
+            code: 'AUTH_FAILED',
+            message: error.message
+          }
+        });
+      }
+      return;
+    }
+
+    // 게스트 모드 (GUEST_MODE=true): 토큰 없이 userId 지정 또는 자동 생성
     if (!userId) {
       // 새 사용자 생성
       const newUserId = uuidv4();
@@ -217,7 +316,18 @@ class WebSocketManager {
     const client = this.clients.get(clientId);
     if (!client) return;
 
-    const { channels } = payload;
+    const { channels, symbols } = payload;
+    
+    // 심볼 시장 데이터 활성화 (최초 사용 시 업스트림 구독)
+    if (Array.isArray(symbols)) {
+      symbols.forEach(symbol => {
+        try {
+          this.tradingEngine.activateSymbol(String(symbol).toUpperCase());
+        } catch (error) {
+          logger.warn(`Symbol activation failed: ${error.message}`);
+        }
+      });
+    }
     
     if (Array.isArray(channels)) {
       channels.forEach(channel => {
@@ -281,7 +391,9 @@ class WebSocketManager {
         type: 'order_response',
         data: {
           success: false,
-          error: error.message
+          error: error.message,
+          code: error.code,
+          details: error.details
         }
       });
     }
@@ -319,6 +431,188 @@ class WebSocketManager {
     }
   }
 
+  // 미체결 주문 정정 (성공 시 엔진 이벤트로 order_amended 한 번만 전송)
+  handleAmendOrder(clientId, payload) {
+    const client = this.clients.get(clientId);
+    if (!client || !client.authenticated) {
+      this.sendToClient(clientId, {
+        type: 'error',
+        data: {
+          code: 'UNAUTHORIZED',
+          message: 'Authentication required'
+        }
+      });
+      return;
+    }
+
+    try {
+      const { orderId, orderLinkId, qty, price, triggerPrice, takeProfit, stopLoss } = payload;
+      const order = this.tradingEngine.findOpenOrder(client.userId, { orderId, orderLinkId });
+      if (!order) {
+        throw new Error('Order not found');
+      }
+
+      this.tradingEngine.amendOrder(client.userId, order.orderId, { qty, price, triggerPrice, takeProfit, stopLoss });
+    } catch (error) {
+      this.sendToClient(clientId, {
+        type: 'error',
+        data: {
+          code: 'AMEND_FAILED',
+          message: error.message,
+          rejectCode: error.code,
+          details: error.details
+        }
+      });
+    }
+  }
+
+  // 일괄 주문 생성/정정/취소 (payload.orders, 항목별 결과를 순서대로 응답)
+  async handleBatchOrders(clientId, action, payload = {}) {
+    const client = this.clients.get(clientId);
+    if (!client || !client.authenticated) {
+      this.sendToClient(clientId, {
+        type: 'error',
+        data: {
+          code: 'UNAUTHORIZED',
+          message: 'Authentication required'
+        }
+      });
+      return;
+    }
+
+    const methods = {
+      place_orders: 'createOrders',
+      amend_orders: 'amendOrders',
+      cancel_orders: 'cancelOrders'
+    };
+
+    try {
+      const results = await this.tradingEngine[methods[action]](client.userId, payload.orders);
+
+      this.sendToClient(clientId, {
+        type: 'batch_response',
+        data: {
+          action,
+          results
+        }
+      });
+    } catch (error) {
+      this.sendToClient(clientId, {
+        type: 'error',
+        data: {
+          code: 'BATCH_FAILED',
+          message: error.message,
+          action,
+          rejectCode: error.code,
+          details: error.details
+        }
+      });
+    }
+  }
+
+  // 미체결 주문 전체 취소 (symbol, side 지정 시 해당 주문만)
+  handleCancelAll(clientId, payload = {}) {
+    const client = this.clients.get(clientId);
+    if (!client || !client.authenticated) {
+      this.sendToClient(clientId, {
+        type: 'error',
+        data: {
+          code: 'UNAUTHORIZED',
+          message: 'Authentication required'
+        }
+      });
+      return;
+    }
+
+    try {
+      const { symbol, side } = payload;
+      const orders = this.tradingEngine.cancelAllOrders(client.userId, { symbol, side });
+
+      this.sendToClient(clientId, {
+        type: 'orders_cancelled',
+        data: {
+          symbol: symbol || null,
+          side: side || null,
+          orders
+        }
+      });
+    } catch (error) {
+      this.sendToClient(clientId, {
+        type: 'error',
+        data: {
+          code: 'CANCEL_FAILED',
+          message: error.message
+        }
+      });
+    }
+  }
+
+  // OCO/브래킷 주문 (이후 상태 변경은 order_group_update 메시지로 전송)
+  handlePlaceOrderGroup(clientId, action, payload = {}) {
+    const client = this.clients.get(clientId);
+    if (!client || !client.authenticated) {
+      this.sendToClient(clientId, {
+        type: 'error',
+        data: {
+          code: 'UNAUTHORIZED',
+          message: 'Authentication required'
+        }
+      });
+      return;
+    }
+
+    try {
+      const group = action === 'place_oco'
+        ? this.tradingEngine.createOcoOrder(client.userId, payload)
+        : this.tradingEngine.createBracketOrder(client.userId, payload);
+
+      this.sendToClient(clientId, {
+        type: 'order_group_response',
+        data: {
+          success: true,
+          group
+        }
+      });
+    } catch (error) {
+      this.sendToClient(clientId, {
+        type: 'order_group_response',
+        data: {
+          success: false,
+          error: error.message,
+          code: error.code,
+          details: error.details
+        }
+      });
+    }
+  }
+
+  // 주문 그룹 취소 (성공 시 엔진 이벤트로 order_group_update 전송)
+  handleCancelOrderGroup(clientId, payload = {}) {
+    const client = this.clients.get(clientId);
+    if (!client || !client.authenticated) {
+      this.sendToClient(clientId, {
+        type: 'error',
+        data: {
+          code: 'UNAUTHORIZED',
+          message: 'Authentication required'
+        }
+      });
+      return;
+    }
+
+    try {
+      this.tradingEngine.cancelOrderGroup(client.userId, payload.groupId);
+    } catch (error) {
+      this.sendToClient(clientId, {
+        type: 'error',
+        data: {
+          code: 'CANCEL_FAILED',
+          message: error.message
+        }
+      });
+    }
+  }
+
   async handleClosePosition(clientId, payload) {
     const client = this.clients.get(clientId);
     if (!client || !client.authenticated) {
@@ -351,6 +645,168 @@ class WebSocketManager {
     }
   }
 
+  handleSetTpSl(clientId, payload) {
+    const client = this.clients.get(clientId);
+    if (!client || !client.authenticated) {
+      this.sendToClient(clientId, {
+        type: 'error',
+        data: {
+          code: 'UNAUTHORIZED',
+          message: 'Authentication required'
+        }
+      });
+      return;
+    }
+
+    try {
+      const { positionId, takeProfit, stopLoss } = payload;
+      const position = this.tradingEngine.setTradingStop(client.userId, positionId, { takeProfit, stopLoss });
+      
+      this.sendToClient(clientId, {
+        type: 'tpsl_updated',
+        data: position
+      });
+    } catch (error) {
+      this.sendToClient(clientId, {
+        type: 'error',
+        data: {
+          code: 'TPSL_FAILED',
+          message: error.message
+        }
+      });
+    }
+  }
+
+  handleSetMarginMode(clientId, payload) {
+    const client = this.clients.get(clientId);
+    if (!client || !client.authenticated) {
+      this.sendToClient(clientId, {
+        type: 'error',
+        data: {
+          code: 'UNAUTHORIZED',
+          message: 'Authentication required'
+        }
+      });
+      return;
+    }
+
+    try {
+      const { symbol, marginMode } = payload;
+      const result = this.tradingEngine.setMarginMode(client.userId, symbol, marginMode);
+      
+      this.sendToClient(clientId, {
+        type: 'margin_mode_updated',
+        data: result
+      });
+    } catch (error) {
+      this.sendToClient(clientId, {
+        type: 'error',
+        data: {
+          code: 'MARGIN_MODE_FAILED',
+          message: error.message
+        }
+      });
+    }
+  }
+
+  // 심볼 레버리지 변경 (포지션/잔고 변경은 엔진 이벤트로 전송)
+  handleSetLeverage(clientId, payload = {}) {
+    const client = this.clients.get(clientId);
+    if (!client || !client.authenticated) {
+      this.sendToClient(clientId, {
+        type: 'error',
+        data: {
+          code: 'UNAUTHORIZED',
+          message: 'Authentication required'
+        }
+      });
+      return;
+    }
+
+    try {
+      const { symbol, leverage } = payload;
+      const result = this.tradingEngine.setLeverage(client.userId, symbol, leverage);
+
+      this.sendToClient(clientId, {
+        type: 'leverage_updated',
+        data: result
+      });
+    } catch (error) {
+      this.sendToClient(clientId, {
+        type: 'error',
+        data: {
+          code: 'LEVERAGE_FAILED',
+          message: error.message,
+          rejectCode: error.code
+        }
+      });
+    }
+  }
+
+  handleSetPositionMode(clientId, payload) {
+    const client = this.clients.get(clientId);
+    if (!client || !client.authenticated) {
+      this.sendToClient(clientId, {
+        type: 'error',
+        data: {
+          code: 'UNAUTHORIZED',
+          message: 'Authentication required'
+        }
+      });
+      return;
+    }
+
+    try {
+      const { positionMode } = payload;
+      const result = this.tradingEngine.setPositionMode(client.userId, positionMode);
+      
+      this.sendToClient(clientId, {
+        type: 'position_mode_updated',
+        data: result
+      });
+    } catch (error) {
+      this.sendToClient(clientId, {
+        type: 'error',
+        data: {
+          code: 'POSITION_MODE_FAILED',
+          message: error.message
+        }
+      });
+    }
+  }
+
+  handleAdjustMargin(clientId, payload) {
+    const client = this.clients.get(clientId);
+    if (!client || !client.authenticated) {
+      this.sendToClient(clientId, {
+        type: 'error',
+        data: {
+          code: 'UNAUTHORIZED',
+          message: 'Authentication required'
+        }
+      });
+      return;
+    }
+
+    try {
+      const { positionId, margin } = payload;
+      const position = this.tradingEngine.adjustPositionMargin(client.userId, positionId, margin);
+      
+      this.sendToClient(clientId, {
+        type: 'position_margin_updated',
+        data: position
+      });
+    } catch (error) {
+      this.sendToClient(clientId, {
+        type: 'error',
+        data: {
+          code: 'ADJUST_MARGIN_FAILED',
+          message: error.message
+        }
+      });
+    }
+  }
+
   handleGetPositions(clientId) {
     const client = this.clients.get(clientId);
     if (!client || !client.authenticated) {
@@ -393,6 +849,25 @@ class WebSocketManager {
     });
   }
 
+  handleGetOrderGroups(clientId) {
+    const client = this.clients.get(clientId);
+    if (!client || !client.authenticated) {
+      this.sendToClient(clientId, {
+        type: 'error',
+        data: {
+          code: 'UNAUTHORIZED',
+          message: 'Authentication required'
+        }
+      });
+      return;
+    }
+
+    this.sendToClient(clientId, {
+      type: 'order_groups',
+      data: this.tradingEngine.getOrderGroups(client.userId)
+    });
+  }
+
   handleGetBalance(clientId) {
     const client = this.clients.get(clientId);
     if (!client || !client.authenticated) {
@@ -435,6 +910,37 @@ class WebSocketManager {
     });
   }
 
+  handleGetClosedPnl(clientId, payload) {
+    const client = this.clients.get(clientId);
+    if (!client || !client.authenticated) {
+      this.sendToClient(clientId, {
+        type: 'error',
+        data: {
+          code: 'UNAUTHORIZED',
+          message: 'Authentication required'
+        }
+      });
+      return;
+    }
+
+    try {
+      const result = this.tradingEngine.getClosedPnl(client.userId, payload || {});
+      
+      this.sendToClient(clientId, {
+        type: 'closed_pnl',
+        data: result
+      });
+    } catch (error) {
+      this.sendToClient(clientId, {
+        type: 'error',
+        data: {
+          code: 'CLOSED_PNL_FAILED',
+          message: error.message
+        }
+      });
+    }
+  }
+
   handleGetLeaderboard(clientId) {
     const leaderboard = this.tradingEngine.getLeaderboard();
     
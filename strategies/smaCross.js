@@ -0,0 +1,38 @@
+// strategies/smaCross.js - 이동평균 교차 전략 (백테스트 예제)
+//
+// 단기 이동평균이 장기 이동평균을 상향 돌파하면 롱, 하향 돌파하면 숏으로 전환
+// 사용법: npm run backtest -- --strategy smaCross --symbol BTCUSDT --interval 60 --bars 1000 --param fast=10 --param slow=30
+
+function sma(bars, length) {
+  if (bars.length < length) return null;
+  return bars.slice(-length).reduce((sum, bar) => sum + bar.close, 0) / length;
+}
+
+module.exports = {
+  params: {
+    fast: 10,
+    slow: 30,
+    qty: 0.01,
+    leverage: 5
+  },
+
+  async onBar(bar, ctx) {
+    const { fast, slow, qty, leverage } = ctx.params;
+    const fastMa = sma(ctx.bars, fast);
+    const slowMa = sma(ctx.bars, slow);
+    if (fastMa === null || slowMa === null) return;
+
+    const trend = fastMa > slowMa ? 'Buy' : 'Sell';
+    const previousTrend = ctx.state.trend;
+    ctx.state.trend = trend;
+
+    // 첫 판정 이후 추세가 바뀐 봉에서만 진입
+    if (!previousTrend || previousTrend === trend) return;
+
+    const position = ctx.position();
+    if (position && position.side !== trend) {
+      await ctx.close();
+    }
+    await ctx.order({ side: trend, orderType: 'Market', qty, leverage });
+  }
+};